@@ -0,0 +1,42 @@
+import React from 'react';
+import { formatTime, formatDateKey } from './format';
+
+// AgendaList Component - Compact multi-day layout with one row per day and its occurrences as chips.
+// occurrencesByDate maps 'YYYY-MM-DD' keys (in timeZone) to that day's occurrences sorted by start time.
+const AgendaList = ({ dateKeys, occurrencesByDate, timeZone, selectedDateKey, onSelectDate }) => (
+    <ul className="border border-gray-200 rounded-lg divide-y divide-gray-200 mb-4">
+        {dateKeys.map(dateKey => {
+            const dayOccurrences = occurrencesByDate.get(dateKey) || [];
+            return (
+                <li
+                    key={dateKey}
+                    onClick={() => onSelectDate && onSelectDate(dateKey)}
+                    className={`flex items-start p-2 ${onSelectDate ? 'cursor-pointer hover:bg-gray-50' : ''}
+                                ${dateKey === selectedDateKey ? 'bg-blue-50' : ''}`}
+                >
+                    <span className={`w-28 flex-shrink-0 text-sm font-semibold ${dateKey === selectedDateKey ? 'text-blue-600' : 'text-gray-700'}`}>
+                        {formatDateKey(dateKey, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </span>
+                    {dayOccurrences.length === 0 ? (
+                        <span className="text-sm text-gray-400">Free</span>
+                    ) : (
+                        <div className="flex flex-wrap gap-1">
+                            {dayOccurrences.map(occurrence => (
+                                <span
+                                    key={`${occurrence.id}-${occurrence.occurrenceDate}`}
+                                    className="inline-flex items-center bg-gray-100 rounded-full px-2 py-0.5 text-xs text-gray-700"
+                                >
+                                    <span className="w-2 h-2 rounded-full mr-1" style={{ backgroundColor: occurrence.activityColor }}></span>
+                                    <span className="font-semibold mr-1">{occurrence.activityName}</span>
+                                    {formatTime(occurrence.startDateTimeUTC, timeZone)} - {formatTime(occurrence.endDateTimeUTC, timeZone)}
+                                </span>
+                            ))}
+                        </div>
+                    )}
+                </li>
+            );
+        })}
+    </ul>
+);
+
+export default AgendaList;
@@ -1,146 +1,144 @@
-import React, { useState, useEffect, createContext, useContext } from 'react';
+import React, { useState, useEffect, useRef, useMemo, createContext, useContext } from 'react';
 import { initializeApp } from 'firebase/app';
-import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword } from 'firebase/auth';
-import { getFirestore, doc, getDoc, setDoc, collection, query, onSnapshot, addDoc, deleteDoc, updateDoc } from 'firebase/firestore';
+import { getAuth, signInAnonymously, signInWithCustomToken, onAuthStateChanged, signOut, createUserWithEmailAndPassword, signInWithEmailAndPassword, linkWithCredential, EmailAuthProvider, sendPasswordResetEmail, sendEmailVerification, reauthenticateWithCredential, updatePassword, deleteUser } from 'firebase/auth';
+import { getFirestore, initializeFirestore, persistentLocalCache, persistentMultipleTabManager } from 'firebase/firestore';
+import { weekdays, weekOfMonthOptions, toDateKey, parseDateKey, addDaysToKey, getDaysBetweenKeys, getWeekDateKeys, groupOccurrencesByDate, groupOccurrencesByZonedDate, getNthWeekdayOfKey, isFirstOccurrence, describeRecurrence } from './recurrence';
+import TimeZonePicker from './TimeZonePicker';
+import GroupView from './GroupView';
+import MonthGrid from './MonthGrid';
+import TimeGrid from './TimeGrid';
+import AgendaList from './AgendaList';
+import FreeSlotsPanel from './FreeSlotsPanel';
+import WorkingHoursEditor from './WorkingHoursEditor';
+import { getDefaultWorkingHours } from './availability';
+import CalendarViewToggle, { calendarViews } from './CalendarViewToggle';
+import { formatDate, formatTime, formatDateKey } from './format';
+import { buildSeriesCalendar, buildOccurrenceCalendar, downloadICalendar } from './ics';
+import { buildImportPreview, getImportPlan } from './icsImport';
+import ImportCalendarModal from './ImportCalendarModal';
+import ShareLinksModal from './ShareLinksModal';
+import BookingRequestModal from './BookingRequestModal';
+import BookingRequestsModal from './BookingRequestsModal';
+import { buildBookingRequestFields, overlapsOccurrences, getTentativeOccurrences, getScheduleFormForRequest } from './bookingRequests';
+import { generateShareToken, buildShareLinkFields, getShareRangeDateKeys, clampToShareRange, subscribeToSharedSchedule } from './shareLinks';
+import { shareVisibilityOptions, buildPublishedSchedule, isPublishable } from './sharePublishing';
+import { createFirestoreRepository } from './firestoreRepository';
+import { removeField, addToArray } from './repository';
+import DeleteActivityModal from './DeleteActivityModal';
+import MergeAccountModal from './MergeAccountModal';
+import { readAccountData, hasAccountData, mergeAccountData } from './accountMerge';
+import SettingsModal from './SettingsModal';
+import { deleteAccountData } from './accountDeletion';
+import { SETTINGS_PATH, parseRoute, getCalendarPath, getSharePath, useRouteSync } from './router';
+import CopyScheduleModal from './CopyScheduleModal';
+import { getCopyReadRange, buildCopyPlan, getCopyWrites } from './copySchedule';
+import SyncStatusIndicator from './SyncStatusIndicator';
+import { useOnlineStatus, usePendingWrites } from './syncStatus';
+import { getMonthWindow, getShareLinksWindow, useScheduleEntriesInWindow } from './scheduleWindow';
+import { findConflicts, findOverlappingOccurrences, getConflictCheckRange } from './conflicts';
+import { SCHEDULE_SCHEMA_VERSION, getDefaultScheduleForm, validateScheduleForm, buildScheduleFields, buildNewScheduleEntry, getScheduleFormFromEntry, getKeptOccurrenceChanges, migrateScheduleEntries } from './schedule';
 
 // Context to provide Firebase instances and user ID throughout the app
 const AppContext = createContext();
 
-// Helper function to format date for display
-const formatDate = (date, timeZone = 'UTC') => {
-    return new Date(date).toLocaleDateString('en-US', {
-        weekday: 'long',
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        timeZone: timeZone
-    });
-};
+// Name shown for people using the app without an account; anonymous users have no email to derive one from
+const GUEST_DISPLAY_NAME = 'Guest';
 
-// Helper function to format time for display
-const formatTime = (date, timeZone = 'UTC') => {
-    return new Date(date).toLocaleTimeString('en-US', {
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true,
-        timeZone: timeZone
-    });
-};
+// Date selected by a route, today for routes without one
+const getRouteDate = (route) => route.dateKey ? parseDateKey(route.dateKey) : new Date();
+const getMonthStart = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
 
-// A simplified list of common time zones for the dropdown
-const timeZones = [
-    'America/New_York',
-    'America/Chicago',
-    'America/Denver',
-    'America/Los_Angeles',
-    'Europe/London',
-    'Europe/Paris',
-    'Asia/Dubai',
-    'Asia/Kolkata',
-    'Asia/Tokyo',
-    'Australia/Sydney',
-    'Pacific/Auckland',
-    'UTC', // Universal Coordinated Time
-];
-
-// Weekday names for recurrence selection
-const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+// Layouts offered to people opening a share link: the compact multi-day agenda plus the calendar layouts
+const shareViews = ['agenda', ...calendarViews];
 
 // ShareView Component - For displaying a shared schedule
-const ShareView = ({ db, appId }) => {
-    const [sharedUserId, setSharedUserId] = useState(null);
-    const [sharedDate, setSharedDate] = useState(null);
+const ShareView = ({ repository }) => {
+    const [shareToken, setShareToken] = useState(null);
+    const [shareLinkData, setShareLinkData] = useState(null); // The share link document the token resolves to
+    const [sharedDateKey, setSharedDateKey] = useState(null); // Date shown, always within the link's range
     const [sharedDisplayName, setSharedDisplayName] = useState('Loading...');
     const [sharedUserTimeZone, setSharedUserTimeZone] = useState('UTC'); // Original user's time zone
     const [viewerTimeZone, setViewerTimeZone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone); // Viewer's local time zone
-    const [sharedScheduleEntries, setSharedScheduleEntries] = useState([]);
+    const [sharedOccurrences, setSharedOccurrences] = useState([]); // Occurrences published for the link, sorted by start time
+    const [publishedAt, setPublishedAt] = useState(null); // When the owner's app last updated the published schedule
+    const [sharedWorkingHours, setSharedWorkingHours] = useState(null); // Owner's working hours, for the free-slot list
+    const [shareCalendarView, setShareCalendarView] = useState('day'); // 'month', 'week' or 'day'
+    const [bookingSlot, setBookingSlot] = useState(null); // Free slot the viewer is requesting a booking in
     const [loadingShare, setLoadingShare] = useState(true);
     const [shareError, setShareError] = useState(null);
 
+    // Resolve the link's token to its owner and allowed range, then follow what the owner's app publishes for it.
+    // The date and layout are only taken from the address and the link once, so republishing does not move the page.
     useEffect(() => {
-        const params = new URLSearchParams(window.location.search);
-        const userIdFromUrl = params.get('userId');
-        const dateFromUrl = params.get('date');
-
-        if (!userIdFromUrl || !dateFromUrl) {
-            setShareError("Invalid share link. User ID or date is missing.");
-            setLoadingShare(false);
-            return;
-        }
-
-        setSharedUserId(userIdFromUrl);
-        setSharedDate(new Date(dateFromUrl));
-    }, []);
-
-    useEffect(() => {
-        const fetchSharedData = async () => {
-            if (!db || !sharedUserId || !sharedDate) return;
-
-            setLoadingShare(true);
-            setShareError(null);
-
-            try {
-                // Fetch shared user's profile
-                const userProfileRef = doc(db, `artifacts/${appId}/users/${sharedUserId}/profile/userProfile`);
-                const userProfileSnap = await getDoc(userProfileRef);
-                if (userProfileSnap.exists()) {
-                    const profileData = userProfileSnap.data();
-                    setSharedDisplayName(profileData.displayName || 'Shared User');
-                    setSharedUserTimeZone(profileData.timeZone || 'UTC'); // Fallback to UTC if not set
-                } else {
-                    setSharedDisplayName('Unknown User');
-                    setSharedUserTimeZone('UTC');
+        if (!repository) return;
+        const { token, dateKey: dateFromUrl, view: viewFromUrl } = parseRoute();
+        let linkApplied = false;
+
+        return subscribeToSharedSchedule(repository, token, ({ link, published }) => {
+            if (!linkApplied) {
+                linkApplied = true;
+                setShareLinkData(link);
+                setShareToken(token);
+                setSharedDateKey(clampToShareRange(link, dateFromUrl || toDateKey(new Date())));
+                const initialView = shareViews.includes(viewFromUrl) ? viewFromUrl : link.defaultView;
+                if (shareViews.includes(initialView)) {
+                    setShareCalendarView(initialView);
                 }
-
-                // Fetch all schedule entries for the shared user
-                const scheduleColRef = collection(db, `artifacts/${appId}/users/${sharedUserId}/schedules`);
-                const q = query(scheduleColRef);
-
-                const unsubscribe = onSnapshot(q, (snapshot) => {
-                    const allEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                    const currentDayOfWeek = sharedDate.getDay(); // 0 for Sunday, 6 for Saturday
-                    const dateString = sharedDate.toISOString().split('T')[0];
-
-                    const filteredEntries = allEntries.filter(entry => {
-                        const entryStartDate = entry.recurrenceStartDate ? new Date(entry.recurrenceStartDate) : null;
-                        const entryEndDate = entry.recurrenceEndDate ? new Date(entry.recurrenceEndDate) : null;
-                        const selectedDateOnly = new Date(sharedDate.getFullYear(), sharedDate.getMonth(), sharedDate.getDate());
-
-                        // Check if the selected date falls within the recurrence range
-                        const isWithinRecurrenceRange = (!entryStartDate || selectedDateOnly >= entryStartDate) &&
-                                                        (!entryEndDate || selectedDateOnly <= entryEndDate);
-
-                        if (!isWithinRecurrenceRange) return false;
-
-                        const isOneTime = entry.recurrenceType === 'none' && entry.date === dateString;
-                        const isDailyRecurring = entry.recurrenceType === 'daily';
-                        const isWeeklyRecurring = entry.recurrenceType === 'weekly' &&
-                                                  entry.recurrenceDays &&
-                                                  entry.recurrenceDays.includes(currentDayOfWeek);
-                        return isOneTime || isDailyRecurring || isWeeklyRecurring;
-                    }).sort((a, b) => {
-                        const timeA = new Date(a.startDateTimeUTC);
-                        const timeB = new Date(b.startDateTimeUTC);
-                        return timeA - timeB;
-                    });
-                    setSharedScheduleEntries(filteredEntries);
-                    setLoadingShare(false);
-                }, (err) => {
-                    console.error("Error fetching shared schedule entries:", err);
-                    setShareError("Failed to load shared schedule.");
-                    setLoadingShare(false);
-                });
-
-                return () => unsubscribe(); // Cleanup listener
-            } catch (e) {
-                console.error("Error fetching shared user data:", e);
-                setShareError("Failed to load shared user data.");
-                setLoadingShare(false);
             }
-        };
+            setSharedDisplayName(published.ownerDisplayName || 'Shared User');
+            setSharedUserTimeZone(published.timeZone || 'UTC');
+            setSharedOccurrences(published.occurrences || []);
+            setPublishedAt(published.publishedAt || null);
+            setSharedWorkingHours(published.workingHours || null);
+            setShareError(null);
+            setLoadingShare(false);
+        }, (message) => {
+            setShareError(message);
+            setLoadingShare(false);
+        });
+    }, [repository]);
+
+    // The published occurrences are grouped once per snapshot (and zone change), so picking another date only looks up
+    // its day. Published occurrence dates are the owner's calendar days; all layouts are drawn in the "View in" zone.
+    const occurrencesByOwnerDate = useMemo(() => {
+        const groups = new Map();
+        sharedOccurrences.forEach(occurrence => {
+            if (!groups.has(occurrence.occurrenceDate)) groups.set(occurrence.occurrenceDate, []);
+            groups.get(occurrence.occurrenceDate).push(occurrence);
+        });
+        return groups;
+    }, [sharedOccurrences]);
+    const viewerOccurrences = useMemo(
+        () => groupOccurrencesByZonedDate(sharedOccurrences, viewerTimeZone),
+        [sharedOccurrences, viewerTimeZone]
+    );
 
-        fetchSharedData();
-    }, [db, appId, sharedUserId, sharedDate]);
+    // Keep the date and layout in the address, so the page can be bookmarked and back and forward step through them
+    useRouteSync(shareToken && sharedDateKey ? getSharePath(shareToken, sharedDateKey, shareCalendarView) : null, (route) => {
+        if (route.name !== 'share' || route.token !== shareToken) return;
+        if (route.dateKey) setSharedDateKey(clampToShareRange(shareLinkData, route.dateKey));
+        if (shareViews.includes(route.view)) setShareCalendarView(route.view);
+    });
+
+    // Save a booking request under the owner's data; returns an error message, or null once it was sent
+    const handleSubmitBookingRequest = async (form, interval) => {
+        // The published schedule is live, so someone else may have taken the time since the slot was picked
+        if (overlapsOccurrences(interval, sharedOccurrences)) {
+            return "This time is no longer free. Please pick another slot.";
+        }
+        try {
+            await repository.bookingRequests.addWithHold(
+                shareLinkData.ownerId,
+                buildBookingRequestFields(form, interval, shareToken, viewerTimeZone)
+            );
+            return null;
+        } catch (e) {
+            console.error("Error sending booking request:", e);
+            // Someone else may have asked for the same time while the owner's app was closed, so it was not shown as held
+            if (e.code === 'permission-denied') return "This time is no longer available. Please pick another slot.";
+            return "Failed to send booking request.";
+        }
+    };
 
     if (loadingShare) {
         return (
@@ -158,28 +156,94 @@ const ShareView = ({ db, appId }) => {
         );
     }
 
+    const sharedScheduleEntries = occurrencesByOwnerDate.get(sharedDateKey) || [];
+    const sharedMonth = parseDateKey(sharedDateKey);
+    const gridDateKeys = shareCalendarView === 'week' ? getWeekDateKeys(sharedDateKey) : [sharedDateKey];
+    // Near midnight an occurrence can start just outside the range in the viewer's zone, so its day is listed too
+    const agendaDateKeys = [...new Set([...getShareRangeDateKeys(shareLinkData), ...viewerOccurrences.keys()])].sort();
+    const selectSharedDate = (dateKey) => setSharedDateKey(clampToShareRange(shareLinkData, dateKey));
+
     return (
         <div className="min-h-screen bg-gray-100 font-sans text-gray-800 p-4">
             <header className="bg-white p-4 rounded-lg shadow-md mb-6">
                 <h1 className="text-3xl font-bold text-gray-700">Schedule for {sharedDisplayName}</h1>
-                <p className="text-gray-600">Viewing schedule for {formatDate(sharedDate, sharedUserTimeZone)}</p>
+                <p className="text-gray-600">Viewing schedule for {formatDateKey(sharedDateKey)} ({sharedUserTimeZone})</p>
+                <p className="text-sm text-gray-500">
+                    This link shows {formatDateKey(shareLinkData.rangeStart)} to {formatDateKey(shareLinkData.rangeEnd)}.
+                    {publishedAt && ` Last updated ${formatDate(publishedAt, viewerTimeZone)} at ${formatTime(publishedAt, viewerTimeZone)}.`}
+                </p>
                 <div className="flex items-center space-x-2 mt-4">
                     <label htmlFor="viewerTimeZoneSelect" className="text-gray-700 text-sm font-bold">View in:</label>
-                    <select
+                    <TimeZonePicker
                         id="viewerTimeZoneSelect"
-                        className="shadow border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
                         value={viewerTimeZone}
-                        onChange={(e) => setViewerTimeZone(e.target.value)}
+                        onChange={setViewerTimeZone}
+                    />
+                    <button
+                        onClick={() => downloadICalendar(
+                            `schedule-${shareLinkData.rangeStart}-to-${shareLinkData.rangeEnd}.ics`,
+                            buildOccurrenceCalendar(sharedOccurrences, `${sharedDisplayName}'s schedule`, sharedUserTimeZone)
+                        )}
+                        title="Downloads the schedule as it is now; download it again to pick up later changes"
+                        className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
                     >
-                        {timeZones.map(tz => (
-                            <option key={tz} value={tz}>{tz}</option>
-                        ))}
-                    </select>
+                        Add to Calendar (.ics)
+                    </button>
                 </div>
             </header>
 
             <main className="bg-white p-6 rounded-lg shadow-md">
-                <h2 className="text-2xl font-semibold mb-4 text-gray-700">Scheduled Activities</h2>
+                <div className="flex justify-between items-center mb-4">
+                    <h2 className="text-2xl font-semibold text-gray-700">
+                        {shareCalendarView === 'month'
+                            ? sharedMonth.toLocaleString('en-US', { month: 'long', year: 'numeric' })
+                            : { agenda: 'Shared Days', week: 'Week Overview', day: 'Day Overview' }[shareCalendarView]}
+                    </h2>
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={() => selectSharedDate(addDaysToKey(sharedDateKey, -1))}
+                            disabled={sharedDateKey <= shareLinkData.rangeStart}
+                            className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                        >
+                            &lt;
+                        </button>
+                        <button
+                            onClick={() => selectSharedDate(addDaysToKey(sharedDateKey, 1))}
+                            disabled={sharedDateKey >= shareLinkData.rangeEnd}
+                            className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition duration-200 disabled:opacity-50"
+                        >
+                            &gt;
+                        </button>
+                        <CalendarViewToggle value={shareCalendarView} onChange={setShareCalendarView} views={shareViews} />
+                    </div>
+                </div>
+                {shareCalendarView === 'agenda' ? (
+                    <AgendaList
+                        dateKeys={agendaDateKeys}
+                        occurrencesByDate={viewerOccurrences}
+                        timeZone={viewerTimeZone}
+                        selectedDateKey={sharedDateKey}
+                        onSelectDate={selectSharedDate}
+                    />
+                ) : shareCalendarView === 'month' ? (
+                    <MonthGrid
+                        month={sharedMonth}
+                        selectedDateKey={sharedDateKey}
+                        occurrencesByDate={viewerOccurrences}
+                        timeZone={viewerTimeZone}
+                        onSelectDate={(date) => selectSharedDate(toDateKey(date))}
+                    />
+                ) : (
+                    <TimeGrid
+                        dateKeys={gridDateKeys}
+                        occurrencesByDate={viewerOccurrences}
+                        timeZone={viewerTimeZone}
+                        selectedDateKey={sharedDateKey}
+                        onSelectDate={selectSharedDate}
+                    />
+                )}
+
+                <h2 className="text-2xl font-semibold mb-4 text-gray-700">Scheduled Activities on {formatDateKey(sharedDateKey, { weekday: 'long', month: 'long', day: 'numeric' })}</h2>
                 {sharedScheduleEntries.length === 0 ? (
                     <p className="text-gray-500">No schedule entries for this date.</p>
                 ) : (
@@ -190,13 +254,9 @@ const ShareView = ({ db, appId }) => {
                                     <span className="font-semibold text-gray-800">{entry.activityName}</span>
                                     <p className="text-sm text-gray-600">
                                         {formatTime(entry.startDateTimeUTC, viewerTimeZone)} - {formatTime(entry.endDateTimeUTC, viewerTimeZone)}
-                                        {entry.recurrenceType !== 'none' && (
-                                            <span className="ml-2 text-xs text-gray-500">
-                                                ({entry.recurrenceType === 'daily' ? 'Daily' :
-                                                  entry.recurrenceType === 'weekly' ? `Weekly on ${entry.recurrenceDays.map(d => weekdays[d].substring(0, 3)).join(', ')}` : ''})
-                                                {entry.recurrenceStartDate && ` from ${entry.recurrenceStartDate}`}
-                                                {entry.recurrenceEndDate && ` to ${entry.recurrenceEndDate}`}
-                                            </span>
+                                        {entry.isOverridden && <span className="ml-2 text-xs font-semibold text-orange-600">(moved)</span>}
+                                        {entry.recurrenceSummary && (
+                                            <span className="ml-2 text-xs text-gray-500">({entry.recurrenceSummary})</span>
                                         )}
                                     </p>
                                 </div>
@@ -204,60 +264,131 @@ const ShareView = ({ db, appId }) => {
                         ))}
                     </ul>
                 )}
+
+                {sharedWorkingHours && (
+                    <>
+                        <h2 className="text-2xl font-semibold mt-6 mb-2 text-gray-700">Free Time</h2>
+                        <p className="mb-4 text-sm text-gray-500">Pick a free slot to ask {sharedDisplayName} for a booking.</p>
+                        <FreeSlotsPanel
+                            workingHours={sharedWorkingHours}
+                            timeZone={sharedUserTimeZone}
+                            displayTimeZone={viewerTimeZone}
+                            startDateKey={sharedDateKey}
+                            maxDateKey={shareLinkData.rangeEnd}
+                            getBusyOccurrences={() => sharedOccurrences}
+                            onSelectSlot={setBookingSlot}
+                        />
+                    </>
+                )}
             </main>
+
+            {bookingSlot && (
+                <BookingRequestModal
+                    slot={bookingSlot}
+                    ownerName={sharedDisplayName}
+                    timeZone={viewerTimeZone}
+                    onSubmit={handleSubmitBookingRequest}
+                    onCancel={() => setBookingSlot(null)}
+                />
+            )}
         </div>
     );
 };
 
 
 const App = () => {
+    // The route the page was opened on picks the page, and the calendar view, date or screen shown first
+    const [initialRoute] = useState(() => parseRoute());
+
     // State variables for Firebase instances and user authentication
     const [firebaseApp, setFirebaseApp] = useState(null);
-    const [db, setDb] = useState(null);
+    const [repository, setRepository] = useState(null); // Data access for the signed-in user or the share pages, see repository.js
     const [auth, setAuth] = useState(null);
     const [userId, setUserId] = useState(null);
     const [displayName, setDisplayName] = useState(''); // New state for user's display name
     const [userTimeZone, setUserTimeZone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone); // User's selected time zone
+    const [workingHours, setWorkingHours] = useState(getDefaultWorkingHours()); // Per-weekday working hours in the user's time zone
+    const [isEditingWorkingHours, setIsEditingWorkingHours] = useState(false);
     const [loading, setLoading] = useState(true); // Loading state for initial app setup
     const [error, setError] = useState(null); // State to display any errors
+    const isOnline = useOnlineStatus();
+    const { pendingCount, trackWrite, reportPendingWrites } = usePendingWrites(); // Writes not yet confirmed by the server
 
     // State for authentication forms
     const [email, setEmail] = useState('');
     const [password, setPassword] = useState('');
     const [isLogin, setIsLogin] = useState(true); // Toggles between login and signup view
+    const [isAnonymous, setIsAnonymous] = useState(false); // Guests are signed in anonymously and can sign up later
+    const [showAuthForm, setShowAuthForm] = useState(false); // Login/sign-up dialog opened by a guest
+    const [accountMerge, setAccountMerge] = useState(null); // { email, password, guestData, isMerging } when a guest signs in to an existing account
+    const [accountEmail, setAccountEmail] = useState(''); // Signed-in user's email, empty for guests
+    const [emailVerified, setEmailVerified] = useState(false);
+    const [showSettings, setShowSettings] = useState(initialRoute.name === 'settings');
+    const [accountDeletionProgress, setAccountDeletionProgress] = useState(null); // { done, total } while the account's data is removed
 
     // State for managing activity items
     const [activityItems, setActivityItems] = useState([]);
+    const [activitiesLoaded, setActivitiesLoaded] = useState(false); // Share links are only published once activities are known
     const [newActivityName, setNewActivityName] = useState('');
     const [newActivityColor, setNewActivityColor] = useState('#000000'); // Default color for new activities
+    const [editingActivity, setEditingActivity] = useState(null); // { id, name, color } of the activity being edited
+    const [activityUpdateProgress, setActivityUpdateProgress] = useState(null); // { activityId, done, total } while entries are updated
+    const [activityDeletion, setActivityDeletion] = useState(null); // { activity, usage, entryIds } while deleting an activity
 
     // State for calendar and scheduling
-    const [currentMonth, setCurrentMonth] = useState(new Date()); // Current month displayed in calendar
-    const [selectedDate, setSelectedDate] = useState(new Date()); // Currently selected date
-    const [scheduleEntries, setScheduleEntries] = useState([]); // Schedule entries for the selected date
-    // New state to store all relevant schedules for the current month for dot indicators
-    const [monthlyScheduleData, setMonthlyScheduleData] = useState(new Map()); // Stores 'YYYY-MM-DD' -> color string
+    const [currentMonth, setCurrentMonth] = useState(() => getMonthStart(getRouteDate(initialRoute))); // Current month displayed in calendar
+    const [selectedDate, setSelectedDate] = useState(() => getRouteDate(initialRoute)); // Currently selected date
+    const [calendarView, setCalendarView] = useState(initialRoute.view || 'month'); // 'month', 'week' or 'day'
 
+    const [newScheduleDate, setNewScheduleDate] = useState(toDateKey(new Date())); // Date of a one-time entry being edited
     const [newScheduleStartTime, setNewScheduleStartTime] = useState('09:00'); // Default start time for new entry
     const [newScheduleEndTime, setNewScheduleEndTime] = useState('10:00'); // Default end time for new entry
     const [newScheduleActivityId, setNewScheduleActivityId] = useState(''); // Selected activity for new entry
     // New states for recurrence
-    const [newScheduleRecurrenceType, setNewScheduleRecurrenceType] = useState('none'); // 'none', 'daily', 'weekly'
+    const [newScheduleRecurrenceType, setNewScheduleRecurrenceType] = useState('none'); // 'none', 'daily', 'weekly', 'monthly'
+    const [newScheduleRecurrenceInterval, setNewScheduleRecurrenceInterval] = useState(1); // Repeat every N days/weeks/months
     const [newScheduleRecurrenceDays, setNewScheduleRecurrenceDays] = useState([]); // Array of numbers (0-6) for weekly recurrence
-    const [newScheduleRecurrenceStartDate, setNewScheduleRecurrenceStartDate] = useState(new Date().toISOString().split('T')[0]); // Start date for recurrence
+    const [newScheduleRecurrenceMonthlyMode, setNewScheduleRecurrenceMonthlyMode] = useState('dayOfMonth'); // 'dayOfMonth' or 'nthWeekday'
+    const [newScheduleRecurrenceWeekOfMonth, setNewScheduleRecurrenceWeekOfMonth] = useState(1); // 1-4, or -1 for the last week
+    const [newScheduleRecurrenceWeekday, setNewScheduleRecurrenceWeekday] = useState(0); // Weekday for the "Nth weekday" rule
+    const [newScheduleRecurrenceStartDate, setNewScheduleRecurrenceStartDate] = useState(toDateKey(new Date())); // Start date for recurrence
+    const [newScheduleRecurrenceEndMode, setNewScheduleRecurrenceEndMode] = useState('never'); // 'never', 'onDate' or 'afterCount'
     const [newScheduleRecurrenceEndDate, setNewScheduleRecurrenceEndDate] = useState(''); // End date for recurrence
+    const [newScheduleRecurrenceCount, setNewScheduleRecurrenceCount] = useState(10); // Number of occurrences when ending after a count
+    const [editingEntry, setEditingEntry] = useState(null); // Stored schedule entry being edited, or null when adding
+
+    // State for the overlap warning shown before saving a clashing entry
+    const [pendingConflicts, setPendingConflicts] = useState(null); // { conflicts, onSaveAnyway }
+
+    // State for acting on a single occurrence of a recurring entry
+    const [occurrenceAction, setOccurrenceAction] = useState(null); // { type: 'delete' | 'reschedule', occurrence }
+    const [overrideStartTime, setOverrideStartTime] = useState('09:00');
+    const [overrideEndTime, setOverrideEndTime] = useState('10:00');
+
+    // State for copying a day or week of entries
+    const [copyAction, setCopyAction] = useState(null); // { scope: 'day' | 'week', sourceDateKey }
 
     // State for sharing functionality
-    const [shareLink, setShareLink] = useState('');
+    const [shareLinks, setShareLinks] = useState([]); // The user's share link documents, newest first
     const [showShareModal, setShowShareModal] = useState(false);
+    const publishedSchedulesRef = useRef(new Map()); // Share link ID -> content last published for it this session
+
+    // State for booking requests sent from share links
+    const [bookingRequests, setBookingRequests] = useState([]);
+    const [showBookingRequests, setShowBookingRequests] = useState(false);
+
+    // State for importing .ics files
+    const [importPreview, setImportPreview] = useState(null); // { fileName, items }
 
     // Determine if we are in share view
-    const isShareView = window.location.pathname.includes('/share');
+    const isShareView = initialRoute.name === 'share';
+    // The group view combines several share links and, like the share view, needs no sign-in
+    const isGroupView = initialRoute.name === 'group';
 
     // useEffect hook to initialize Firebase and set up authentication listener
     useEffect(() => {
         // Only initialize if not in share view, as ShareView handles its own Firebase init
-        if (isShareView) {
+        if (isShareView || isGroupView) {
             // Initialize Firebase for the ShareView as well
             try {
                 const appId = typeof __app_id !== 'undefined' ? __app_id : 'default-app-id';
@@ -270,7 +401,7 @@ const App = () => {
                 }
                 const app = initializeApp(firebaseConfig);
                 setFirebaseApp(app);
-                setDb(getFirestore(app));
+                setRepository(createFirestoreRepository(getFirestore(app), appId));
                 setLoading(false); // Done loading for share view
             } catch (e) {
                 console.error("Failed to initialize Firebase for ShareView:", e);
@@ -293,35 +424,54 @@ const App = () => {
                 return;
             }
 
-            // Initialize Firebase app, Firestore, and Auth services
+            // Initialize Firebase app, Firestore, and Auth services. Firestore keeps a persistent cache, shared between tabs,
+            // so the schedule loads and can be changed without a connection; changes made offline sync once it is back.
             const app = initializeApp(firebaseConfig);
-            const firestore = getFirestore(app);
+            const firestore = initializeFirestore(app, {
+                localCache: persistentLocalCache({ tabManager: persistentMultipleTabManager() })
+            });
             const firebaseAuth = getAuth(app);
+            const firestoreRepository = createFirestoreRepository(firestore, appId);
 
             // Set the initialized instances to state
             setFirebaseApp(app);
-            setDb(firestore);
+            setRepository(firestoreRepository);
             setAuth(firebaseAuth);
 
             // Set up an authentication state change listener
             const unsubscribe = onAuthStateChanged(firebaseAuth, async (user) => {
                 if (user) {
-                    setUserId(user.uid);
                     // Fetch user profile data to get display name and time zone
-                    const userProfileRef = doc(firestore, `artifacts/${appId}/users/${user.uid}/profile/userProfile`);
-                    const userProfileSnap = await getDoc(userProfileRef);
-                    if (userProfileSnap.exists()) {
-                        const profileData = userProfileSnap.data();
-                        setDisplayName(profileData.displayName || user.email);
-                        setUserTimeZone(profileData.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+                    const profileData = await firestoreRepository.profiles.get(user.uid);
+                    if (profileData) {
+                        const profileTimeZone = profileData.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+                        setDisplayName(profileData.displayName || user.email || GUEST_DISPLAY_NAME);
+                        setUserTimeZone(profileTimeZone);
+                        setWorkingHours(profileData.workingHours || getDefaultWorkingHours());
+                        // Entries written by older versions only show up in date-window queries once migrated
+                        if ((profileData.scheduleSchemaVersion || 1) < SCHEDULE_SCHEMA_VERSION) {
+                            const handleMigrationError = (err) => console.error("Error migrating schedule entries:", err);
+                            migrateScheduleEntries(firestoreRepository, user.uid, profileTimeZone)
+                                .then(({ written }) => trackWrite(written, handleMigrationError))
+                                .catch(handleMigrationError);
+                        }
                     } else {
                         // If no profile exists, create one with default display name (email) and detected time zone
-                        const defaultDisplayName = user.email.split('@')[0] || user.email;
+                        const defaultDisplayName = user.email ? user.email.split('@')[0] || user.email : GUEST_DISPLAY_NAME;
                         const detectedTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-                        await setDoc(userProfileRef, { displayName: defaultDisplayName, timeZone: detectedTimeZone });
+                        await firestoreRepository.profiles.set(user.uid, {
+                            displayName: defaultDisplayName,
+                            timeZone: detectedTimeZone,
+                            scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION
+                        });
                         setDisplayName(defaultDisplayName);
                         setUserTimeZone(detectedTimeZone);
                     }
+                    // Set the user last, so schedule listeners start with the profile's time zone
+                    setIsAnonymous(user.isAnonymous);
+                    setAccountEmail(user.email || '');
+                    setEmailVerified(user.emailVerified);
+                    setUserId(user.uid);
                 } else {
                     // If no user is logged in, attempt to sign in with custom token or anonymously
                     if (typeof __initial_auth_token !== 'undefined' && __initial_auth_token) {
@@ -337,6 +487,7 @@ const App = () => {
                     }
                     setDisplayName(''); // Clear display name on sign out
                     setUserTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone); // Reset to default browser time zone
+                    setWorkingHours(getDefaultWorkingHours());
                 }
                 setLoading(false); // Authentication process is complete, stop loading
             });
@@ -348,127 +499,130 @@ const App = () => {
             setError("Failed to initialize application. Please refresh.");
             setLoading(false);
         }
-    }, [isShareView]); // Dependency on isShareView to re-run init logic
+    }, [isShareView, isGroupView]); // Dependency on isShareView to re-run init logic
 
     // useEffect hook to fetch activity items once Firebase and user are ready
     useEffect(() => {
-        // Only fetch if not in share view and db/userId are available
-        if (!isShareView && db && userId) {
-            // Construct the Firestore collection reference for user-specific activity items
-            const activitiesColRef = collection(db, `artifacts/${__app_id}/users/${userId}/activityItems`);
-            const q = query(activitiesColRef); // Create a query to get all documents in the collection
-
-            // Set up a real-time listener for activity items
-            const unsubscribe = onSnapshot(q, (snapshot) => {
-                // Map snapshot documents to an array of activity item objects
-                const items = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        // Only fetch if not in share view and the repository/userId are available
+        if (!isShareView && repository && userId) {
+            // Set up a real-time listener for the user's activity items
+            const unsubscribe = repository.activities.subscribe(userId, (items, pendingWrites) => {
                 setActivityItems(items); // Update the activity items state
-                // Set default selected activity if there are items and none is selected
-                if (items.length > 0 && !newScheduleActivityId) {
-                    setNewScheduleActivityId(items[0].id);
-                }
+                reportPendingWrites('activities', pendingWrites);
+                setActivitiesLoaded(true);
             }, (err) => {
                 console.error("Error fetching activity items:", err);
                 setError("Failed to load activity items."); // Display error if fetching fails
             });
 
             // Clean up the listener when the component unmounts or dependencies change
-            return () => unsubscribe();
+            return () => {
+                unsubscribe();
+                reportPendingWrites('activities', []);
+            };
         }
-    }, [db, userId, newScheduleActivityId, isShareView]); // Dependencies: re-run when db or userId changes
+    }, [repository, userId, isShareView, reportPendingWrites]); // Dependencies: re-run when the repository or userId changes
 
-    // useEffect hook to fetch all schedule entries for the current month for calendar dots and selected date view
+    // Set default selected activity if there are items and none is selected; archived ones are not offered.
+    // Kept apart from the listener above, so selecting an activity does not set that up again.
     useEffect(() => {
-        if (!isShareView && db && userId && currentMonth) {
-            const scheduleColRef = collection(db, `artifacts/${__app_id}/users/${userId}/schedules`);
-            const q = query(scheduleColRef);
-
-            const unsubscribe = onSnapshot(q, (snapshot) => {
-                const allEntries = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-                const currentMonthStartDate = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1);
-                const currentMonthEndDate = new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0);
-
-                const datesWithActivities = new Map(); // Changed to Map to store color
-                const entriesForSelectedDate = [];
-                const selectedDateString = selectedDate.toISOString().split('T')[0];
-                const selectedDayOfWeek = selectedDate.getDay();
-
-                allEntries.forEach(entry => {
-                    const entryStartDate = entry.recurrenceStartDate ? new Date(entry.recurrenceStartDate) : null;
-                    const entryEndDate = entry.recurrenceEndDate ? new Date(entry.recurrenceEndDate) : null;
-
-                    // Helper to check if a given date falls within a recurrence range
-                    const isDateWithinRecurrenceRange = (dateToCheck) => {
-                        const dateOnly = new Date(dateToCheck.getFullYear(), dateToCheck.getMonth(), dateToCheck.getDate());
-                        return (!entryStartDate || dateOnly >= entryStartDate) &&
-                               (!entryEndDate || dateOnly <= entryEndDate);
-                    };
-
-                    // Check if the entry is relevant for the current month's calendar display
-                    const isRelevantForMonth = (entry.recurrenceType === 'none' &&
-                                                new Date(entry.date).getMonth() === currentMonth.getMonth() &&
-                                                new Date(entry.date).getFullYear() === currentMonth.getFullYear()) ||
-                                               (entry.recurrenceType !== 'none' &&
-                                                isDateWithinRecurrenceRange(currentMonthStartDate) ||
-                                                isDateWithinRecurrenceRange(currentMonthEndDate) ||
-                                                (currentMonthStartDate >= entryStartDate && currentMonthEndDate <= entryEndDate)
-                                               );
-
-                    if (isRelevantForMonth) {
-                        // Populate monthlyScheduleData for dots
-                        if (entry.recurrenceType === 'none') {
-                            if (new Date(entry.date).getMonth() === currentMonth.getMonth() && new Date(entry.date).getFullYear() === currentMonth.getFullYear()) {
-                                datesWithActivities.set(entry.date, entry.activityColor); // Store color
-                            }
-                        } else {
-                            // For recurring events, iterate through days of the current month
-                            let tempDate = new Date(currentMonthStartDate);
-                            while (tempDate <= currentMonthEndDate) {
-                                const tempDateString = tempDate.toISOString().split('T')[0];
-                                const tempDayOfWeek = tempDate.getDay();
-
-                                if (isDateWithinRecurrenceRange(tempDate) &&
-                                    (entry.recurrenceType === 'daily' ||
-                                     (entry.recurrenceType === 'weekly' && entry.recurrenceDays.includes(tempDayOfWeek)))) {
-                                    // If multiple activities on a day, the last one's color will be used.
-                                    // For more robust handling, could store an array of colors or pick a primary.
-                                    datesWithActivities.set(tempDateString, entry.activityColor);
-                                }
-                                tempDate.setDate(tempDate.getDate() + 1);
-                            }
-                        }
-                    }
+        const activeItems = activityItems.filter(item => !item.archived);
+        if (activeItems.length > 0 && !newScheduleActivityId) {
+            setNewScheduleActivityId(activeItems[0].id);
+        }
+    }, [activityItems, newScheduleActivityId]);
 
-                    // Filter for entries specific to the selected date
-                    const isWithinRecurrenceRangeForSelectedDate = isDateWithinRecurrenceRange(selectedDate);
+    // Schedule entries that can overlap the month on screen. Selecting another date reuses them; the listener only
+    // moves when the month does. Older entries without range bounds are migrated once the profile is loaded.
+    const handleScheduleLoadError = (err) => {
+        console.error("Error fetching schedule entries:", err);
+        setError("Failed to load schedule entries.");
+    };
+    const monthWindow = getMonthWindow(currentMonth);
+    const { entries: monthScheduleEntries } = useScheduleEntriesInWindow(
+        repository,
+        userId,
+        monthWindow,
+        handleScheduleLoadError,
+        (pendingWrites) => reportPendingWrites('monthSchedules', pendingWrites)
+    );
+    // Schedule entries within the ranges the share links publish, which can lie outside the month on screen
+    const { entries: sharedRangeEntries, loaded: sharedRangeLoaded } = useScheduleEntriesInWindow(
+        repository,
+        userId,
+        getShareLinksWindow(shareLinks),
+        handleScheduleLoadError,
+        (pendingWrites) => reportPendingWrites('sharedSchedules', pendingWrites)
+    );
 
-                    if (isWithinRecurrenceRangeForSelectedDate) {
-                        const isOneTime = entry.recurrenceType === 'none' && entry.date === selectedDateString;
-                        const isDailyRecurring = entry.recurrenceType === 'daily';
-                        const isWeeklyRecurring = entry.recurrenceType === 'weekly' &&
-                                                  entry.recurrenceDays &&
-                                                  entry.recurrenceDays.includes(selectedDayOfWeek);
+    // Occurrences of the month on screen by date; recomputed when entries arrive, not when another date is selected
+    const monthStartKey = toDateKey(new Date(currentMonth.getFullYear(), currentMonth.getMonth(), 1));
+    const monthEndKey = toDateKey(new Date(currentMonth.getFullYear(), currentMonth.getMonth() + 1, 0));
+    const monthlyScheduleData = useMemo(
+        () => groupOccurrencesByDate(monthScheduleEntries, monthStartKey, monthEndKey, userTimeZone),
+        [monthScheduleEntries, monthStartKey, monthEndKey, userTimeZone]
+    );
 
-                        if (isOneTime || isDailyRecurring || isWeeklyRecurring) {
-                            entriesForSelectedDate.push(entry);
-                        }
-                    }
-                });
-
-                setMonthlyScheduleData(datesWithActivities);
-                setScheduleEntries(entriesForSelectedDate.sort((a, b) => {
-                    const timeA = new Date(a.startDateTimeUTC);
-                    const timeB = new Date(b.startDateTimeUTC);
-                    return timeA - timeB;
-                }));
+    // useEffect hook to list the user's share links for the "Manage shared links" panel
+    useEffect(() => {
+        if (!isShareView && repository && userId) {
+            const unsubscribe = repository.shareLinks.subscribeByOwner(userId, (links, pendingWrites) => {
+                setShareLinks(links.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || '')));
+                reportPendingWrites('shareLinks', pendingWrites);
             }, (err) => {
-                console.error("Error fetching schedule entries:", err);
-                setError("Failed to load schedule entries.");
+                console.error("Error fetching share links:", err);
+                setError("Failed to load shared links.");
             });
 
-            return () => unsubscribe();
+            return () => {
+                unsubscribe();
+                reportPendingWrites('shareLinks', []);
+            };
         }
-    }, [db, userId, selectedDate, currentMonth, isShareView]); // Re-fetch when db, userId, selectedDate, or currentMonth changes
+    }, [repository, userId, isShareView, reportPendingWrites]);
+
+    // useEffect hook to listen for booking requests sent from the user's share links
+    useEffect(() => {
+        if (!isShareView && repository && userId) {
+            const unsubscribe = repository.bookingRequests.subscribe(userId, (requests, pendingWrites) => {
+                setBookingRequests(requests);
+                reportPendingWrites('bookingRequests', pendingWrites);
+            }, (err) => {
+                console.error("Error fetching booking requests:", err);
+                setError("Failed to load booking requests.");
+            });
+
+            return () => {
+                unsubscribe();
+                reportPendingWrites('bookingRequests', []);
+            };
+        }
+    }, [repository, userId, isShareView, reportPendingWrites]);
+
+    // useEffect hook to keep the schedule published for each share link up to date.
+    // Share pages only read these documents, so entries are published with each link's visibility settings applied.
+    useEffect(() => {
+        // Publishing before both collections arrived would briefly share an empty schedule, or private activities in full
+        if (isShareView || !repository || !userId || !activitiesLoaded || !sharedRangeLoaded) return;
+        // While an account is deleted, publishing would bring back schedules that were just removed
+        if (accountDeletionProgress) return;
+        shareLinks.forEach(link => {
+            const lastPublished = publishedSchedulesRef.current.get(link.id);
+            if (!isPublishable(link)) {
+                if (lastPublished !== null) {
+                    publishedSchedulesRef.current.set(link.id, null);
+                    repository.publishedSchedules.remove(link.id).catch(err => console.error("Error removing published schedule:", err));
+                }
+                return;
+            }
+            const published = buildPublishedSchedule(link, sharedRangeEntries, activityItems, bookingRequests, { displayName, timeZone: userTimeZone, workingHours });
+            const content = JSON.stringify(published);
+            if (content === lastPublished) return;
+            publishedSchedulesRef.current.set(link.id, content);
+            repository.publishedSchedules.set(link.id, { ...published, publishedAt: new Date().toISOString() })
+                .catch(err => console.error("Error publishing shared schedule:", err));
+        });
+    }, [repository, userId, shareLinks, sharedRangeEntries, activityItems, bookingRequests, activitiesLoaded, sharedRangeLoaded, displayName, userTimeZone, workingHours, isShareView, accountDeletionProgress]);
 
     // Handler for user authentication (login/signup)
     const handleAuth = async (e) => {
@@ -477,20 +631,35 @@ const App = () => {
         setError(null); // Clear previous errors
         try {
             if (isLogin) {
+                // Signing in leaves the guest account behind, so offer to bring its data along first
+                if (isAnonymous) {
+                    const guestData = await readAccountData(repository, userId);
+                    if (hasAccountData(guestData)) {
+                        setAccountMerge({ email, password, guestData, isMerging: false });
+                        return;
+                    }
+                }
                 // Attempt to sign in with provided email and password
                 await signInWithEmailAndPassword(auth, email, password);
+                setShowAuthForm(false);
+            } else if (isAnonymous) {
+                await upgradeGuestAccount();
             } else {
                 // Attempt to create a new user with email and password
                 const userCredential = await createUserWithEmailAndPassword(auth, email, password);
                 const user = userCredential.user;
                 if (user) {
                     // After successful signup, immediately create a user profile
-                    const userProfileRef = doc(db, `artifacts/${__app_id}/users/${user.uid}/profile/userProfile`);
                     const defaultDisplayName = email.split('@')[0] || email;
                     const detectedTimeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
-                    await setDoc(userProfileRef, { displayName: defaultDisplayName, timeZone: detectedTimeZone });
+                    await repository.profiles.set(user.uid, {
+                        displayName: defaultDisplayName,
+                        timeZone: detectedTimeZone,
+                        scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION
+                    });
                     setDisplayName(defaultDisplayName);
                     setUserTimeZone(detectedTimeZone);
+                    await sendVerificationEmail(user);
                 }
             }
         } catch (e) {
@@ -501,6 +670,74 @@ const App = () => {
         }
     };
 
+    // Turn the guest account into an email account. Linking keeps the uid, so everything entered as a guest stays.
+    // When the email already has an account, the guest is offered to merge into it instead.
+    const upgradeGuestAccount = async () => {
+        try {
+            const { user } = await linkWithCredential(auth.currentUser, EmailAuthProvider.credential(email, password));
+            const upgradedDisplayName = email.split('@')[0] || email;
+            await repository.profiles.update(user.uid, { displayName: upgradedDisplayName });
+            setDisplayName(upgradedDisplayName);
+            setIsAnonymous(false);
+            setAccountEmail(user.email);
+            setEmailVerified(user.emailVerified);
+            setShowAuthForm(false);
+            await sendVerificationEmail(user);
+        } catch (e) {
+            if (e.code !== 'auth/email-already-in-use' && e.code !== 'auth/credential-already-in-use') throw e;
+            const guestData = await readAccountData(repository, userId);
+            setAccountMerge({ email, password, guestData, isMerging: false });
+        }
+    };
+
+    // Handler to sign a guest in to an existing account, copying the guest's data into it when mergeGuestData is set.
+    // The guest's data was read while still signed in as the guest, since only the guest can read it.
+    const handleSignInFromGuest = async (mergeGuestData) => {
+        const { email: accountEmail, password: accountPassword, guestData } = accountMerge;
+        setAccountMerge(merge => ({ ...merge, isMerging: true }));
+        setError(null);
+        try {
+            const { user } = await signInWithEmailAndPassword(auth, accountEmail, accountPassword);
+            if (mergeGuestData) {
+                const result = await mergeAccountData(repository, user.uid, guestData);
+                setError(`Merged ${result.activitiesAdded} new activities and ${result.entriesAdded} schedule entries into your account` +
+                    (result.duplicateEntries > 0 ? `; ${result.duplicateEntries} entries it already had were skipped.` : '.'));
+            }
+            setAccountMerge(null);
+            setShowAuthForm(false);
+        } catch (e) {
+            console.error("Error signing in from guest account:", e);
+            setError(mergeGuestData ? `Failed to merge your guest data: ${e.message}` : e.message);
+            setAccountMerge(null);
+        }
+    };
+
+    // Send the email verification link; a failure is reported but does not undo the sign-up
+    const sendVerificationEmail = async (user) => {
+        try {
+            await sendEmailVerification(user);
+        } catch (e) {
+            console.error("Error sending verification email:", e);
+            setError("Your account was created, but the verification email could not be sent. You can resend it from Settings.");
+        }
+    };
+
+    // Handler for the forgotten-password link, which emails a reset link to the address entered in the login form
+    const handleForgotPassword = async () => {
+        setError(null);
+        if (!email) {
+            setError("Enter your email address, then choose \"Forgot password?\" again.");
+            return;
+        }
+        try {
+            await sendPasswordResetEmail(auth, email);
+            setError(`If an account exists for ${email}, a password reset link has been sent to it.`);
+        } catch (e) {
+            console.error("Error sending password reset email:", e);
+            setError(e.code === 'auth/invalid-email' ? "Please enter a valid email address." : "Failed to send the password reset email.");
+        }
+    };
+
     // Handler for user sign out
     const handleSignOut = async () => {
         setLoading(true); // Start loading state
@@ -512,6 +749,7 @@ const App = () => {
             setEmail(''); // Clear email input
             setPassword(''); // Clear password input
             setUserTimeZone(Intl.DateTimeFormat().resolvedOptions().timeZone); // Reset to default browser time zone
+            setWorkingHours(getDefaultWorkingHours());
         } catch (e) {
             console.error("Sign out error:", e);
             setError(e.message); // Display sign out error message
@@ -521,111 +759,296 @@ const App = () => {
     };
 
     // Handler to update user's time zone in Firestore
-    const handleTimeZoneChange = async (e) => {
-        const newTimeZone = e.target.value;
+    const handleTimeZoneChange = (newTimeZone) => {
         setUserTimeZone(newTimeZone);
-        if (db && userId) {
-            try {
-                const userProfileRef = doc(db, `artifacts/${__app_id}/users/${userId}/profile/userProfile`);
-                await updateDoc(userProfileRef, { timeZone: newTimeZone });
-            } catch (e) {
+        if (repository && userId) {
+            trackWrite(repository.profiles.update(userId, { timeZone: newTimeZone }), (e) => {
                 console.error("Error updating time zone:", e);
                 setError("Failed to update time zone.");
-            }
+            });
+        }
+    };
+
+    // Handler to save the user's working hours to their profile
+    const handleSaveWorkingHours = (newWorkingHours) => {
+        setWorkingHours(newWorkingHours);
+        setIsEditingWorkingHours(false);
+        if (repository && userId) {
+            trackWrite(repository.profiles.update(userId, { workingHours: newWorkingHours }), (e) => {
+                console.error("Error updating working hours:", e);
+                setError("Failed to update working hours.");
+            });
+        }
+    };
+
+    // Account changes below are made from the settings screen, which shows their errors itself:
+    // each handler resolves to an error message, or null when it succeeded.
+
+    // Turn an error from confirming the user's password into a message
+    const getPasswordErrorMessage = (e) => {
+        if (e.code === 'auth/wrong-password' || e.code === 'auth/invalid-credential') return "The password is incorrect.";
+        if (e.code === 'auth/too-many-requests') return "Too many attempts. Please try again later.";
+        return e.message;
+    };
+
+    // Changing the password and deleting the account need a recent sign-in, so the user confirms their password first
+    const reauthenticate = (currentPassword) =>
+        reauthenticateWithCredential(auth.currentUser, EmailAuthProvider.credential(accountEmail, currentPassword));
+
+    // Handler to save the display name shown on the user's shared schedules; it is queued while offline, so a failure
+    // only shows once the server rejects it
+    const handleSaveDisplayName = (newDisplayName) => {
+        trackWrite(repository.profiles.update(userId, { displayName: newDisplayName }), (e) => {
+            console.error("Error updating display name:", e);
+            setError("Failed to save display name.");
+        });
+        setDisplayName(newDisplayName);
+        return null;
+    };
+
+    // Handler to send the verification email again
+    const handleResendVerification = async () => {
+        try {
+            await sendEmailVerification(auth.currentUser);
+            return null;
+        } catch (e) {
+            console.error("Error sending verification email:", e);
+            return e.code === 'auth/too-many-requests' ? "Too many attempts. Please try again later." : "Failed to send the verification email.";
+        }
+    };
+
+    // Handler to pick up a verification made in another tab; the auth state does not change when the link is opened
+    const handleRefreshVerification = async () => {
+        try {
+            await auth.currentUser.reload();
+            setEmailVerified(auth.currentUser.emailVerified);
+            return auth.currentUser.emailVerified ? null : "Your email is not verified yet. Open the link in the verification email first.";
+        } catch (e) {
+            console.error("Error refreshing verification status:", e);
+            return "Failed to check the verification status.";
+        }
+    };
+
+    // Handler to change the password of an email account
+    const handleChangePassword = async (currentPassword, newPassword) => {
+        try {
+            await reauthenticate(currentPassword);
+            await updatePassword(auth.currentUser, newPassword);
+            return null;
+        } catch (e) {
+            console.error("Error changing password:", e);
+            return e.code === 'auth/weak-password' ? "The new password is too weak." : getPasswordErrorMessage(e);
         }
     };
 
+    // Handler to delete the account: everything stored for the user is removed before the sign-in itself, since
+    // Firestore keeps a user's documents after the account is gone. Afterwards the app continues as a new guest.
+    const handleDeleteAccount = async (currentPassword) => {
+        try {
+            await reauthenticate(currentPassword);
+        } catch (e) {
+            console.error("Error confirming password:", e);
+            return getPasswordErrorMessage(e);
+        }
+        setAccountDeletionProgress({ done: 0, total: 0 });
+        try {
+            await deleteAccountData(repository, userId, (done, total) => setAccountDeletionProgress({ done, total }));
+            await deleteUser(auth.currentUser);
+        } catch (e) {
+            console.error("Error deleting account:", e);
+            setAccountDeletionProgress(null);
+            return `Failed to delete your account (${e.message}). Please try again.`;
+        }
+        setAccountDeletionProgress(null);
+        setShowSettings(false);
+        setUserId(null);
+        setDisplayName('');
+        setEmail('');
+        setPassword('');
+        setError("Your account and all of its data were deleted.");
+        return null;
+    };
+
     // Handler to add a new activity item
-    const handleAddActivity = async () => {
+    const handleAddActivity = () => {
         // Validate input fields
         if (!newActivityName.trim() || !newActivityColor) {
             setError("Activity name and color cannot be empty.");
             return;
         }
-        // Ensure db and userId are available
-        if (db && userId) {
-            try {
-                // Add a new document to the activityItems collection
-                await addDoc(collection(db, `artifacts/${__app_id}/users/${userId}/activityItems`), {
-                    name: newActivityName,
-                    color: newActivityColor,
-                    userId: userId, // Store userId for ownership
-                    createdAt: new Date().toISOString() // Timestamp for creation
-                });
-                // Clear input fields after successful addition
-                setNewActivityName('');
-                setNewActivityColor('#000000');
-            } catch (e) {
+        // Ensure the repository and userId are available
+        if (repository && userId) {
+            // Add a new activity item; not awaited, so it is queued while offline
+            trackWrite(repository.activities.add(userId, {
+                name: newActivityName,
+                color: newActivityColor,
+                userId: userId, // Store userId for ownership
+                createdAt: new Date().toISOString() // Timestamp for creation
+            }), (e) => {
                 console.error("Error adding activity:", e);
                 setError("Failed to add activity."); // Display error message
-            }
+            });
+            // Clear input fields; the new activity already shows from the local cache
+            setNewActivityName('');
+            setNewActivityColor('#000000');
         }
     };
 
-    // Handler to delete an activity item
+    // Handler to save a renamed or recolored activity and copy the change into every schedule entry that uses it,
+    // since entries keep their own copy of the activity's name and color. Progress shows until the server has them all.
+    const handleSaveActivity = async () => {
+        const { id, name, color } = editingActivity;
+        if (!name.trim() || !color) {
+            setError("Activity name and color cannot be empty.");
+            return;
+        }
+        if (!repository || !userId) return;
+        const changes = { activityName: name.trim(), activityColor: color };
+        const handleWriteError = (e) => {
+            console.error("Error updating activity:", e);
+            setError("Failed to update activity.");
+        };
+        trackWrite(repository.activities.update(userId, id, {
+            name: changes.activityName,
+            color: changes.activityColor,
+            updatedAt: new Date().toISOString()
+        }), handleWriteError);
+        setEditingActivity(null);
+
+        try {
+            const entryIds = (await repository.schedules.listByActivity(userId, id)).map(entry => entry.id);
+            setActivityUpdateProgress({ activityId: id, done: 0, total: entryIds.length });
+            trackWrite(
+                repository.schedules.updateMany(userId, entryIds, changes, (done, total) => setActivityUpdateProgress({ activityId: id, done, total }))
+                    .then(({ failed }) => {
+                        if (failed > 0) {
+                            setError(`The activity was saved, but ${failed} of ${entryIds.length} schedule entries could not be updated. Save it again to retry.`);
+                        }
+                    })
+                    .finally(() => setActivityUpdateProgress(null)),
+                handleWriteError
+            );
+        } catch (e) {
+            handleWriteError(e);
+        }
+    };
+
+    // Handler to change how an activity appears on share links ('full', 'busy' or 'hidden')
+    const handleActivityVisibilityChange = (id, shareVisibility) => {
+        if (repository && userId) {
+            trackWrite(repository.activities.update(userId, id, { shareVisibility }), (e) => {
+                console.error("Error updating activity visibility:", e);
+                setError("Failed to update activity visibility.");
+            });
+        }
+    };
+
+    // Handler to start deleting an activity: counts the schedule entries that use it, so the user can decide what
+    // happens to them before anything is deleted
     const handleDeleteActivity = async (id) => {
-        // Ensure db and userId are available
-        if (db && userId) {
-            try {
-                // Delete the document from the activityItems collection using its ID
-                await deleteDoc(doc(db, `artifacts/${__app_id}/users/${userId}/activityItems`, id));
-            } catch (e) {
+        const activity = activityItems.find(item => item.id === id);
+        if (!activity || !repository || !userId) return;
+        setActivityDeletion({ activity, usage: null, entryIds: [] });
+        try {
+            const entries = await repository.schedules.listByActivity(userId, id);
+            setActivityDeletion({
+                activity,
+                usage: {
+                    entryCount: entries.length,
+                    seriesCount: entries.filter(entry => entry.recurrenceType && entry.recurrenceType !== 'none').length,
+                },
+                entryIds: entries.map(entry => entry.id),
+            });
+        } catch (e) {
+            console.error("Error counting activity entries:", e);
+            setError("Failed to check which schedule entries use this activity.");
+            setActivityDeletion(null);
+        }
+    };
+
+    // Stop offering a deleted or archived activity in the schedule form
+    const releaseActivitySelection = (id) => {
+        if (newScheduleActivityId === id) {
+            const remaining = activeActivityItems.filter(item => item.id !== id);
+            setNewScheduleActivityId(remaining.length > 0 ? remaining[0].id : '');
+        }
+        setActivityDeletion(null);
+    };
+
+    // Write the entries of the activity being deleted, then delete the activity unless some writes failed. The dialog
+    // closes once the writes are made; progress shows next to the activity until the server has confirmed them, and only
+    // then is the activity removed.
+    const removeActivityAfter = (writeEntries) => {
+        const { activity, entryIds } = activityDeletion;
+        const onProgress = (done, total) => setActivityUpdateProgress({ activityId: activity.id, done, total });
+        onProgress(0, entryIds.length);
+        releaseActivitySelection(activity.id);
+        trackWrite(
+            writeEntries(entryIds, onProgress)
+                .then(({ failed }) => {
+                    if (failed > 0) {
+                        // Keep the activity, so the entries that were not written still point to something
+                        setError(`${failed} of ${entryIds.length} schedule entries could not be updated, so "${activity.name}" was kept. Please try again.`);
+                        return;
+                    }
+                    return repository.activities.remove(userId, activity.id);
+                })
+                .finally(() => setActivityUpdateProgress(null)),
+            (e) => {
                 console.error("Error deleting activity:", e);
                 setError("Failed to delete activity.");
             }
-        }
+        );
     };
 
-    // Calendar functions
-    const getDaysInMonth = (date) => {
-        const year = date.getFullYear();
-        const month = date.getMonth();
-        return new Date(year, month + 1, 0).getDate();
+    // Handler to move the entries of the activity being deleted to another activity, then delete it
+    const handleReassignActivityEntries = (targetActivityId) => {
+        const target = activityItems.find(item => item.id === targetActivityId);
+        if (!target) {
+            setError("Selected activity not found.");
+            return;
+        }
+        const changes = { activityId: target.id, activityName: target.name, activityColor: target.color };
+        removeActivityAfter((entryIds, onProgress) => repository.schedules.updateMany(userId, entryIds, changes, onProgress));
     };
 
-    const getFirstDayOfMonth = (date) => {
-        const year = date.getFullYear();
-        const month = date.getMonth();
-        return new Date(year, month, 1).getDay(); // 0 for Sunday, 1 for Monday, etc.
+    // Handler to delete the activity being deleted together with all of its entries
+    const handleDeleteActivityEntries = () => {
+        removeActivityAfter((entryIds, onProgress) => repository.schedules.removeMany(userId, entryIds, onProgress));
     };
 
-    const renderCalendarDays = () => {
-        const daysInMonth = getDaysInMonth(currentMonth);
-        const firstDay = getFirstDayOfMonth(currentMonth);
-        const days = [];
+    // Handler to archive an activity instead of deleting it: its entries stay, but it is no longer offered for new ones
+    const handleArchiveActivity = () => {
+        const { activity } = activityDeletion;
+        trackWrite(repository.activities.update(userId, activity.id, {
+            archived: true,
+            archivedAt: new Date().toISOString()
+        }), (e) => {
+            console.error("Error archiving activity:", e);
+            setError("Failed to archive activity.");
+        });
+        releaseActivitySelection(activity.id);
+    };
 
-        // Add empty cells for days before the 1st of the month
-        for (let i = 0; i < firstDay; i++) {
-            days.push(<div key={`empty-${i}`} className="p-2 text-center text-gray-400"></div>);
+    // Handler to bring an archived activity back into the picker
+    const handleRestoreActivity = (id) => {
+        if (repository && userId) {
+            trackWrite(repository.activities.update(userId, id, {
+                archived: false,
+                archivedAt: removeField()
+            }), (e) => {
+                console.error("Error restoring activity:", e);
+                setError("Failed to restore activity.");
+            });
         }
+    };
 
-        // Add days of the month
-        for (let i = 1; i <= daysInMonth; i++) {
-            const dayDate = new Date(currentMonth.getFullYear(), currentMonth.getMonth(), i);
-            const isSelected = selectedDate && dayDate.toDateString() === selectedDate.toDateString();
-            const isToday = dayDate.toDateString() === new Date().toDateString();
-            const dayDateString = dayDate.toISOString().split('T')[0];
-            const activityDotColor = monthlyScheduleData.get(dayDateString); // Get color from Map
-
-            days.push(
-                <div
-                    key={i}
-                    className={`relative p-2 text-center cursor-pointer rounded-md transition duration-200
-                                ${isSelected ? 'bg-blue-500 text-white shadow-md' : 'hover:bg-gray-200'}
-                                ${isToday && !isSelected ? 'border-2 border-blue-400' : ''}`}
-                    onClick={() => setSelectedDate(dayDate)}
-                >
-                    {i}
-                    {activityDotColor && ( // Show dot only if color is present
-                        <span
-                            className={`absolute bottom-1 right-1 w-2 h-2 rounded-full`}
-                            style={{ backgroundColor: activityDotColor }} // Use activity color
-                        ></span>
-                    )}
-                </div>
-            );
+    // Select a date, moving the month shown along when the date is in another month
+    const selectDate = (date) => {
+        setSelectedDate(date);
+        if (date.getMonth() !== currentMonth.getMonth() || date.getFullYear() !== currentMonth.getFullYear()) {
+            setCurrentMonth(new Date(date.getFullYear(), date.getMonth(), 1));
         }
-        return days;
     };
 
     const changeMonth = (offset) => {
@@ -637,6 +1060,16 @@ const App = () => {
         });
     };
 
+    // Move back or forward by one month, week or day depending on the calendar view
+    const navigateCalendar = (offset) => {
+        if (calendarView === 'month') {
+            changeMonth(offset);
+        } else {
+            const days = calendarView === 'week' ? 7 * offset : offset;
+            selectDate(parseDateKey(addDaysToKey(toDateKey(selectedDate), days)));
+        }
+    };
+
     // Handler for recurrence day selection
     const handleRecurrenceDayChange = (dayIndex) => {
         setNewScheduleRecurrenceDays(prevDays =>
@@ -646,99 +1079,500 @@ const App = () => {
         );
     };
 
-    // Handler to add a new schedule entry
-    const handleAddScheduleEntry = async () => {
-        if (!selectedDate || !newScheduleActivityId || !newScheduleStartTime || !newScheduleEndTime) {
-            setError("Please select a date, activity, start time, and end time.");
-            return;
+    // Handler for choosing the "Nth weekday of the month" rule, defaulting it from the recurrence start date
+    const handleNthWeekdayModeSelect = () => {
+        setNewScheduleRecurrenceMonthlyMode('nthWeekday');
+        if (newScheduleRecurrenceStartDate) {
+            const { weekday, weekOfMonth } = getNthWeekdayOfKey(newScheduleRecurrenceStartDate);
+            setNewScheduleRecurrenceWeekday(weekday);
+            setNewScheduleRecurrenceWeekOfMonth(weekOfMonth > 4 ? -1 : weekOfMonth);
         }
+    };
 
-        // Combine selectedDate with newScheduleStartTime/EndTime to create full Date objects in user's local time
-        const startDateTimeLocal = new Date(`${selectedDate.toISOString().split('T')[0]}T${newScheduleStartTime}:00`);
-        const endDateTimeLocal = new Date(`${selectedDate.toISOString().split('T')[0]}T${newScheduleEndTime}:00`);
+    // Collect the schedule form state into a single form object
+    const getScheduleForm = () => ({
+        date: editingEntry ? newScheduleDate : toDateKey(selectedDate), // New entries go on the selected date
+        startTime: newScheduleStartTime,
+        endTime: newScheduleEndTime,
+        activityId: newScheduleActivityId,
+        recurrenceType: newScheduleRecurrenceType,
+        recurrenceInterval: newScheduleRecurrenceInterval,
+        recurrenceDays: newScheduleRecurrenceDays,
+        recurrenceMonthlyMode: newScheduleRecurrenceMonthlyMode,
+        recurrenceWeekOfMonth: newScheduleRecurrenceWeekOfMonth,
+        recurrenceWeekday: newScheduleRecurrenceWeekday,
+        recurrenceStartDate: newScheduleRecurrenceStartDate,
+        recurrenceEndMode: newScheduleRecurrenceEndMode,
+        recurrenceEndDate: newScheduleRecurrenceEndDate,
+        recurrenceCount: newScheduleRecurrenceCount,
+    });
 
-        if (startDateTimeLocal >= endDateTimeLocal) {
-            setError("End time must be after start time.");
+    // Fill the schedule form state from a form object
+    const setScheduleForm = (form) => {
+        setNewScheduleDate(form.date);
+        setNewScheduleStartTime(form.startTime);
+        setNewScheduleEndTime(form.endTime);
+        setNewScheduleActivityId(form.activityId);
+        setNewScheduleRecurrenceType(form.recurrenceType);
+        setNewScheduleRecurrenceInterval(form.recurrenceInterval);
+        setNewScheduleRecurrenceDays(form.recurrenceDays);
+        setNewScheduleRecurrenceMonthlyMode(form.recurrenceMonthlyMode);
+        setNewScheduleRecurrenceWeekOfMonth(form.recurrenceWeekOfMonth);
+        setNewScheduleRecurrenceWeekday(form.recurrenceWeekday);
+        setNewScheduleRecurrenceStartDate(form.recurrenceStartDate);
+        setNewScheduleRecurrenceEndMode(form.recurrenceEndMode);
+        setNewScheduleRecurrenceEndDate(form.recurrenceEndDate);
+        setNewScheduleRecurrenceCount(form.recurrenceCount);
+    };
+
+    // Clear the schedule form and leave edit mode
+    const resetScheduleForm = () => {
+        setScheduleForm({
+            ...getDefaultScheduleForm(),
+            activityId: activeActivityItems.length > 0 ? activeActivityItems[0].id : '',
+        });
+        setEditingEntry(null);
+    };
+
+    // Load an entry back into the form for editing; occurrences are resolved to their stored series document
+    const handleEditScheduleEntry = (occurrence) => {
+        const entry = monthScheduleEntries.find(item => item.id === occurrence.id);
+        if (!entry) {
+            setError("Schedule entry not found.");
             return;
         }
+        setScheduleForm(getScheduleFormFromEntry(entry));
+        setEditingEntry(entry);
+    };
 
-        if (newScheduleRecurrenceType !== 'none') {
-            if (!newScheduleRecurrenceStartDate) {
-                setError("Please provide a start date for the repeating schedule.");
-                return;
-            }
-            if (newScheduleRecurrenceEndDate && new Date(newScheduleRecurrenceStartDate) > new Date(newScheduleRecurrenceEndDate)) {
-                setError("Recurrence end date cannot be before start date.");
-                return;
-            }
-            if (newScheduleRecurrenceType === 'weekly' && newScheduleRecurrenceDays.length === 0) {
-                setError("Please select at least one day for weekly recurrence.");
-                return;
-            }
+    // Check a new or edited entry against all expanded occurrences of the other entries, which are read for the dates
+    // the entry covers since they can lie outside the month on screen.
+    // Resolves to true when the save can go ahead; otherwise the overlap warning is shown.
+    const confirmNoConflicts = async (candidate, onSaveAnyway) => {
+        if (!repository || !userId) return false;
+        let conflicts;
+        try {
+            const { fromKey, toKey } = getConflictCheckRange(candidate);
+            conflicts = findConflicts(candidate, await repository.schedules.listInRange(userId, fromKey, toKey));
+        } catch (e) {
+            console.error("Error checking for conflicts:", e);
+            setError("Failed to check for overlapping entries.");
+            return false;
         }
+        if (conflicts.length === 0) return true;
+        setPendingConflicts({ conflicts, onSaveAnyway });
+        return false;
+    };
 
-
-        const selectedActivity = activityItems.find(item => item.id === newScheduleActivityId);
-        if (!selectedActivity) {
-            setError("Selected activity not found.");
+    // Handler to add a new schedule entry
+    const handleAddScheduleEntry = async (ignoreConflicts = false) => {
+        const { error: validationError, fields } = buildNewScheduleEntry(getScheduleForm(), activeActivityItems, userTimeZone, userId);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        if (!ignoreConflicts && !(await confirmNoConflicts(fields, () => handleAddScheduleEntry(true)))) {
             return;
         }
 
-        if (db && userId) {
-            try {
-                await addDoc(collection(db, `artifacts/${__app_id}/users/${userId}/schedules`), {
-                    date: selectedDate.toISOString().split('T')[0], // Store asironolactone-MM-DD for one-time events
-                    startDateTimeUTC: startDateTimeLocal.toISOString(), // Store UTC ISO string
-                    endDateTimeUTC: endDateTimeLocal.toISOString(),   // Store UTC ISO string
-                    activityId: newScheduleActivityId,
-                    activityName: selectedActivity.name,
-                    activityColor: selectedActivity.color,
-                    userId: userId,
-                    recurrenceType: newScheduleRecurrenceType,
-                    recurrenceDays: newScheduleRecurrenceType === 'weekly' ? newScheduleRecurrenceDays : [], // Store only for weekly
-                    recurrenceStartDate: newScheduleRecurrenceType !== 'none' ? newScheduleRecurrenceStartDate : null,
-                    recurrenceEndDate: newScheduleRecurrenceType !== 'none' && newScheduleRecurrenceEndDate ? newScheduleRecurrenceEndDate : null,
-                    createdAt: new Date().toISOString()
-                });
-                // Clear form fields
-                setNewScheduleStartTime('09:00');
-                setNewScheduleEndTime('10:00');
-                setNewScheduleActivityId(activityItems.length > 0 ? activityItems[0].id : '');
-                setNewScheduleRecurrenceType('none'); // Reset recurrence
-                setNewScheduleRecurrenceDays([]); // Reset recurrence days
-                setNewScheduleRecurrenceStartDate(new Date().toISOString().split('T')[0]); // Reset to current date
-                setNewScheduleRecurrenceEndDate(''); // Clear end date
-            } catch (e) {
+        if (repository && userId) {
+            trackWrite(repository.schedules.add(userId, fields), (e) => {
                 console.error("Error adding schedule entry:", e);
                 setError("Failed to add schedule entry.");
-            }
+            });
+            resetScheduleForm();
+        }
+    };
+
+    // Handler to save changes to the entry being edited
+    const handleUpdateScheduleEntry = async (ignoreConflicts = false) => {
+        const form = getScheduleForm();
+        const validationError = validateScheduleForm(form, activityItems);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const selectedActivity = activityItems.find(item => item.id === form.activityId);
+        // Keep the zone the entry was created in, so its wall-clock times keep their meaning
+        const fields = buildScheduleFields(form, selectedActivity, editingEntry.timeZone || userTimeZone);
+        // Skipped and moved occurrences that still fit the edited pattern are kept, so check against them as well
+        const occurrenceChanges = getKeptOccurrenceChanges(editingEntry, fields);
+        if (!ignoreConflicts && !(await confirmNoConflicts(
+            { ...editingEntry, ...fields, ...occurrenceChanges },
+            () => handleUpdateScheduleEntry(true)
+        ))) {
+            return;
+        }
+
+        if (repository && userId) {
+            trackWrite(repository.schedules.update(userId, editingEntry.id, {
+                ...fields,
+                ...occurrenceChanges,
+                updatedAt: new Date().toISOString()
+            }), (e) => {
+                console.error("Error updating schedule entry:", e);
+                setError("Failed to update schedule entry.");
+            });
+            resetScheduleForm();
         }
     };
 
     // Handler to delete a schedule entry
-    const handleDeleteScheduleEntry = async (id) => {
-        if (db && userId) {
-            try {
-                await deleteDoc(doc(db, `artifacts/${__app_id}/users/${userId}/schedules`, id));
-            } catch (e) {
+    const handleDeleteScheduleEntry = (id) => {
+        if (repository && userId) {
+            trackWrite(repository.schedules.remove(userId, id), (e) => {
                 console.error("Error deleting schedule entry:", e);
                 setError("Failed to delete schedule entry.");
-            }
+            });
+            if (editingEntry && editingEntry.id === id) resetScheduleForm();
         }
     };
 
-    // Function to generate and display the share link
-    const generateShareLink = () => {
+    // Handler to delete one occurrence, this and following occurrences, or a whole recurring series
+    const handleDeleteOccurrence = (occurrence, scope) => {
+        if (!repository || !userId) return;
+        let write;
+        if (scope === 'series' || (scope === 'following' && isFirstOccurrence(occurrence, occurrence.occurrenceDate))) {
+            // Ending the series before its first occurrence would leave an empty document behind
+            write = repository.schedules.remove(userId, occurrence.id);
+        } else if (scope === 'following') {
+            // The end date takes over from an occurrence count, which would always end later
+            const recurrenceEndDate = addDaysToKey(occurrence.occurrenceDate, -1);
+            write = repository.schedules.update(userId, occurrence.id, { recurrenceEndDate, recurrenceCount: null, rangeEnd: recurrenceEndDate });
+        } else {
+            write = repository.schedules.update(userId, occurrence.id, {
+                exceptionDates: addToArray(occurrence.occurrenceDate),
+                [`occurrenceOverrides.${occurrence.occurrenceDate}`]: removeField()
+            });
+        }
+        trackWrite(write, (e) => {
+            console.error("Error deleting occurrence:", e);
+            setError("Failed to delete schedule entry.");
+        });
+        setOccurrenceAction(null);
+    };
+
+    // Open the reschedule dialog for a single occurrence, prefilled with its current times
+    const openRescheduleOccurrence = (occurrence) => {
+        setOverrideStartTime(occurrence.startTime);
+        setOverrideEndTime(occurrence.endTime);
+        setOccurrenceAction({ type: 'reschedule', occurrence });
+    };
+
+    // Handler to move a single occurrence to another time, or back to the series time when reset
+    const handleRescheduleOccurrence = (reset = false) => {
+        const { occurrence } = occurrenceAction;
+        if (!reset && overrideStartTime >= overrideEndTime) {
+            setError("End time must be after start time.");
+            return;
+        }
+        if (repository && userId) {
+            trackWrite(repository.schedules.update(userId, occurrence.id, {
+                [`occurrenceOverrides.${occurrence.occurrenceDate}`]: reset
+                    ? removeField()
+                    : { startTime: overrideStartTime, endTime: overrideEndTime }
+            }), (e) => {
+                console.error("Error rescheduling occurrence:", e);
+                setError("Failed to reschedule occurrence.");
+            });
+            setOccurrenceAction(null);
+        }
+    };
+
+    // Read the entries around the copied and target dates and work out the copies, for the copy preview
+    const loadCopyPlan = async (targetDateKey, includeRecurring) => {
+        const { scope, sourceDateKey } = copyAction;
+        const sourceRange = getCopyReadRange(scope, sourceDateKey);
+        const targetRange = getCopyReadRange(scope, targetDateKey);
+        const [sourceEntries, targetEntries] = await Promise.all([
+            repository.schedules.listInRange(userId, sourceRange.fromKey, sourceRange.toKey),
+            repository.schedules.listInRange(userId, targetRange.fromKey, targetRange.toKey),
+        ]);
+        return buildCopyPlan(sourceEntries, targetEntries, { scope, sourceDateKey, targetDateKey, includeRecurring, timeZone: userTimeZone });
+    };
+
+    // Handler to write the copies of a day or week. When overwriting, the one-time entries they overlap are deleted
+    // and overlapped occurrences of a series are skipped on those dates, as when deleting a single occurrence.
+    const handleCopySchedule = (plan, mode) => {
+        if (!repository || !userId) return;
+        const { additions, removedIds, exceptions } = getCopyWrites(plan, mode);
+        const handleWriteError = (e) => {
+            console.error("Error copying schedule entries:", e);
+            setError("Failed to copy some schedule entries.");
+        };
+        removedIds.forEach(id => trackWrite(repository.schedules.remove(userId, id), handleWriteError));
+        exceptions.forEach(({ id, dateKeys }) => trackWrite(repository.schedules.update(userId, id, {
+            exceptionDates: addToArray(...dateKeys),
+            ...Object.fromEntries(dateKeys.map(dateKey => [`occurrenceOverrides.${dateKey}`, removeField()]))
+        }), handleWriteError));
+        additions.forEach(fields => trackWrite(repository.schedules.add(userId, {
+            ...fields,
+            userId: userId,
+            createdAt: new Date().toISOString()
+        }), handleWriteError));
+        setCopyAction(null);
+        // Move along to where the copies landed
+        selectDate(parseDateKey(addDaysToKey(toDateKey(selectedDate), getDaysBetweenKeys(plan.sourceDateKeys[0], plan.targetDateKeys[0]))));
+    };
+
+    // Handler to read a chosen .ics file and open the import preview
+    const handleImportFileChange = async (e) => {
+        const file = e.target.files[0];
+        e.target.value = ''; // Allow choosing the same file again
+        if (!file) return;
+        try {
+            // Every stored entry is read, so events imported before are recognised whatever their dates
+            const existingEntries = await repository.schedules.list(userId);
+            const items = buildImportPreview(await file.text(), activeActivityItems, existingEntries, userTimeZone);
+            setImportPreview({ fileName: file.name, items });
+        } catch (err) {
+            console.error("Error reading calendar file:", err);
+            setError(`Failed to read ${file.name}: ${err.message}`);
+        }
+    };
+
+    // Handler to write the selected import items, creating activities for events not mapped onto an existing one.
+    // New activities get their IDs up front, so their entries can be written without waiting for them. Items that would
+    // not pass the schedule form's checks are skipped and listed.
+    const handleImportEvents = (items) => {
+        if (!repository || !userId) return;
+        const handleWriteError = (e) => {
+            console.error("Error importing events:", e);
+            setError("Failed to import some events.");
+        };
+        const { newActivities, entries, skipped } = getImportPlan(items, activeActivityItems, () => repository.activities.newId(userId));
+        newActivities.forEach(activity => {
+            trackWrite(repository.activities.set(userId, activity.id, {
+                name: activity.name,
+                color: activity.color,
+                userId: userId,
+                createdAt: new Date().toISOString()
+            }), handleWriteError);
+        });
+        entries.forEach(({ item, activity }) => {
+            trackWrite(repository.schedules.add(userId, {
+                ...buildScheduleFields(item.form, activity, item.timeZone),
+                exceptionDates: item.exceptionDates,
+                occurrenceOverrides: item.occurrenceOverrides,
+                icalUid: item.uid, // Used to recognise the event when the same file is imported again
+                userId: userId,
+                createdAt: new Date().toISOString()
+            }), handleWriteError);
+        });
+        setImportPreview(null);
+        if (skipped.length > 0) {
+            setError(`${skipped.length} of ${items.length} events were not imported: ${skipped.map(({ item, error }) => `"${item.summary}" (${error})`).join('; ')}`);
+        }
+    };
+
+    // Handler to download every entry as an .ics file; all entries are read, not just the month on screen
+    const handleExportCalendar = async () => {
+        if (!repository || !userId) return;
+        try {
+            const entries = await repository.schedules.list(userId);
+            downloadICalendar('my-availability.ics', buildSeriesCalendar(entries, `${displayName}'s availability`, userTimeZone));
+        } catch (e) {
+            console.error("Error exporting calendar:", e);
+            setError("Failed to export calendar.");
+        }
+    };
+
+    // Function to open the "Manage shared links" panel
+    const openShareLinks = () => {
         if (userId) {
-            // Construct the share link using the current origin and parameters
-            const link = `${window.location.origin}/share?userId=${userId}&date=${selectedDate.toISOString().split('T')[0]}`;
-            setShareLink(link);
             setShowShareModal(true);
         } else {
             setError("Please log in to generate a share link.");
         }
     };
 
+    // Handler to create a share link; returns its token, which works once the server has the link
+    const handleCreateShareLink = (form) => {
+        if (!repository || !userId) return null;
+        const token = generateShareToken();
+        trackWrite(repository.shareLinks.create(token, buildShareLinkFields(form, userId, userTimeZone)), (e) => {
+            console.error("Error creating share link:", e);
+            setError("Failed to create share link.");
+        });
+        return token;
+    };
+
+    // Handler to revoke a share link; the document is kept so the link keeps showing as revoked
+    const handleRevokeShareLink = (link) => {
+        if (repository && userId) {
+            trackWrite(repository.shareLinks.update(link.id, {
+                revoked: true,
+                revokedAt: new Date().toISOString()
+            }), (e) => {
+                console.error("Error revoking share link:", e);
+                setError("Failed to revoke share link.");
+            });
+        }
+    };
+
+    // Copy a share link to the clipboard
+    const handleCopyShareLink = (link) => {
+        // Use document.execCommand('copy') for better compatibility in iframes
+        const el = document.createElement('textarea');
+        el.value = link;
+        document.body.appendChild(el);
+        el.select();
+        document.execCommand('copy');
+        document.body.removeChild(el);
+        // Replaced alert with a simple message for better UX
+        setError("Link copied to clipboard!");
+        setTimeout(() => setError(null), 3000); // Clear message after 3 seconds
+    };
+
+    // Handler to accept a booking request: adds a one-time entry for the requested time and marks the request accepted
+    const handleAcceptBookingRequest = async (request, activityId, ignoreConflicts = false) => {
+        const form = getScheduleFormForRequest(request, activityId, userTimeZone);
+        const validationError = validateScheduleForm(form, activeActivityItems);
+        if (validationError) {
+            setError(validationError);
+            return;
+        }
+        const selectedActivity = activityItems.find(item => item.id === activityId);
+        if (!ignoreConflicts && !(await confirmNoConflicts(
+            buildScheduleFields(form, selectedActivity, userTimeZone),
+            () => handleAcceptBookingRequest(request, activityId, true)
+        ))) {
+            return;
+        }
+
+        if (repository && userId) {
+            const handleWriteError = (e) => {
+                console.error("Error accepting booking request:", e);
+                setError("Failed to accept booking request.");
+            };
+            // The entry's ID is known before it is written, so the request can point to it straight away
+            const scheduleId = repository.schedules.newId(userId);
+            trackWrite(repository.schedules.set(userId, scheduleId, {
+                ...buildScheduleFields(form, selectedActivity, userTimeZone),
+                bookingRequestId: request.id,
+                userId: userId,
+                createdAt: new Date().toISOString()
+            }), handleWriteError);
+            trackWrite(repository.bookingRequests.update(userId, request.id, {
+                status: 'accepted',
+                scheduleId: scheduleId,
+                respondedAt: new Date().toISOString()
+            }), handleWriteError);
+            // The new entry keeps the time busy from now on
+            trackWrite(repository.slotHolds.remove(userId, request.startDateTimeUTC), handleWriteError);
+        }
+    };
+
+    // Handler to decline a booking request, which releases its tentative hold
+    const handleDeclineBookingRequest = (request) => {
+        if (repository && userId) {
+            const handleWriteError = (e) => {
+                console.error("Error declining booking request:", e);
+                setError("Failed to decline booking request.");
+            };
+            trackWrite(repository.bookingRequests.update(userId, request.id, {
+                status: 'declined',
+                respondedAt: new Date().toISOString()
+            }), handleWriteError);
+            trackWrite(repository.slotHolds.remove(userId, request.startDateTimeUTC), handleWriteError);
+        }
+    };
+
+    // Archived activities keep their entries but are not offered for new ones
+    const activeActivityItems = activityItems.filter(item => !item.archived);
+    const archivedActivityItems = activityItems.filter(item => item.archived);
+    // An entry being edited can keep its archived activity
+    const scheduleActivityOptions = activityItems.filter(item => !item.archived || (editingEntry && editingEntry.activityId === item.id));
+
+    // Dates shown by the week and day timelines
+    const selectedDateKey = toDateKey(selectedDate);
+    const visibleDateKeys = calendarView === 'week' ? getWeekDateKeys(selectedDateKey) : [selectedDateKey];
+    // Occurrences on the selected date, which always lies in the month on screen
+    const scheduleEntries = monthlyScheduleData.get(selectedDateKey) || [];
+
+    // Keep the view and date, or the settings screen, in the address; back and forward bring them back
+    useRouteSync(isShareView || isGroupView ? null : (showSettings ? SETTINGS_PATH : getCalendarPath(calendarView, selectedDateKey)), (route) => {
+        setShowSettings(route.name === 'settings');
+        if (route.name !== 'calendar') return;
+        setCalendarView(route.view);
+        selectDate(parseDateKey(route.dateKey));
+    });
+
+    // Pending booking requests hold their time until they are accepted or declined
+    const tentativeOccurrences = getTentativeOccurrences(bookingRequests);
+    const pendingBookingCount = tentativeOccurrences.length;
+
+    // Occurrences on the selected date that are double-booked
+    const overlappingOccurrences = findOverlappingOccurrences(scheduleEntries);
+
+    // Login/sign-up form, shown full screen when nobody is signed in and as a dialog for guests
+    const authForm = (
+        <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
+            <h2 className="text-2xl font-bold mb-6 text-center text-gray-700">{isLogin ? 'Login' : 'Sign Up'}</h2>
+            {isAnonymous && (
+                <p className="mb-4 text-sm text-gray-600">
+                    {isLogin
+                        ? "You are using the app as a guest. After logging in you can bring what you entered into your account."
+                        : "You are using the app as a guest. Signing up keeps everything you entered."}
+                </p>
+            )}
+            <form onSubmit={handleAuth}>
+                <div className="mb-4">
+                    <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email">
+                        Email
+                    </label>
+                    <input
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                        id="email"
+                        type="email"
+                        placeholder="Email"
+                        value={email}
+                        onChange={(e) => setEmail(e.target.value)}
+                        required
+                    />
+                </div>
+                <div className="mb-6">
+                    <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">
+                        Password
+                    </label>
+                    <input
+                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 mb-3 leading-tight focus:outline-none focus:shadow-outline"
+                        id="password"
+                        type="password"
+                        placeholder="********"
+                        value={password}
+                        onChange={(e) => setPassword(e.target.value)}
+                        required
+                    />
+                    {isLogin && (
+                        <button
+                            type="button"
+                            onClick={handleForgotPassword}
+                            className="text-sm text-blue-500 hover:text-blue-800"
+                        >
+                            Forgot password?
+                        </button>
+                    )}
+                </div>
+                <div className="flex items-center justify-between">
+                    <button
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                        type="submit"
+                    >
+                        {isLogin ? 'Login' : 'Sign Up'}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => setIsLogin(!isLogin)}
+                        className="inline-block align-baseline font-bold text-sm text-blue-500 hover:text-blue-800"
+                    >
+                        {isLogin ? 'Need an account? Sign Up' : 'Already have an account? Login'}
+                    </button>
+                </div>
+            </form>
+        </div>
+    );
+
     // Display a loading screen while the app initializes
     if (loading) {
         return (
@@ -750,12 +1584,15 @@ const App = () => {
 
     // Conditional rendering based on URL path
     if (isShareView) {
-        return <ShareView db={db} appId={typeof __app_id !== 'undefined' ? __app_id : 'default-app-id'} />;
+        return <ShareView repository={repository} />;
+    }
+    if (isGroupView) {
+        return <GroupView repository={repository} />;
     }
 
     return (
         // Provide Firebase instances and user info to all child components via context
-        <AppContext.Provider value={{ db, auth, userId, firebaseApp, error, setError }}>
+        <AppContext.Provider value={{ repository, auth, userId, firebaseApp, error, setError }}>
             <div className="min-h-screen bg-gray-100 font-sans text-gray-800">
                 {/* Error message display */}
                 {error && (
@@ -773,54 +1610,7 @@ const App = () => {
                 {!userId ? (
                     // Authentication form (Login/Sign Up)
                     <div className="flex items-center justify-center min-h-screen">
-                        <div className="bg-white p-8 rounded-lg shadow-md w-full max-w-md">
-                            <h2 className="text-2xl font-bold mb-6 text-center text-gray-700">{isLogin ? 'Login' : 'Sign Up'}</h2>
-                            <form onSubmit={handleAuth}>
-                                <div className="mb-4">
-                                    <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="email">
-                                        Email
-                                    </label>
-                                    <input
-                                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                                        id="email"
-                                        type="email"
-                                        placeholder="Email"
-                                        value={email}
-                                        onChange={(e) => setEmail(e.target.value)}
-                                        required
-                                    />
-                                </div>
-                                <div className="mb-6">
-                                    <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="password">
-                                        Password
-                                    </label>
-                                    <input
-                                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 mb-3 leading-tight focus:outline-none focus:shadow-outline"
-                                        id="password"
-                                        type="password"
-                                        placeholder="********"
-                                        value={password}
-                                        onChange={(e) => setPassword(e.target.value)}
-                                        required
-                                    />
-                                </div>
-                                <div className="flex items-center justify-between">
-                                    <button
-                                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
-                                        type="submit"
-                                    >
-                                        {isLogin ? 'Login' : 'Sign Up'}
-                                    </button>
-                                    <button
-                                        type="button"
-                                        onClick={() => setIsLogin(!isLogin)}
-                                        className="inline-block align-baseline font-bold text-sm text-blue-500 hover:text-blue-800"
-                                    >
-                                        {isLogin ? 'Need an account? Sign Up' : 'Already have an account? Login'}
-                                    </button>
-                                </div>
-                            </form>
-                        </div>
+                        {authForm}
                     </div>
                 ) : (
                     // Main application content once authenticated
@@ -830,32 +1620,68 @@ const App = () => {
                             <div className="flex items-center space-x-4">
                                 {/* Display current user's display name and ID */}
                                 <span className="text-gray-600">Welcome, {displayName} ({userId})</span>
-                                {/* Time Zone Selector */}
-                                <div className="flex items-center space-x-2">
-                                    <label htmlFor="timeZoneSelect" className="text-gray-700 text-sm font-bold">Time Zone:</label>
-                                    <select
-                                        id="timeZoneSelect"
-                                        className="shadow border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                                        value={userTimeZone}
-                                        onChange={handleTimeZoneChange}
+                                {!isAnonymous && !emailVerified && (
+                                    <button
+                                        onClick={() => setShowSettings(true)}
+                                        className="text-xs font-semibold text-yellow-800 bg-yellow-100 px-2 py-1 rounded"
+                                        title="Open Settings to resend the verification email"
                                     >
-                                        {timeZones.map(tz => (
-                                            <option key={tz} value={tz}>{tz}</option>
-                                        ))}
-                                    </select>
-                                </div>
+                                        Email not verified
+                                    </button>
+                                )}
+                                <SyncStatusIndicator isOnline={isOnline} pendingCount={pendingCount} />
+                                <span className="text-gray-600 text-sm">{userTimeZone}</span>
+                                <button
+                                    onClick={() => setShowSettings(true)}
+                                    className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                >
+                                    Settings
+                                </button>
+                                <button
+                                    onClick={handleExportCalendar}
+                                    title="Downloads your entries as they are now; export again to pick up later changes"
+                                    className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                >
+                                    Export .ics
+                                </button>
+                                <label className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 cursor-pointer">
+                                    Import .ics
+                                    <input type="file" accept=".ics,text/calendar" className="hidden" onChange={handleImportFileChange} />
+                                </label>
                                 <button
-                                    onClick={generateShareLink}
+                                    onClick={openShareLinks}
                                     className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
                                 >
                                     Share Schedule
                                 </button>
                                 <button
-                                    onClick={handleSignOut}
-                                    className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                    onClick={() => setShowBookingRequests(true)}
+                                    className="bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
                                 >
-                                    Sign Out
+                                    Requests{pendingBookingCount > 0 && ` (${pendingBookingCount})`}
                                 </button>
+                                <a
+                                    href="/group"
+                                    className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                >
+                                    Group Availability
+                                </a>
+                                {isAnonymous ? (
+                                    // Signing a guest out would lose their data, so guests are offered an account instead
+                                    <button
+                                        onClick={() => { setIsLogin(false); setShowAuthForm(true); }}
+                                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                    >
+                                        Sign Up / Log In
+                                    </button>
+                                ) : (
+                                    <button
+                                        onClick={handleSignOut}
+                                        className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                                    >
+                                        Sign Out
+                                    </button>
+                                )}
                             </div>
                         </header>
 
@@ -890,27 +1716,123 @@ const App = () => {
                                 </div>
 
                                 <h3 className="text-xl font-medium mb-3 text-gray-700">Your Activities</h3>
-                                {activityItems.length === 0 ? (
+                                <p className="mb-3 text-xs text-gray-500">The menu next to each activity sets how it appears on shared links.</p>
+                                {activeActivityItems.length === 0 ? (
                                     <p className="text-gray-500">No activities defined yet.</p>
                                 ) : (
                                     <ul className="space-y-2">
-                                        {activityItems.map(item => (
-                                            <li key={item.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-md shadow-sm">
-                                                <div className="flex items-center">
-                                                    {/* Color swatch for the activity */}
-                                                    <span className="block w-4 h-4 rounded-full mr-3" style={{ backgroundColor: item.color }}></span>
-                                                    <span className="text-gray-700 font-medium">{item.name}</span>
+                                        {activeActivityItems.map(item => editingActivity && editingActivity.id === item.id ? (
+                                            <li key={item.id} className="bg-gray-50 p-3 rounded-md shadow-sm">
+                                                <div className="flex items-center space-x-2">
+                                                    <input
+                                                        type="color"
+                                                        aria-label="Activity color"
+                                                        className="w-8 h-8 rounded-md border-gray-300"
+                                                        value={editingActivity.color}
+                                                        onChange={(e) => setEditingActivity({ ...editingActivity, color: e.target.value })}
+                                                    />
+                                                    <input
+                                                        type="text"
+                                                        aria-label="Activity name"
+                                                        className="flex-grow shadow appearance-none border rounded py-1 px-2 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                        value={editingActivity.name}
+                                                        onChange={(e) => setEditingActivity({ ...editingActivity, name: e.target.value })}
+                                                    />
+                                                </div>
+                                                <div className="grid grid-cols-2 gap-2 mt-2">
+                                                    <button
+                                                        onClick={() => setEditingActivity(null)}
+                                                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                    >
+                                                        Cancel
+                                                    </button>
+                                                    <button
+                                                        onClick={handleSaveActivity}
+                                                        className="bg-blue-500 hover:bg-blue-700 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                    >
+                                                        Save
+                                                    </button>
                                                 </div>
-                                                <button
-                                                    onClick={() => handleDeleteActivity(item.id)}
-                                                    className="bg-red-400 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
-                                                >
-                                                    Delete
-                                                </button>
+                                            </li>
+                                        ) : (
+                                            <li key={item.id} className="bg-gray-50 p-3 rounded-md shadow-sm">
+                                                <div className="flex items-center justify-between">
+                                                    <div className="flex items-center">
+                                                        {/* Color swatch for the activity */}
+                                                        <span className="block w-4 h-4 rounded-full mr-3" style={{ backgroundColor: item.color }}></span>
+                                                        <span className="text-gray-700 font-medium">{item.name}</span>
+                                                    </div>
+                                                    <select
+                                                        aria-label={`Visibility of ${item.name} on shared links`}
+                                                        title="Visibility on shared links"
+                                                        className="ml-auto mr-2 border rounded py-1 px-1 text-xs text-gray-700 focus:outline-none focus:shadow-outline"
+                                                        value={item.shareVisibility || 'full'}
+                                                        onChange={(e) => handleActivityVisibilityChange(item.id, e.target.value)}
+                                                    >
+                                                        {shareVisibilityOptions.map(option => (
+                                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                                        ))}
+                                                    </select>
+                                                    <button
+                                                        onClick={() => setEditingActivity({ id: item.id, name: item.name, color: item.color })}
+                                                        disabled={!!activityUpdateProgress}
+                                                        className="mr-2 bg-yellow-400 hover:bg-yellow-500 text-white text-xs font-bold py-1 px-2 rounded transition duration-300 disabled:opacity-50"
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                    <button
+                                                        onClick={() => handleDeleteActivity(item.id)}
+                                                        className="bg-red-400 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                </div>
+                                                {activityUpdateProgress && activityUpdateProgress.activityId === item.id && (
+                                                    <div className="mt-2">
+                                                        <p className="text-xs text-gray-600">
+                                                            Updating schedule entries: {activityUpdateProgress.done} of {activityUpdateProgress.total}
+                                                        </p>
+                                                        <div className="w-full h-1 bg-gray-200 rounded">
+                                                            <div
+                                                                className="h-1 bg-blue-500 rounded"
+                                                                style={{ width: `${activityUpdateProgress.total === 0 ? 100 : (activityUpdateProgress.done / activityUpdateProgress.total) * 100}%` }}
+                                                            ></div>
+                                                        </div>
+                                                    </div>
+                                                )}
                                             </li>
                                         ))}
                                     </ul>
                                 )}
+                                {archivedActivityItems.length > 0 && (
+                                    <details className="mt-4">
+                                        <summary className="cursor-pointer text-sm font-semibold text-gray-600">Archived ({archivedActivityItems.length})</summary>
+                                        <ul className="space-y-2 mt-2">
+                                            {archivedActivityItems.map(item => (
+                                                <li key={item.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-md shadow-sm text-gray-500">
+                                                    <div className="flex items-center">
+                                                        <span className="block w-4 h-4 rounded-full mr-3 opacity-50" style={{ backgroundColor: item.color }}></span>
+                                                        <span className="font-medium">{item.name}</span>
+                                                    </div>
+                                                    <div className="flex space-x-2">
+                                                        <button
+                                                            onClick={() => handleRestoreActivity(item.id)}
+                                                            className="bg-green-400 hover:bg-green-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                        >
+                                                            Restore
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleDeleteActivity(item.id)}
+                                                            className="bg-red-400 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                        >
+                                                            Delete
+                                                        </button>
+                                                    </div>
+                                                </li>
+                                            ))}
+                                        </ul>
+                                    </details>
+                                )}
                             </section>
 
                             {/* Schedule Calendar Section */}
@@ -918,18 +1840,23 @@ const App = () => {
                                 <h2 className="text-2xl font-semibold mb-4 text-gray-700">Your Schedule</h2>
 
                                 {/* Calendar Navigation */}
+                                <div className="flex justify-end mb-2">
+                                    <CalendarViewToggle value={calendarView} onChange={setCalendarView} />
+                                </div>
                                 <div className="flex justify-between items-center mb-4">
                                     <button
-                                        onClick={() => changeMonth(-1)}
+                                        onClick={() => navigateCalendar(-1)}
                                         className="bg-blue-200 hover:bg-blue-300 text-blue-800 font-bold py-2 px-4 rounded transition duration-300"
                                     >
                                         &lt; Prev
                                     </button>
                                     <h3 className="text-xl font-semibold">
-                                        {currentMonth.toLocaleString('en-US', { month: 'long', year: 'numeric', timeZone: userTimeZone })}
+                                        {calendarView === 'month' && currentMonth.toLocaleString('en-US', { month: 'long', year: 'numeric' })}
+                                        {calendarView === 'week' && `${formatDateKey(visibleDateKeys[0], { month: 'short', day: 'numeric' })} - ${formatDateKey(visibleDateKeys[6], { month: 'short', day: 'numeric', year: 'numeric' })}`}
+                                        {calendarView === 'day' && formatDateKey(selectedDateKey)}
                                     </h3>
                                     <button
-                                        onClick={() => changeMonth(1)}
+                                        onClick={() => navigateCalendar(1)}
                                         className="bg-blue-200 hover:bg-blue-300 text-blue-800 font-bold py-2 px-4 rounded transition duration-300"
                                     >
                                         Next &gt;
@@ -937,22 +1864,67 @@ const App = () => {
                                 </div>
 
                                 {/* Calendar Grid */}
-                                <div className="grid grid-cols-7 gap-1 text-center font-medium mb-4">
-                                    {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
-                                        <div key={day} className="p-2 text-gray-600">{day}</div>
-                                    ))}
-                                    {renderCalendarDays()}
-                                </div>
+                                {calendarView === 'month' ? (
+                                    <MonthGrid
+                                        month={currentMonth}
+                                        selectedDateKey={selectedDateKey}
+                                        occurrencesByDate={monthlyScheduleData}
+                                        timeZone={userTimeZone}
+                                        onSelectDate={selectDate}
+                                    />
+                                ) : (
+                                    <TimeGrid
+                                        dateKeys={visibleDateKeys}
+                                        occurrencesByDate={groupOccurrencesByDate(monthScheduleEntries, visibleDateKeys[0], visibleDateKeys[visibleDateKeys.length - 1], userTimeZone)}
+                                        timeZone={userTimeZone}
+                                        selectedDateKey={selectedDateKey}
+                                        onSelectDate={(dateKey) => {
+                                            selectDate(parseDateKey(dateKey));
+                                            setCalendarView('day');
+                                        }}
+                                        onSelectOccurrence={handleEditScheduleEntry}
+                                    />
+                                )}
 
                                 {/* Selected Date Schedule */}
-                                <h3 className="text-xl font-semibold mb-3 text-gray-700">Schedule for {formatDate(selectedDate, userTimeZone)}</h3>
+                                <div className="flex justify-between items-center mb-3">
+                                    <h3 className="text-xl font-semibold text-gray-700">Schedule for {formatDateKey(selectedDateKey)}</h3>
+                                    <div className="flex space-x-2">
+                                        <button
+                                            onClick={() => setCopyAction({ scope: 'day', sourceDateKey: selectedDateKey })}
+                                            className="bg-blue-200 hover:bg-blue-300 text-blue-800 text-sm font-bold py-1 px-3 rounded transition duration-300"
+                                        >
+                                            Copy Day
+                                        </button>
+                                        <button
+                                            onClick={() => setCopyAction({ scope: 'week', sourceDateKey: selectedDateKey })}
+                                            className="bg-blue-200 hover:bg-blue-300 text-blue-800 text-sm font-bold py-1 px-3 rounded transition duration-300"
+                                        >
+                                            Copy Week
+                                        </button>
+                                    </div>
+                                </div>
 
                                 {/* Add New Schedule Entry Form */}
                                 <div className="mb-6 p-4 border border-gray-200 rounded-lg bg-gray-50">
-                                    <h4 className="text-lg font-medium mb-3 text-gray-700">Add New Entry</h4>
+                                    <h4 className="text-lg font-medium mb-3 text-gray-700">
+                                        {editingEntry ? `Edit Entry: ${editingEntry.activityName}` : 'Add New Entry'}
+                                    </h4>
+                                    {editingEntry && newScheduleRecurrenceType === 'none' && (
+                                        <div className="mb-4">
+                                            <label htmlFor="scheduleDate" className="block text-gray-700 text-sm font-bold mb-1">Date</label>
+                                            <input
+                                                type="date"
+                                                id="scheduleDate"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                value={newScheduleDate}
+                                                onChange={(e) => setNewScheduleDate(e.target.value)}
+                                            />
+                                        </div>
+                                    )}
                                     <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                                         <div>
-                                            <label htmlFor="startTime" className="block text-gray-700 text-sm font-bold mb-1">Start Time (Your Time Zone)</label>
+                                            <label htmlFor="startTime" className="block text-gray-700 text-sm font-bold mb-1">Start Time ({editingEntry ? editingEntry.timeZone : userTimeZone})</label>
                                             <input
                                                 type="time"
                                                 id="startTime"
@@ -962,7 +1934,7 @@ const App = () => {
                                             />
                                         </div>
                                         <div>
-                                            <label htmlFor="endTime" className="block text-gray-700 text-sm font-bold mb-1">End Time (Your Time Zone)</label>
+                                            <label htmlFor="endTime" className="block text-gray-700 text-sm font-bold mb-1">End Time ({editingEntry ? editingEntry.timeZone : userTimeZone})</label>
                                             <input
                                                 type="time"
                                                 id="endTime"
@@ -979,11 +1951,11 @@ const App = () => {
                                                 value={newScheduleActivityId}
                                                 onChange={(e) => setNewScheduleActivityId(e.target.value)}
                                             >
-                                                {activityItems.length === 0 ? (
+                                                {scheduleActivityOptions.length === 0 ? (
                                                     <option value="">No activities defined</option>
                                                 ) : (
-                                                    activityItems.map(item => (
-                                                        <option key={item.id} value={item.id}>{item.name}</option>
+                                                    scheduleActivityOptions.map(item => (
+                                                        <option key={item.id} value={item.id}>{item.archived ? `${item.name} (archived)` : item.name}</option>
                                                     ))
                                                 )}
                                             </select>
@@ -991,29 +1963,47 @@ const App = () => {
                                     </div>
 
                                     {/* Recurrence Type Selection */}
-                                    <div className="mb-4">
-                                        <label htmlFor="recurrenceType" className="block text-gray-700 text-sm font-bold mb-1">Repeats</label>
-                                        <select
-                                            id="recurrenceType"
-                                            className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline h-10"
-                                            value={newScheduleRecurrenceType}
-                                            onChange={(e) => {
-                                                setNewScheduleRecurrenceType(e.target.value);
-                                                // Reset recurrence days if type changes from weekly
-                                                if (e.target.value !== 'weekly') {
-                                                    setNewScheduleRecurrenceDays([]);
-                                                }
-                                            }}
-                                        >
-                                            <option value="none">Does not repeat</option>
-                                            <option value="daily">Daily</option>
-                                            <option value="weekly">Weekly</option>
-                                        </select>
+                                    <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                                        <div>
+                                            <label htmlFor="recurrenceType" className="block text-gray-700 text-sm font-bold mb-1">Repeats</label>
+                                            <select
+                                                id="recurrenceType"
+                                                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline h-10"
+                                                value={newScheduleRecurrenceType}
+                                                onChange={(e) => {
+                                                    setNewScheduleRecurrenceType(e.target.value);
+                                                    // Reset recurrence days if type changes from weekly
+                                                    if (e.target.value !== 'weekly') {
+                                                        setNewScheduleRecurrenceDays([]);
+                                                    }
+                                                }}
+                                            >
+                                                <option value="none">Does not repeat</option>
+                                                <option value="daily">Daily</option>
+                                                <option value="weekly">Weekly</option>
+                                                <option value="monthly">Monthly</option>
+                                            </select>
+                                        </div>
+                                        {newScheduleRecurrenceType !== 'none' && (
+                                            <div>
+                                                <label htmlFor="recurrenceInterval" className="block text-gray-700 text-sm font-bold mb-1">
+                                                    Every ({newScheduleRecurrenceType === 'daily' ? 'days' : newScheduleRecurrenceType === 'weekly' ? 'weeks' : 'months'})
+                                                </label>
+                                                <input
+                                                    type="number"
+                                                    id="recurrenceInterval"
+                                                    min="1"
+                                                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                    value={newScheduleRecurrenceInterval}
+                                                    onChange={(e) => setNewScheduleRecurrenceInterval(e.target.value)}
+                                                />
+                                            </div>
+                                        )}
                                     </div>
 
                                     {/* Recurrence Date Range (Conditional) */}
                                     {newScheduleRecurrenceType !== 'none' && (
-                                        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                                        <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-4">
                                             <div>
                                                 <label htmlFor="recurrenceStartDate" className="block text-gray-700 text-sm font-bold mb-1">Start Date</label>
                                                 <input
@@ -1026,15 +2016,43 @@ const App = () => {
                                                 />
                                             </div>
                                             <div>
-                                                <label htmlFor="recurrenceEndDate" className="block text-gray-700 text-sm font-bold mb-1">End Date (Optional)</label>
-                                                <input
-                                                    type="date"
-                                                    id="recurrenceEndDate"
-                                                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
-                                                    value={newScheduleRecurrenceEndDate}
-                                                    onChange={(e) => setNewScheduleRecurrenceEndDate(e.target.value)}
-                                                />
+                                                <label htmlFor="recurrenceEndMode" className="block text-gray-700 text-sm font-bold mb-1">Ends</label>
+                                                <select
+                                                    id="recurrenceEndMode"
+                                                    className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline h-10"
+                                                    value={newScheduleRecurrenceEndMode}
+                                                    onChange={(e) => setNewScheduleRecurrenceEndMode(e.target.value)}
+                                                >
+                                                    <option value="never">Never</option>
+                                                    <option value="onDate">On date</option>
+                                                    <option value="afterCount">After a number of times</option>
+                                                </select>
                                             </div>
+                                            {newScheduleRecurrenceEndMode === 'onDate' && (
+                                                <div>
+                                                    <label htmlFor="recurrenceEndDate" className="block text-gray-700 text-sm font-bold mb-1">End Date</label>
+                                                    <input
+                                                        type="date"
+                                                        id="recurrenceEndDate"
+                                                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                        value={newScheduleRecurrenceEndDate}
+                                                        onChange={(e) => setNewScheduleRecurrenceEndDate(e.target.value)}
+                                                    />
+                                                </div>
+                                            )}
+                                            {newScheduleRecurrenceEndMode === 'afterCount' && (
+                                                <div>
+                                                    <label htmlFor="recurrenceCount" className="block text-gray-700 text-sm font-bold mb-1">Occurrences</label>
+                                                    <input
+                                                        type="number"
+                                                        id="recurrenceCount"
+                                                        min="1"
+                                                        className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                        value={newScheduleRecurrenceCount}
+                                                        onChange={(e) => setNewScheduleRecurrenceCount(e.target.value)}
+                                                    />
+                                                </div>
+                                            )}
                                         </div>
                                     )}
 
@@ -1059,13 +2077,77 @@ const App = () => {
                                         </div>
                                     )}
 
-                                    <button
-                                        onClick={handleAddScheduleEntry}
-                                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 w-full"
-                                        disabled={activityItems.length === 0}
-                                    >
-                                        Add Schedule Entry
-                                    </button>
+                                    {/* Monthly Recurrence Rule Selection (Conditional) */}
+                                    {newScheduleRecurrenceType === 'monthly' && (
+                                        <div className="mb-4 space-y-2">
+                                            <label className="flex items-center text-gray-700">
+                                                <input
+                                                    type="radio"
+                                                    name="monthlyMode"
+                                                    className="form-radio h-4 w-4 text-blue-600"
+                                                    checked={newScheduleRecurrenceMonthlyMode === 'dayOfMonth'}
+                                                    onChange={() => setNewScheduleRecurrenceMonthlyMode('dayOfMonth')}
+                                                />
+                                                <span className="ml-2">On day {newScheduleRecurrenceStartDate ? Number(newScheduleRecurrenceStartDate.split('-')[2]) : '?'} of the month</span>
+                                            </label>
+                                            <label className="flex flex-wrap items-center gap-2 text-gray-700">
+                                                <input
+                                                    type="radio"
+                                                    name="monthlyMode"
+                                                    className="form-radio h-4 w-4 text-blue-600"
+                                                    checked={newScheduleRecurrenceMonthlyMode === 'nthWeekday'}
+                                                    onChange={handleNthWeekdayModeSelect}
+                                                />
+                                                <span>On the</span>
+                                                <select
+                                                    className="shadow border rounded py-1 px-2 text-gray-700"
+                                                    value={newScheduleRecurrenceWeekOfMonth}
+                                                    onChange={(e) => setNewScheduleRecurrenceWeekOfMonth(Number(e.target.value))}
+                                                    disabled={newScheduleRecurrenceMonthlyMode !== 'nthWeekday'}
+                                                >
+                                                    {weekOfMonthOptions.map(option => (
+                                                        <option key={option.value} value={option.value}>{option.label}</option>
+                                                    ))}
+                                                </select>
+                                                <select
+                                                    className="shadow border rounded py-1 px-2 text-gray-700"
+                                                    value={newScheduleRecurrenceWeekday}
+                                                    onChange={(e) => setNewScheduleRecurrenceWeekday(Number(e.target.value))}
+                                                    disabled={newScheduleRecurrenceMonthlyMode !== 'nthWeekday'}
+                                                >
+                                                    {weekdays.map((day, index) => (
+                                                        <option key={index} value={index}>{day}</option>
+                                                    ))}
+                                                </select>
+                                                <span>of the month</span>
+                                            </label>
+                                        </div>
+                                    )}
+
+                                    {editingEntry ? (
+                                        <div className="grid grid-cols-2 gap-4">
+                                            <button
+                                                onClick={() => handleUpdateScheduleEntry()}
+                                                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 w-full"
+                                            >
+                                                Save Changes
+                                            </button>
+                                            <button
+                                                onClick={resetScheduleForm}
+                                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 w-full"
+                                            >
+                                                Cancel Edit
+                                            </button>
+                                        </div>
+                                    ) : (
+                                        <button
+                                            onClick={() => handleAddScheduleEntry()}
+                                            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 w-full"
+                                            disabled={activeActivityItems.length === 0}
+                                        >
+                                            Add Schedule Entry
+                                        </button>
+                                    )}
                                 </div>
 
                                 {/* Display Schedule Entries */}
@@ -1074,72 +2156,327 @@ const App = () => {
                                 ) : (
                                     <ul className="space-y-3">
                                         {scheduleEntries.map(entry => (
-                                            <li key={entry.id} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border-l-4" style={{ borderColor: entry.activityColor }}>
+                                            <li key={`${entry.id}-${entry.occurrenceDate}`} className="flex items-center justify-between bg-white p-3 rounded-md shadow-sm border-l-4" style={{ borderColor: entry.activityColor }}>
                                                 <div>
                                                     <span className="font-semibold text-gray-800">{entry.activityName}</span>
                                                     <p className="text-sm text-gray-600">
                                                         {formatTime(entry.startDateTimeUTC, userTimeZone)} - {formatTime(entry.endDateTimeUTC, userTimeZone)}
+                                                        {entry.isOverridden && <span className="ml-2 text-xs font-semibold text-orange-600">(moved)</span>}
+                                                        {overlappingOccurrences.has(`${entry.id}-${entry.occurrenceDate}`) && (
+                                                            <span className="ml-2 text-xs font-semibold text-red-600">Overlaps another entry</span>
+                                                        )}
                                                         {entry.recurrenceType !== 'none' && (
                                                             <span className="ml-2 text-xs text-gray-500">
-                                                                ({entry.recurrenceType === 'daily' ? 'Daily' :
-                                                                  entry.recurrenceType === 'weekly' ? `Weekly on ${entry.recurrenceDays.map(d => weekdays[d].substring(0, 3)).join(', ')}` : ''})
+                                                                ({describeRecurrence(entry)})
                                                                 {entry.recurrenceStartDate && ` from ${entry.recurrenceStartDate}`}
                                                                 {entry.recurrenceEndDate && ` to ${entry.recurrenceEndDate}`}
                                                             </span>
                                                         )}
                                                     </p>
                                                 </div>
-                                                <button
-                                                    onClick={() => handleDeleteScheduleEntry(entry.id)}
-                                                    className="bg-red-400 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
-                                                >
-                                                    Delete
-                                                </button>
+                                                <div className="flex items-center space-x-2">
+                                                    <button
+                                                        onClick={() => handleEditScheduleEntry(entry)}
+                                                        className="bg-blue-400 hover:bg-blue-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                    >
+                                                        Edit
+                                                    </button>
+                                                    {entry.recurrenceType !== 'none' && (
+                                                        <button
+                                                            onClick={() => openRescheduleOccurrence(entry)}
+                                                            className="bg-yellow-400 hover:bg-yellow-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                        >
+                                                            Move
+                                                        </button>
+                                                    )}
+                                                    <button
+                                                        onClick={() => entry.recurrenceType === 'none'
+                                                            ? handleDeleteScheduleEntry(entry.id)
+                                                            : setOccurrenceAction({ type: 'delete', occurrence: entry })}
+                                                        className="bg-red-400 hover:bg-red-600 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                    >
+                                                        Delete
+                                                    </button>
+                                                </div>
                                             </li>
                                         ))}
                                     </ul>
                                 )}
                             </section>
+
+                            {/* Free Time Section */}
+                            <section className="lg:col-span-3 bg-white p-6 rounded-lg shadow-md">
+                                <div className="flex justify-between items-center mb-4">
+                                    <h2 className="text-2xl font-semibold text-gray-700">Free Time</h2>
+                                    {!isEditingWorkingHours && (
+                                        <button
+                                            onClick={() => setIsEditingWorkingHours(true)}
+                                            className="bg-gray-200 hover:bg-gray-300 text-gray-800 text-sm font-bold py-1 px-3 rounded transition duration-300"
+                                        >
+                                            Edit Working Hours
+                                        </button>
+                                    )}
+                                </div>
+                                {isEditingWorkingHours && (
+                                    <WorkingHoursEditor
+                                        value={workingHours}
+                                        onSave={handleSaveWorkingHours}
+                                        onCancel={() => setIsEditingWorkingHours(false)}
+                                    />
+                                )}
+                                <FreeSlotsPanel
+                                    workingHours={workingHours}
+                                    timeZone={userTimeZone}
+                                    displayTimeZone={userTimeZone}
+                                    startDateKey={selectedDateKey}
+                                    getBusyOccurrences={(fromKey, toKey) => [
+                                        ...[...groupOccurrencesByDate(monthScheduleEntries, fromKey, toKey, userTimeZone).values()].flat(),
+                                        ...tentativeOccurrences,
+                                    ]}
+                                />
+                            </section>
                         </main>
                     </div>
                 )}
 
-                {/* Share Link Modal */}
+                {/* Manage Shared Links Modal */}
                 {showShareModal && (
+                    <ShareLinksModal
+                        links={shareLinks}
+                        defaultDateKey={selectedDateKey}
+                        timeZone={userTimeZone}
+                        onCreate={handleCreateShareLink}
+                        onRevoke={handleRevokeShareLink}
+                        onCopy={handleCopyShareLink}
+                        onClose={() => setShowShareModal(false)}
+                    />
+                )}
+
+                {/* Login/Sign Up dialog for guests */}
+                {isAnonymous && showAuthForm && !accountMerge && (
                     <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
-                        <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full">
-                            <h3 className="text-xl font-bold mb-4 text-gray-800">Share Your Schedule</h3>
-                            <p className="mb-4 text-gray-700">Copy this link to share your schedule:</p>
-                            <div className="flex items-center border border-gray-300 rounded-md p-3 bg-gray-50 mb-4">
-                                <input
-                                    type="text"
-                                    readOnly
-                                    value={shareLink}
-                                    className="flex-grow bg-transparent outline-none text-gray-700"
-                                />
+                        <div className="relative w-full max-w-md">
+                            {authForm}
+                            <button
+                                onClick={() => setShowAuthForm(false)}
+                                className="absolute top-2 right-3 text-2xl text-gray-500 hover:text-gray-800"
+                                aria-label="Close"
+                            >
+                                &times;
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Settings Modal */}
+                {showSettings && userId && (
+                    <SettingsModal
+                        displayName={displayName}
+                        timeZone={userTimeZone}
+                        email={accountEmail}
+                        emailVerified={emailVerified}
+                        isAnonymous={isAnonymous}
+                        deletionProgress={accountDeletionProgress}
+                        onSaveDisplayName={handleSaveDisplayName}
+                        onTimeZoneChange={handleTimeZoneChange}
+                        onResendVerification={handleResendVerification}
+                        onRefreshVerification={handleRefreshVerification}
+                        onChangePassword={handleChangePassword}
+                        onDeleteAccount={handleDeleteAccount}
+                        onSignUp={() => { setShowSettings(false); setIsLogin(false); setShowAuthForm(true); }}
+                        onClose={() => setShowSettings(false)}
+                    />
+                )}
+
+                {/* Merge Guest Data Modal */}
+                {accountMerge && (
+                    <MergeAccountModal
+                        email={accountMerge.email}
+                        guestData={accountMerge.guestData}
+                        isMerging={accountMerge.isMerging}
+                        onMerge={() => handleSignInFromGuest(true)}
+                        onSkip={() => handleSignInFromGuest(false)}
+                        onCancel={() => setAccountMerge(null)}
+                    />
+                )}
+
+                {/* Copy Day/Week Modal */}
+                {copyAction && (
+                    <CopyScheduleModal
+                        scope={copyAction.scope}
+                        sourceDateKey={copyAction.sourceDateKey}
+                        timeZone={userTimeZone}
+                        onLoadPlan={loadCopyPlan}
+                        onCopy={handleCopySchedule}
+                        onCancel={() => setCopyAction(null)}
+                    />
+                )}
+
+                {/* Delete Activity Modal */}
+                {activityDeletion && (
+                    <DeleteActivityModal
+                        activity={activityDeletion.activity}
+                        usage={activityDeletion.usage}
+                        otherActivities={activeActivityItems.filter(item => item.id !== activityDeletion.activity.id)}
+                        onReassign={handleReassignActivityEntries}
+                        onDeleteEntries={handleDeleteActivityEntries}
+                        onArchive={handleArchiveActivity}
+                        onCancel={() => setActivityDeletion(null)}
+                    />
+                )}
+
+                {/* Booking Requests Inbox Modal */}
+                {showBookingRequests && (
+                    <BookingRequestsModal
+                        requests={bookingRequests}
+                        links={shareLinks}
+                        activityItems={activeActivityItems}
+                        timeZone={userTimeZone}
+                        onAccept={handleAcceptBookingRequest}
+                        onDecline={handleDeclineBookingRequest}
+                        onClose={() => setShowBookingRequests(false)}
+                    />
+                )}
+
+                {/* Overlap Warning Modal */}
+                {pendingConflicts && (
+                    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+                        <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full">
+                            <h3 className="text-xl font-bold mb-4 text-gray-800">Overlapping Entries</h3>
+                            <p className="mb-4 text-gray-700">
+                                This entry overlaps {pendingConflicts.conflicts.length} existing occurrence{pendingConflicts.conflicts.length === 1 ? '' : 's'}:
+                            </p>
+                            <ul className="mb-4 max-h-64 overflow-y-auto space-y-2 text-sm">
+                                {pendingConflicts.conflicts.slice(0, 50).map(({ occurrence, conflictingOccurrence }, index) => (
+                                    <li key={index} className="bg-gray-50 p-2 rounded-md border-l-4" style={{ borderColor: conflictingOccurrence.activityColor }}>
+                                        <span className="font-semibold">{formatDate(occurrence.startDateTimeUTC, userTimeZone)}</span>
+                                        <p className="text-gray-600">
+                                            {formatTime(occurrence.startDateTimeUTC, userTimeZone)} - {formatTime(occurrence.endDateTimeUTC, userTimeZone)} clashes with{' '}
+                                            <span className="font-semibold">{conflictingOccurrence.activityName}</span>{' '}
+                                            ({formatTime(conflictingOccurrence.startDateTimeUTC, userTimeZone)} - {formatTime(conflictingOccurrence.endDateTimeUTC, userTimeZone)})
+                                        </p>
+                                    </li>
+                                ))}
+                            </ul>
+                            {pendingConflicts.conflicts.length > 50 && (
+                                <p className="mb-4 text-sm text-gray-500">...and {pendingConflicts.conflicts.length - 50} more.</p>
+                            )}
+                            <div className="grid grid-cols-2 gap-4">
+                                <button
+                                    onClick={() => setPendingConflicts(null)}
+                                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                >
+                                    Cancel
+                                </button>
                                 <button
                                     onClick={() => {
-                                        // Use document.execCommand('copy') for better compatibility in iframes
-                                        const el = document.createElement('textarea');
-                                        el.value = shareLink;
-                                        document.body.appendChild(el);
-                                        el.select();
-                                        document.execCommand('copy');
-                                        document.body.removeChild(el);
-                                        // Replaced alert with a simple message for better UX
-                                        setError("Link copied to clipboard!");
-                                        setTimeout(() => setError(null), 3000); // Clear message after 3 seconds
+                                        const { onSaveAnyway } = pendingConflicts;
+                                        setPendingConflicts(null);
+                                        onSaveAnyway();
                                     }}
-                                    className="ml-3 bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                                    className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
                                 >
-                                    Copy
+                                    Save Anyway
                                 </button>
                             </div>
+                        </div>
+                    </div>
+                )}
+
+                {/* Import Preview Modal */}
+                {importPreview && (
+                    <ImportCalendarModal
+                        fileName={importPreview.fileName}
+                        items={importPreview.items}
+                        activityItems={activeActivityItems}
+                        onImport={handleImportEvents}
+                        onCancel={() => setImportPreview(null)}
+                    />
+                )}
+
+                {/* Occurrence Delete / Reschedule Modal */}
+                {occurrenceAction && (
+                    <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+                        <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full">
+                            {occurrenceAction.type === 'delete' ? (
+                                <>
+                                    <h3 className="text-xl font-bold mb-4 text-gray-800">Delete Repeating Entry</h3>
+                                    <p className="mb-4 text-gray-700">
+                                        {occurrenceAction.occurrence.activityName} on {formatDateKey(occurrenceAction.occurrence.occurrenceDate)} is part of a repeating series.
+                                    </p>
+                                    <div className="space-y-2 mb-4">
+                                        <button
+                                            onClick={() => handleDeleteOccurrence(occurrenceAction.occurrence, 'occurrence')}
+                                            className="bg-red-400 hover:bg-red-600 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                        >
+                                            This occurrence
+                                        </button>
+                                        <button
+                                            onClick={() => handleDeleteOccurrence(occurrenceAction.occurrence, 'following')}
+                                            className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                        >
+                                            This and following occurrences
+                                        </button>
+                                        <button
+                                            onClick={() => handleDeleteOccurrence(occurrenceAction.occurrence, 'series')}
+                                            className="bg-red-600 hover:bg-red-800 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                        >
+                                            The whole series
+                                        </button>
+                                    </div>
+                                </>
+                            ) : (
+                                <>
+                                    <h3 className="text-xl font-bold mb-4 text-gray-800">Move Occurrence</h3>
+                                    <p className="mb-4 text-gray-700">
+                                        Change the time of {occurrenceAction.occurrence.activityName} on {formatDateKey(occurrenceAction.occurrence.occurrenceDate)} only
+                                        (times in {occurrenceAction.occurrence.timeZone}).
+                                    </p>
+                                    <div className="grid grid-cols-2 gap-4 mb-4">
+                                        <div>
+                                            <label htmlFor="overrideStartTime" className="block text-gray-700 text-sm font-bold mb-1">Start Time</label>
+                                            <input
+                                                type="time"
+                                                id="overrideStartTime"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                value={overrideStartTime}
+                                                onChange={(e) => setOverrideStartTime(e.target.value)}
+                                            />
+                                        </div>
+                                        <div>
+                                            <label htmlFor="overrideEndTime" className="block text-gray-700 text-sm font-bold mb-1">End Time</label>
+                                            <input
+                                                type="time"
+                                                id="overrideEndTime"
+                                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                                value={overrideEndTime}
+                                                onChange={(e) => setOverrideEndTime(e.target.value)}
+                                            />
+                                        </div>
+                                    </div>
+                                    <div className="space-y-2 mb-4">
+                                        <button
+                                            onClick={() => handleRescheduleOccurrence()}
+                                            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                        >
+                                            Save
+                                        </button>
+                                        {occurrenceAction.occurrence.isOverridden && (
+                                            <button
+                                                onClick={() => handleRescheduleOccurrence(true)}
+                                                className="bg-yellow-400 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded transition duration-300 w-full"
+                                            >
+                                                Reset to series time
+                                            </button>
+                                        )}
+                                    </div>
+                                </>
+                            )}
                             <button
-                                onClick={() => setShowShareModal(false)}
+                                onClick={() => setOccurrenceAction(null)}
                                 className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 w-full"
                             >
-                                Close
+                                Cancel
                             </button>
                         </div>
                     </div>
@@ -0,0 +1,130 @@
+import React, { useState } from 'react';
+import { slotDurationOptions } from './availability';
+import { getDefaultBookingForm, validateBookingForm, getRequestedInterval } from './bookingRequests';
+import { formatDate, formatTime } from './format';
+
+// BookingRequestModal Component - Lets someone viewing a share link ask for part of a free slot.
+// onSubmit(form, interval) returns null once the request was saved, or an error message.
+const BookingRequestModal = ({ slot, ownerName, timeZone, onSubmit, onCancel }) => {
+    const slotMinutes = (new Date(slot.endDateTimeUTC) - new Date(slot.startDateTimeUTC)) / (60 * 1000);
+    // Lengths that fit in the slot, plus the whole slot when it is not one of them
+    const durationOptions = [...new Set([...slotDurationOptions.filter(minutes => minutes <= slotMinutes), slotMinutes])];
+    const [form, setForm] = useState(() => ({ ...getDefaultBookingForm(), durationMinutes: Math.min(getDefaultBookingForm().durationMinutes, slotMinutes) }));
+    const [formError, setFormError] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+    const [isSent, setIsSent] = useState(false);
+
+    const updateForm = (changes) => setForm({ ...form, ...changes });
+    const interval = getRequestedInterval(slot, form.durationMinutes);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        const validationError = validateBookingForm(form);
+        if (validationError) {
+            setFormError(validationError);
+            return;
+        }
+        setFormError(null);
+        setIsSaving(true);
+        const submitError = await onSubmit(form, interval);
+        setIsSaving(false);
+        if (submitError) {
+            setFormError(submitError);
+        } else {
+            setIsSent(true);
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full">
+                <h3 className="text-xl font-bold mb-2 text-gray-800">Request a Booking</h3>
+                <p className="mb-4 text-sm text-gray-600">
+                    {formatDate(interval.startDateTimeUTC, timeZone)}, {formatTime(interval.startDateTimeUTC, timeZone)} - {formatTime(interval.endDateTimeUTC, timeZone)} ({timeZone})
+                </p>
+                {!isSent && (
+                    <p className="mb-4 text-xs text-gray-500">
+                        Times others have asked for show up as held once {ownerName}'s app has updated this page, which can take until {ownerName} is next online. A request for a time someone already asked for is refused.
+                    </p>
+                )}
+                {isSent ? (
+                    <>
+                        <p className="mb-4 text-gray-700">Your request was sent. {ownerName} will accept or decline it; until then the time is held for you.</p>
+                        <button
+                            onClick={onCancel}
+                            className="w-full bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                        >
+                            Close
+                        </button>
+                    </>
+                ) : (
+                    <form onSubmit={handleSubmit}>
+                        <div className="mb-3">
+                            <label htmlFor="bookingDuration" className="block text-gray-700 text-sm font-bold mb-2">Length</label>
+                            <select
+                                id="bookingDuration"
+                                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.durationMinutes}
+                                onChange={(e) => updateForm({ durationMinutes: Number(e.target.value) })}
+                            >
+                                {durationOptions.map(minutes => (
+                                    <option key={minutes} value={minutes}>{minutes < 60 ? `${minutes} min` : `${Math.floor(minutes / 60)} h${minutes % 60 ? ` ${minutes % 60} min` : ''}`}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div className="mb-3">
+                            <label htmlFor="bookingName" className="block text-gray-700 text-sm font-bold mb-2">Name</label>
+                            <input
+                                type="text"
+                                id="bookingName"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.name}
+                                onChange={(e) => updateForm({ name: e.target.value })}
+                            />
+                        </div>
+                        <div className="mb-3">
+                            <label htmlFor="bookingEmail" className="block text-gray-700 text-sm font-bold mb-2">Email</label>
+                            <input
+                                type="email"
+                                id="bookingEmail"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.email}
+                                onChange={(e) => updateForm({ email: e.target.value })}
+                            />
+                        </div>
+                        <div className="mb-3">
+                            <label htmlFor="bookingNote" className="block text-gray-700 text-sm font-bold mb-2">Note</label>
+                            <textarea
+                                id="bookingNote"
+                                rows={3}
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                placeholder="What would you like to meet about?"
+                                value={form.note}
+                                onChange={(e) => updateForm({ note: e.target.value })}
+                            />
+                        </div>
+                        {formError && <p className="mb-3 text-sm text-red-600">{formError}</p>}
+                        <div className="grid grid-cols-2 gap-2">
+                            <button
+                                type="button"
+                                onClick={onCancel}
+                                className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300"
+                            >
+                                Cancel
+                            </button>
+                            <button
+                                type="submit"
+                                disabled={isSaving}
+                                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                            >
+                                {isSaving ? 'Sending...' : 'Send Request'}
+                            </button>
+                        </div>
+                    </form>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default BookingRequestModal;
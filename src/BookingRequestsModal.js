@@ -0,0 +1,87 @@
+import React, { useState } from 'react';
+import { bookingRequestStatuses } from './bookingRequests';
+import { formatDate, formatTime } from './format';
+
+// Pending requests first, each group soonest first
+const sortRequests = (requests) => [...requests].sort((a, b) =>
+    (a.status === 'pending' ? 0 : 1) - (b.status === 'pending' ? 0 : 1) || a.startDateTimeUTC.localeCompare(b.startDateTimeUTC));
+
+// BookingRequestsModal Component - Inbox of booking requests sent from share links.
+// onAccept(request, activityId) and onDecline(request) update the request; links label the link each request came through.
+const BookingRequestsModal = ({ requests, links, activityItems, timeZone, onAccept, onDecline, onClose }) => {
+    const [activityIds, setActivityIds] = useState({}); // Request ID -> activity chosen for the entry it creates
+    const linkLabels = new Map(links.map(link => [link.id, link.label]));
+    const defaultActivityId = activityItems.length > 0 ? activityItems[0].id : '';
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full max-h-screen overflow-y-auto">
+                <h3 className="text-xl font-bold mb-4 text-gray-800">Booking Requests</h3>
+                {requests.length === 0 ? (
+                    <p className="mb-4 text-gray-500">Nobody has requested a booking yet.</p>
+                ) : (
+                    <ul className="mb-4 space-y-2 text-sm">
+                        {sortRequests(requests).map(request => {
+                            const status = bookingRequestStatuses[request.status] || bookingRequestStatuses.pending;
+                            const activityId = activityIds[request.id] || defaultActivityId;
+                            return (
+                                <li key={request.id} className="bg-gray-50 p-3 rounded-md">
+                                    <div>
+                                        <span className="font-semibold text-gray-800">{request.name}</span>
+                                        <span className="ml-2 text-gray-600">{request.email}</span>
+                                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${status.style}`}>{status.label}</span>
+                                        <p className="text-gray-700">
+                                            {formatDate(request.startDateTimeUTC, timeZone)}, {formatTime(request.startDateTimeUTC, timeZone)} - {formatTime(request.endDateTimeUTC, timeZone)}
+                                        </p>
+                                        {request.note && <p className="text-gray-600 italic whitespace-pre-line">{request.note}</p>}
+                                        <p className="text-xs text-gray-500">
+                                            Via {linkLabels.get(request.shareToken) || 'a shared link'}, sent {formatDate(request.createdAt, timeZone)}
+                                        </p>
+                                    </div>
+                                    {request.status === 'pending' && (
+                                        <div className="flex items-center justify-end space-x-2 mt-2">
+                                            <select
+                                                aria-label="Activity for the accepted booking"
+                                                className="border rounded py-1 px-1 text-xs text-gray-700 focus:outline-none focus:shadow-outline"
+                                                value={activityId}
+                                                onChange={(e) => setActivityIds({ ...activityIds, [request.id]: e.target.value })}
+                                            >
+                                                {activityItems.map(item => (
+                                                    <option key={item.id} value={item.id}>{item.name}</option>
+                                                ))}
+                                            </select>
+                                            <button
+                                                onClick={() => onAccept(request, activityId)}
+                                                disabled={!activityId}
+                                                className="bg-green-500 hover:bg-green-700 text-white text-xs font-bold py-1 px-2 rounded transition duration-300 disabled:opacity-50"
+                                            >
+                                                Accept
+                                            </button>
+                                            <button
+                                                onClick={() => onDecline(request)}
+                                                className="bg-red-500 hover:bg-red-700 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                            >
+                                                Decline
+                                            </button>
+                                        </div>
+                                    )}
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+                {activityItems.length === 0 && requests.some(request => request.status === 'pending') && (
+                    <p className="mb-4 text-sm text-gray-500">Add an activity to accept requests; accepted bookings are saved under it.</p>
+                )}
+                <button
+                    onClick={onClose}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 w-full"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default BookingRequestsModal;
@@ -0,0 +1,24 @@
+import React from 'react';
+
+// Calendar layouts understood by both the owner view and ShareView
+export const calendarViews = ['month', 'week', 'day'];
+
+// CalendarViewToggle Component - Switches between the month, week and day layouts (or another list of views)
+const CalendarViewToggle = ({ value, onChange, views = calendarViews }) => (
+    <div className="inline-flex rounded-md shadow-sm" role="group">
+        {views.map((view, index) => (
+            <button
+                key={view}
+                type="button"
+                onClick={() => onChange(view)}
+                className={`py-1 px-3 text-sm font-semibold border border-blue-300 transition duration-300
+                            ${index === 0 ? 'rounded-l-md' : ''} ${index === views.length - 1 ? 'rounded-r-md' : ''}
+                            ${value === view ? 'bg-blue-500 text-white' : 'bg-white text-blue-800 hover:bg-blue-100'}`}
+            >
+                {view.charAt(0).toUpperCase() + view.slice(1)}
+            </button>
+        ))}
+    </div>
+);
+
+export default CalendarViewToggle;
@@ -0,0 +1,142 @@
+import React, { useState, useEffect, useRef } from 'react';
+import { addDaysToKey } from './recurrence';
+import { copyConflictModes, getCopyDateKeys } from './copySchedule';
+import { formatDateKey, formatTime } from './format';
+
+// CopyScheduleModal Component - Copies the entries of a day or week (scope) onto another date or week.
+// onLoadPlan(targetDateKey, includeRecurring) resolves to a plan from buildCopyPlan, which is previewed with the entries
+// each copy would overlap; onCopy(plan, mode) carries it out with one of copyConflictModes.
+const CopyScheduleModal = ({ scope, sourceDateKey, timeZone, onLoadPlan, onCopy, onCancel }) => {
+    const [targetDateKey, setTargetDateKey] = useState(addDaysToKey(sourceDateKey, scope === 'week' ? 7 : 1));
+    const [includeRecurring, setIncludeRecurring] = useState(false);
+    const [mode, setMode] = useState('skip');
+    const [plan, setPlan] = useState(null);
+    const [loadError, setLoadError] = useState(null);
+
+    // The handler changes with every render of the app, so the latest one is used without reloading the preview
+    const onLoadPlanRef = useRef(onLoadPlan);
+    onLoadPlanRef.current = onLoadPlan;
+
+    // Preview the copies again whenever the target or the recurring option changes
+    useEffect(() => {
+        setPlan(null);
+        setLoadError(null);
+        if (!targetDateKey) return;
+        let isCurrent = true;
+        onLoadPlanRef.current(targetDateKey, includeRecurring)
+            .then(newPlan => { if (isCurrent) setPlan(newPlan); })
+            .catch(e => {
+                console.error("Error previewing copy:", e);
+                if (isCurrent) setLoadError("Failed to check the target dates.");
+            });
+        return () => { isCurrent = false; };
+    }, [targetDateKey, includeRecurring]);
+
+    const isSameDates = plan && plan.targetDateKeys[0] === plan.sourceDateKeys[0];
+    const conflictCount = plan ? plan.copies.filter(copy => copy.conflicts.length > 0).length : 0;
+    const copyCount = !plan ? 0 : mode === 'skip' ? plan.copies.length - conflictCount : plan.copies.length;
+    const describeDates = (dateKeys) => dateKeys.length === 1
+        ? formatDateKey(dateKeys[0])
+        : `${formatDateKey(dateKeys[0], { month: 'short', day: 'numeric' })} - ${formatDateKey(dateKeys[dateKeys.length - 1], { month: 'short', day: 'numeric', year: 'numeric' })}`;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-lg w-full">
+                <h3 className="text-xl font-bold mb-2 text-gray-800">{scope === 'week' ? 'Copy Week' : 'Copy Day'}</h3>
+                <p className="mb-4 text-gray-600">From {describeDates(getCopyDateKeys(scope, sourceDateKey))}</p>
+
+                <label htmlFor="copyTargetDate" className="block text-gray-700 text-sm font-bold mb-2">
+                    {scope === 'week' ? 'To the week of' : 'To'}
+                </label>
+                <input
+                    type="date"
+                    id="copyTargetDate"
+                    className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline mb-2"
+                    value={targetDateKey}
+                    onChange={(e) => setTargetDateKey(e.target.value)}
+                />
+                {plan && scope === 'week' && <p className="mb-2 text-sm text-gray-500">{describeDates(plan.targetDateKeys)}</p>}
+                <label className="flex items-center mb-4 text-sm text-gray-700">
+                    <input
+                        type="checkbox"
+                        className="mr-2"
+                        checked={includeRecurring}
+                        onChange={(e) => setIncludeRecurring(e.target.checked)}
+                    />
+                    Include occurrences of repeating entries, as one-time copies
+                </label>
+
+                {loadError && <p className="mb-4 text-sm text-red-600">{loadError}</p>}
+                {!plan && !loadError && targetDateKey && <p className="mb-4 text-gray-600">Checking the target dates...</p>}
+                {plan && (
+                    <>
+                        {plan.copies.length === 0 ? (
+                            <p className="mb-4 text-gray-600">
+                                Nothing to copy{plan.recurringCount > 0 && ` apart from ${plan.recurringCount} repeating occurrence${plan.recurringCount === 1 ? '' : 's'}`}.
+                            </p>
+                        ) : (
+                            <ul className="mb-4 max-h-64 overflow-y-auto space-y-2 text-sm">
+                                {plan.copies.map(({ key, fields, conflicts }) => (
+                                    <li
+                                        key={key}
+                                        className={`p-2 rounded-md border-l-4 ${conflicts.length > 0 ? 'bg-yellow-50' : 'bg-gray-50'}`}
+                                        style={{ borderColor: fields.activityColor }}
+                                    >
+                                        <span className="font-semibold">{fields.activityName}</span>
+                                        <span className="text-gray-600"> {formatDateKey(fields.date, { weekday: 'short', month: 'short', day: 'numeric' })}, {fields.startTime} - {fields.endTime}</span>
+                                        {conflicts.map(conflict => (
+                                            <p key={`${conflict.id}-${conflict.occurrenceDate}`} className="text-yellow-800">
+                                                Overlaps {conflict.activityName} ({formatTime(conflict.startDateTimeUTC, timeZone)} - {formatTime(conflict.endDateTimeUTC, timeZone)})
+                                            </p>
+                                        ))}
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                        {conflictCount > 0 && (
+                            <div className="mb-4">
+                                <p className="text-sm font-bold text-gray-700 mb-1">
+                                    {conflictCount} {conflictCount === 1 ? 'copy overlaps' : 'copies overlap'} existing entries:
+                                </p>
+                                {copyConflictModes.map(option => (
+                                    <label key={option.value} className="flex items-center text-sm text-gray-700">
+                                        <input
+                                            type="radio"
+                                            name="copyConflictMode"
+                                            className="mr-2"
+                                            value={option.value}
+                                            checked={mode === option.value}
+                                            onChange={() => setMode(option.value)}
+                                        />
+                                        {option.label}
+                                    </label>
+                                ))}
+                            </div>
+                        )}
+                        {isSameDates && (
+                            <p className="mb-4 text-sm text-red-600">Choose another {scope === 'week' ? 'week' : 'day'} to copy to.</p>
+                        )}
+                    </>
+                )}
+
+                <div className="flex justify-end space-x-2">
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onCopy(plan, mode)}
+                        disabled={!plan || isSameDates || copyCount === 0}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                    >
+                        Copy {copyCount} {copyCount === 1 ? 'Entry' : 'Entries'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default CopyScheduleModal;
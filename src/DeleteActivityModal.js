@@ -0,0 +1,92 @@
+import React, { useState } from 'react';
+
+// DeleteActivityModal Component - Shown before an activity is deleted, with what happens to the entries that use it.
+// usage is { entryCount, seriesCount } or null while counting.
+// onReassign(targetActivityId), onDeleteEntries() and onArchive() carry out the chosen option.
+const DeleteActivityModal = ({ activity, usage, otherActivities, onReassign, onDeleteEntries, onArchive, onCancel }) => {
+    const [targetActivityId, setTargetActivityId] = useState(otherActivities.length > 0 ? otherActivities[0].id : '');
+    const isUnused = usage && usage.entryCount === 0;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full">
+                <h3 className="text-xl font-bold mb-2 text-gray-800">Delete "{activity.name}"</h3>
+                {!usage ? (
+                    <p className="mb-4 text-gray-600">Checking which schedule entries use this activity...</p>
+                ) : isUnused ? (
+                    <p className="mb-4 text-gray-600">No schedule entries use this activity.</p>
+                ) : (
+                    <p className="mb-4 text-gray-600">
+                        {usage.entryCount} schedule {usage.entryCount === 1 ? 'entry uses' : 'entries use'} this activity
+                        {usage.seriesCount > 0 && `, ${usage.seriesCount} of them repeating`}. Choose what happens to {usage.entryCount === 1 ? 'it' : 'them'}:
+                    </p>
+                )}
+
+                {usage && !isUnused && (
+                    <div className="space-y-3 mb-4">
+                        <div className="p-3 border border-gray-200 rounded-md">
+                            <label htmlFor="reassignActivity" className="block text-gray-700 text-sm font-bold mb-2">Move entries to another activity</label>
+                            <div className="flex space-x-2">
+                                <select
+                                    id="reassignActivity"
+                                    className="flex-grow shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                                    value={targetActivityId}
+                                    disabled={otherActivities.length === 0}
+                                    onChange={(e) => setTargetActivityId(e.target.value)}
+                                >
+                                    {otherActivities.length === 0 ? (
+                                        <option value="">No other activities</option>
+                                    ) : (
+                                        otherActivities.map(item => (
+                                            <option key={item.id} value={item.id}>{item.name}</option>
+                                        ))
+                                    )}
+                                </select>
+                                <button
+                                    onClick={() => onReassign(targetActivityId)}
+                                    disabled={!targetActivityId}
+                                    className="bg-blue-500 hover:bg-blue-700 text-white text-sm font-bold py-1 px-3 rounded transition duration-300 disabled:opacity-50"
+                                >
+                                    Move and Delete
+                                </button>
+                            </div>
+                        </div>
+                        {!activity.archived && (
+                            <button
+                                onClick={onArchive}
+                                className="w-full bg-yellow-500 hover:bg-yellow-600 text-white font-bold py-2 px-4 rounded transition duration-300"
+                            >
+                                Archive Instead (keep entries, hide from the picker)
+                            </button>
+                        )}
+                        <button
+                            onClick={onDeleteEntries}
+                            className="w-full bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                        >
+                            Delete Activity and Its Entries
+                        </button>
+                    </div>
+                )}
+
+                <div className={`grid gap-2 ${isUnused ? 'grid-cols-2' : 'grid-cols-1'}`}>
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300"
+                    >
+                        Cancel
+                    </button>
+                    {isUnused && (
+                        <button
+                            onClick={onDeleteEntries}
+                            className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                        >
+                            Delete
+                        </button>
+                    )}
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default DeleteActivityModal;
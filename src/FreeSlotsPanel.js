@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import { addDaysToKey } from './recurrence';
+import { slotDurationOptions, findFreeSlots } from './availability';
+import { formatTime, formatDateKey } from './format';
+
+const dayCountOptions = [1, 7, 14, 30];
+
+// FreeSlotsPanel Component - Lists free slots of at least a chosen length within working hours.
+// Working hours are in timeZone; slots are shown in displayTimeZone. getBusyOccurrences(fromKey, toKey) returns
+// the occurrences that block time on those days, and maxDateKey optionally limits how far ahead slots are searched.
+// When onSelectSlot is given, slots can be picked (used by the share page to request a booking).
+const FreeSlotsPanel = ({ workingHours, timeZone, displayTimeZone, startDateKey, maxDateKey, getBusyOccurrences, onSelectSlot }) => {
+    const [minDurationMinutes, setMinDurationMinutes] = useState(30);
+    const [dayCount, setDayCount] = useState(7);
+
+    const lastDateKey = addDaysToKey(startDateKey, dayCount - 1);
+    const toKey = maxDateKey && maxDateKey < lastDateKey ? maxDateKey : lastDateKey;
+    const slots = findFreeSlots({
+        workingHours,
+        timeZone,
+        // One extra day on each side catches occurrences stored in other zones
+        busyOccurrences: getBusyOccurrences(addDaysToKey(startDateKey, -1), addDaysToKey(toKey, 1)),
+        fromKey: startDateKey,
+        toKey,
+        minDurationMinutes,
+    });
+
+    const slotsByDate = new Map();
+    slots.forEach(slot => {
+        if (!slotsByDate.has(slot.dateKey)) slotsByDate.set(slot.dateKey, []);
+        slotsByDate.get(slot.dateKey).push(slot);
+    });
+
+    return (
+        <div>
+            <div className="flex items-center space-x-2 mb-3 text-sm">
+                <label htmlFor="slotDuration" className="text-gray-700 font-bold">At least</label>
+                <select
+                    id="slotDuration"
+                    className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                    value={minDurationMinutes}
+                    onChange={(e) => setMinDurationMinutes(Number(e.target.value))}
+                >
+                    {slotDurationOptions.map(minutes => (
+                        <option key={minutes} value={minutes}>{minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</option>
+                    ))}
+                </select>
+                <label htmlFor="slotDays" className="text-gray-700 font-bold">over</label>
+                <select
+                    id="slotDays"
+                    className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                    value={dayCount}
+                    onChange={(e) => setDayCount(Number(e.target.value))}
+                >
+                    {dayCountOptions.map(days => (
+                        <option key={days} value={days}>{days === 1 ? '1 day' : `${days} days`}</option>
+                    ))}
+                </select>
+            </div>
+            {slots.length === 0 ? (
+                <p className="text-gray-500">No free slots in working hours for these days.</p>
+            ) : (
+                <ul className="space-y-2 max-h-96 overflow-y-auto text-sm">
+                    {[...slotsByDate].map(([dateKey, daySlots]) => (
+                        <li key={dateKey}>
+                            <span className="font-semibold text-gray-700">{formatDateKey(dateKey, { weekday: 'short', month: 'short', day: 'numeric' })}</span>
+                            <div className="flex flex-wrap gap-1 mt-1">
+                                {daySlots.map(slot => onSelectSlot ? (
+                                    <button
+                                        key={slot.startDateTimeUTC}
+                                        onClick={() => onSelectSlot(slot)}
+                                        title="Request a booking"
+                                        className="bg-green-100 hover:bg-green-200 text-green-800 rounded-full px-2 py-0.5 text-xs transition duration-200"
+                                    >
+                                        {formatTime(slot.startDateTimeUTC, displayTimeZone)} - {formatTime(slot.endDateTimeUTC, displayTimeZone)}
+                                    </button>
+                                ) : (
+                                    <span key={slot.startDateTimeUTC} className="bg-green-100 text-green-800 rounded-full px-2 py-0.5 text-xs">
+                                        {formatTime(slot.startDateTimeUTC, displayTimeZone)} - {formatTime(slot.endDateTimeUTC, displayTimeZone)}
+                                    </span>
+                                ))}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default FreeSlotsPanel;
@@ -0,0 +1,70 @@
+import React from 'react';
+import { zonedTimeToUtc } from './timeZone';
+import { formatTime } from './format';
+
+const TICK_HOURS = [0, 3, 6, 9, 12, 15, 18, 21];
+
+// GroupTimeline Component - One day drawn horizontally in timeZone, with a row per member and a row of common free time.
+// Rows are { key, label, free: [slot], busy: [occurrence] }; members' free slots are their working hours minus their busy time.
+const GroupTimeline = ({ dateKey, dayStart, dayEnd, timeZone, rows, commonSlots, memberCount }) => {
+    const dayLength = dayEnd - dayStart;
+    // Left offset and width (in percent of the day) of an interval, clipped to the day
+    const position = (startDateTimeUTC, endDateTimeUTC) => {
+        const start = Math.max(dayStart, new Date(startDateTimeUTC).getTime());
+        const end = Math.min(dayEnd, new Date(endDateTimeUTC).getTime());
+        return { left: `${((start - dayStart) / dayLength) * 100}%`, width: `${(Math.max(0, end - start) / dayLength) * 100}%` };
+    };
+
+    const renderRow = (key, label, content) => (
+        <div key={key} className="flex items-center mb-1">
+            <div className="w-32 flex-shrink-0 pr-2 text-sm font-semibold text-gray-700 truncate" title={label}>{label}</div>
+            <div className="relative flex-grow h-8 bg-gray-100 rounded">{content}</div>
+        </div>
+    );
+
+    return (
+        <div className="mb-4">
+            {/* Hour axis; ticks are placed by instant, so days with a DST change stay correct */}
+            <div className="flex mb-1">
+                <div className="w-32 flex-shrink-0"></div>
+                <div className="relative flex-grow h-5 text-xs text-gray-500">
+                    {TICK_HOURS.map(hour => {
+                        const tick = zonedTimeToUtc(dateKey, `${String(hour).padStart(2, '0')}:00`, timeZone).getTime();
+                        return (
+                            <span key={hour} className="absolute border-l border-gray-300 pl-1" style={{ left: `${((tick - dayStart) / dayLength) * 100}%` }}>
+                                {`${hour % 12 === 0 ? 12 : hour % 12} ${hour < 12 ? 'AM' : 'PM'}`}
+                            </span>
+                        );
+                    })}
+                </div>
+            </div>
+
+            {rows.map(row => renderRow(row.key, row.label, (
+                <>
+                    {row.free.map(slot => (
+                        <div key={`free-${slot.startDateTimeUTC}`} className="absolute top-0 bottom-0 bg-green-100" style={position(slot.startDateTimeUTC, slot.endDateTimeUTC)}></div>
+                    ))}
+                    {row.busy.map(occurrence => (
+                        <div
+                            key={`busy-${occurrence.id}`}
+                            className="absolute top-1 bottom-1 rounded opacity-80"
+                            style={{ ...position(occurrence.startDateTimeUTC, occurrence.endDateTimeUTC), backgroundColor: occurrence.activityColor }}
+                            title={`${occurrence.activityName}: ${formatTime(occurrence.startDateTimeUTC, timeZone)} - ${formatTime(occurrence.endDateTimeUTC, timeZone)}`}
+                        ></div>
+                    ))}
+                </>
+            )))}
+
+            {renderRow('common', 'Common free time', commonSlots.map(slot => (
+                <div
+                    key={`common-${slot.startDateTimeUTC}`}
+                    className="absolute top-0 bottom-0 bg-green-500 rounded"
+                    style={position(slot.startDateTimeUTC, slot.endDateTimeUTC)}
+                    title={`${formatTime(slot.startDateTimeUTC, timeZone)} - ${formatTime(slot.endDateTimeUTC, timeZone)}: ${slot.minFreeCount} of ${memberCount} free`}
+                ></div>
+            )))}
+        </div>
+    );
+};
+
+export default GroupTimeline;
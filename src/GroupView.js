@@ -0,0 +1,249 @@
+import React, { useState, useEffect } from 'react';
+import TimeZonePicker from './TimeZonePicker';
+import GroupTimeline from './GroupTimeline';
+import { addDaysToKey } from './recurrence';
+import { zonedTimeToUtc, toZonedDateKey } from './timeZone';
+import { resolveShareLink, parseShareToken } from './shareLinks';
+import { getDefaultWorkingHours, slotDurationOptions, findFreeSlots, findCommonFreeSlots } from './availability';
+import { formatTime, formatDateKey } from './format';
+import { parseRoute, getGroupPath, useRouteSync } from './router';
+
+// Load what a share link publishes, the same way ShareView does; returns a member, or { token, error }
+const loadMember = async (repository, token) => {
+    try {
+        const { error } = await resolveShareLink(repository, token);
+        if (error) {
+            return { token, error };
+        }
+        const published = await repository.publishedSchedules.get(token);
+        if (!published) {
+            return { token, error: "This shared schedule is not available yet." };
+        }
+        return {
+            token,
+            name: published.ownerDisplayName || 'Shared User',
+            timeZone: published.timeZone || 'UTC',
+            workingHours: published.workingHours || getDefaultWorkingHours(),
+            occurrences: published.occurrences || [],
+            rangeStart: published.rangeStart,
+            rangeEnd: published.rangeEnd,
+        };
+    } catch (e) {
+        console.error("Error loading shared schedule:", e);
+        return { token, error: "Failed to load shared schedule." };
+    }
+};
+
+// A member's free slots that fall within the viewed day, limited to the days their link shares
+const getMemberFreeSlots = (member, dateKey, dayStart, dayEnd) => {
+    // The viewed day can span two of the member's own calendar days
+    const fromKey = addDaysToKey(dateKey, -1) < member.rangeStart ? member.rangeStart : addDaysToKey(dateKey, -1);
+    const toKey = addDaysToKey(dateKey, 1) > member.rangeEnd ? member.rangeEnd : addDaysToKey(dateKey, 1);
+    if (fromKey > toKey) return [];
+    return findFreeSlots({
+        workingHours: member.workingHours,
+        timeZone: member.timeZone,
+        busyOccurrences: member.occurrences,
+        fromKey,
+        toKey,
+        minDurationMinutes: 0,
+    })
+        .map(slot => ({
+            ...slot,
+            startDateTimeUTC: new Date(Math.max(dayStart, new Date(slot.startDateTimeUTC).getTime())).toISOString(),
+            endDateTimeUTC: new Date(Math.min(dayEnd, new Date(slot.endDateTimeUTC).getTime())).toISOString(),
+        }))
+        .filter(slot => slot.startDateTimeUTC < slot.endDateTimeUTC);
+};
+
+// GroupView Component - Overlays several shared schedules on one timeline and highlights common free time.
+// People are added by their share links only, not by user ID: schedules are private to their owner, and a link is
+// how someone chooses what others may see of theirs.
+const GroupView = ({ repository }) => {
+    const [tokens, setTokens] = useState(() => parseRoute().tokens || []);
+    const [members, setMembers] = useState([]);
+    const [loadingGroup, setLoadingGroup] = useState(false);
+    const [newLink, setNewLink] = useState('');
+    const [linkError, setLinkError] = useState(null);
+    const [viewTimeZone, setViewTimeZone] = useState(Intl.DateTimeFormat().resolvedOptions().timeZone);
+    const [dateKey, setDateKey] = useState(() => toZonedDateKey(new Date(), Intl.DateTimeFormat().resolvedOptions().timeZone));
+    const [minFreeCount, setMinFreeCount] = useState(0); // 0 means everyone
+    const [minDurationMinutes, setMinDurationMinutes] = useState(30);
+
+    // Keep the links in the address, so the group can be bookmarked or passed on and back and forward undo changes to it
+    useRouteSync(getGroupPath(tokens), (route) => {
+        if (route.name === 'group') setTokens(route.tokens);
+    });
+
+    useEffect(() => {
+        if (!repository) return;
+        let cancelled = false;
+        setLoadingGroup(true);
+        Promise.all(tokens.map(token => loadMember(repository, token))).then(loadedMembers => {
+            if (cancelled) return;
+            setMembers(loadedMembers);
+            setLoadingGroup(false);
+        });
+        return () => { cancelled = true; };
+    }, [repository, tokens]);
+
+    const handleAddLink = (e) => {
+        e.preventDefault();
+        const token = parseShareToken(newLink);
+        if (!token) {
+            setLinkError("Please paste a share link.");
+            return;
+        }
+        setLinkError(null);
+        setNewLink('');
+        if (!tokens.includes(token)) setTokens([...tokens, token]);
+    };
+
+    const loadedMembers = members.filter(member => !member.error);
+    const requiredCount = minFreeCount === 0 || minFreeCount > loadedMembers.length ? loadedMembers.length : minFreeCount;
+    const dayStart = zonedTimeToUtc(dateKey, '00:00', viewTimeZone).getTime();
+    const dayEnd = zonedTimeToUtc(addDaysToKey(dateKey, 1), '00:00', viewTimeZone).getTime();
+    const memberFreeSlots = loadedMembers.map(member => getMemberFreeSlots(member, dateKey, dayStart, dayEnd));
+    const commonSlots = loadedMembers.length > 0 ? findCommonFreeSlots(memberFreeSlots, requiredCount, minDurationMinutes) : [];
+    const rows = loadedMembers.map((member, index) => ({
+        key: member.token,
+        label: member.name,
+        free: memberFreeSlots[index],
+        busy: member.occurrences.filter(occurrence =>
+            new Date(occurrence.startDateTimeUTC).getTime() < dayEnd && new Date(occurrence.endDateTimeUTC).getTime() > dayStart),
+    }));
+
+    return (
+        <div className="min-h-screen bg-gray-100 font-sans text-gray-800 p-4">
+            <header className="bg-white p-4 rounded-lg shadow-md mb-6">
+                <h1 className="text-3xl font-bold text-gray-700">Group Availability</h1>
+                <p className="text-gray-600">Paste the share links of everyone who should attend to find time that suits the group.</p>
+                <form onSubmit={handleAddLink} className="flex items-center space-x-2 mt-4">
+                    <input
+                        type="text"
+                        className="flex-grow shadow appearance-none border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                        placeholder="https://.../share?token=..."
+                        value={newLink}
+                        onChange={(e) => setNewLink(e.target.value)}
+                    />
+                    <button
+                        type="submit"
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300"
+                    >
+                        Add
+                    </button>
+                </form>
+                {linkError && <p className="mt-2 text-sm text-red-600">{linkError}</p>}
+                {members.length > 0 && (
+                    <ul className="flex flex-wrap gap-2 mt-4 text-sm">
+                        {members.map(member => (
+                            <li key={member.token} className={`flex items-center rounded-full px-3 py-1 ${member.error ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-800'}`}>
+                                <span title={member.error || `${member.timeZone}, ${member.rangeStart} to ${member.rangeEnd}`}>
+                                    {member.error ? `${member.token.substring(0, 6)}...: ${member.error}` : member.name}
+                                </span>
+                                <button
+                                    onClick={() => setTokens(tokens.filter(token => token !== member.token))}
+                                    className="ml-2 text-gray-500 hover:text-gray-800"
+                                    aria-label="Remove"
+                                >
+                                    &times;
+                                </button>
+                            </li>
+                        ))}
+                    </ul>
+                )}
+            </header>
+
+            <main className="bg-white p-6 rounded-lg shadow-md">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-4">
+                    <div className="flex items-center space-x-2">
+                        <button
+                            onClick={() => setDateKey(addDaysToKey(dateKey, -1))}
+                            className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition duration-200"
+                        >
+                            &lt;
+                        </button>
+                        <h2 className="text-2xl font-semibold text-gray-700">{formatDateKey(dateKey)}</h2>
+                        <button
+                            onClick={() => setDateKey(addDaysToKey(dateKey, 1))}
+                            className="px-3 py-1 rounded-md bg-gray-200 hover:bg-gray-300 transition duration-200"
+                        >
+                            &gt;
+                        </button>
+                    </div>
+                    <div className="flex items-center space-x-2 text-sm">
+                        <label htmlFor="groupTimeZone" className="text-gray-700 font-bold">View in:</label>
+                        <TimeZonePicker id="groupTimeZone" value={viewTimeZone} onChange={setViewTimeZone} />
+                    </div>
+                </div>
+
+                <div className="flex flex-wrap items-center gap-2 mb-4 text-sm">
+                    <label htmlFor="groupMinFree" className="text-gray-700 font-bold">Free:</label>
+                    <select
+                        id="groupMinFree"
+                        className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                        value={minFreeCount}
+                        onChange={(e) => setMinFreeCount(Number(e.target.value))}
+                    >
+                        <option value={0}>Everyone</option>
+                        {loadedMembers.slice(1).map((_, index) => (
+                            <option key={index + 1} value={index + 1}>At least {index + 1}</option>
+                        ))}
+                    </select>
+                    <label htmlFor="groupMinDuration" className="text-gray-700 font-bold">for at least</label>
+                    <select
+                        id="groupMinDuration"
+                        className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                        value={minDurationMinutes}
+                        onChange={(e) => setMinDurationMinutes(Number(e.target.value))}
+                    >
+                        {slotDurationOptions.map(minutes => (
+                            <option key={minutes} value={minutes}>{minutes < 60 ? `${minutes} min` : `${minutes / 60} h`}</option>
+                        ))}
+                    </select>
+                </div>
+
+                {loadingGroup ? (
+                    <p className="text-gray-500">Loading shared schedules...</p>
+                ) : loadedMembers.length === 0 ? (
+                    <p className="text-gray-500">Add at least one share link to see availability.</p>
+                ) : (
+                    <>
+                        <GroupTimeline
+                            dateKey={dateKey}
+                            dayStart={dayStart}
+                            dayEnd={dayEnd}
+                            timeZone={viewTimeZone}
+                            rows={rows}
+                            commonSlots={commonSlots}
+                            memberCount={loadedMembers.length}
+                        />
+                        <h3 className="text-xl font-medium mb-3 text-gray-700">Common Free Time</h3>
+                        {commonSlots.length === 0 ? (
+                            <p className="text-gray-500">No time on this day suits {requiredCount === loadedMembers.length ? 'everyone' : `at least ${requiredCount} people`}.</p>
+                        ) : (
+                            <ul className="space-y-2 text-sm">
+                                {commonSlots.map(slot => (
+                                    <li key={slot.startDateTimeUTC} className="bg-green-50 border-l-4 border-green-500 p-2 rounded-md">
+                                        <span className="font-semibold">
+                                            {formatTime(slot.startDateTimeUTC, viewTimeZone)} - {formatTime(slot.endDateTimeUTC, viewTimeZone)}
+                                        </span>
+                                        <span className="ml-2 text-gray-600">
+                                            {slot.minFreeCount === loadedMembers.length
+                                                ? 'Everyone is free'
+                                                : `${slot.minFreeCount} of ${loadedMembers.length} free throughout`}
+                                            {slot.freeMembers.length > 0 && slot.minFreeCount < loadedMembers.length &&
+                                                ` (${slot.freeMembers.map(index => loadedMembers[index].name).join(', ')} for all of it)`}
+                                        </span>
+                                    </li>
+                                ))}
+                            </ul>
+                        )}
+                    </>
+                )}
+            </main>
+        </div>
+    );
+};
+
+export default GroupView;
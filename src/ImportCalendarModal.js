@@ -0,0 +1,114 @@
+import React, { useState } from 'react';
+import { describeRecurrence } from './recurrence';
+import { buildScheduleFields } from './schedule';
+import { formatDateKey } from './format';
+
+const NEW_ACTIVITY = ''; // Select value for "create a new activity from the event"
+
+// Name of the activity created for an event that is not mapped onto an existing one
+const getNewActivityName = (item) => item.categories[0] || item.summary;
+
+// ImportCalendarModal Component - Preview of the events parsed from an .ics file.
+// Each event can be switched on or off and mapped onto an existing activity or a new one before importing.
+const ImportCalendarModal = ({ fileName, items, activityItems, onImport, onCancel }) => {
+    const [previewItems, setPreviewItems] = useState(items);
+
+    const updateItem = (key, changes) => {
+        setPreviewItems(previewItems.map(item => item.key === key ? { ...item, ...changes } : item));
+    };
+
+    const handleActivityChange = (item, activityId) => {
+        const activity = activityItems.find(a => a.id === activityId) || null;
+        updateItem(item.key, {
+            activity,
+            // Going back to a new activity restores the name taken from the event
+            activityName: activity ? activity.name : getNewActivityName(item),
+        });
+    };
+
+    const selectedItems = previewItems.filter(item => item.selected);
+    const duplicateCount = previewItems.filter(item => item.duplicate).length;
+    const skippedCount = previewItems.filter(item => item.error).length;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-3xl w-full">
+                <h3 className="text-xl font-bold mb-2 text-gray-800">Import Events</h3>
+                <p className="mb-4 text-sm text-gray-600">
+                    {previewItems.length} event{previewItems.length === 1 ? '' : 's'} found in {fileName}
+                    {duplicateCount > 0 && `, ${duplicateCount} already in your schedule`}
+                    {skippedCount > 0 && `, ${skippedCount} cannot be imported`}.
+                </p>
+                <ul className="mb-4 max-h-96 overflow-y-auto space-y-2 text-sm">
+                    {previewItems.map(item => (
+                        <li
+                            key={item.key}
+                            className={`p-2 rounded-md border-l-4 ${item.error ? 'bg-gray-100 text-gray-500' : 'bg-gray-50'}`}
+                            style={{ borderColor: item.activity ? item.activity.color : '#d1d5db' }}
+                        >
+                            <div className="flex items-start">
+                                <input
+                                    type="checkbox"
+                                    className="mt-1 mr-3"
+                                    checked={item.selected}
+                                    disabled={!!item.error}
+                                    onChange={(e) => updateItem(item.key, { selected: e.target.checked })}
+                                />
+                                <div className="flex-grow">
+                                    <span className="font-semibold">{item.summary}</span>
+                                    {item.form && (
+                                        <p className="text-gray-600">
+                                            {formatDateKey(item.form.date, { weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' })},{' '}
+                                            {item.form.startTime} - {item.form.endTime} ({item.timeZone.replace(/_/g, ' ')})
+                                            {item.form.recurrenceType !== 'none' && (
+                                                <span className="ml-1 text-xs text-blue-700">
+                                                    {describeRecurrence(buildScheduleFields(item.form, {}, item.timeZone))}
+                                                    {item.exceptionDates.length > 0 && `, ${item.exceptionDates.length} skipped`}
+                                                    {Object.keys(item.occurrenceOverrides).length > 0 && `, ${Object.keys(item.occurrenceOverrides).length} moved`}
+                                                </span>
+                                            )}
+                                        </p>
+                                    )}
+                                    {item.error && <p className="text-red-600">{item.error}</p>}
+                                    {item.duplicate && <p className="text-yellow-700">Already in your schedule as {item.duplicate.activityName}.</p>}
+                                    {item.warnings.map(warning => <p key={warning} className="text-yellow-700">{warning}</p>)}
+                                </div>
+                                {!item.error && (
+                                    <select
+                                        className="ml-3 shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline"
+                                        value={item.activity ? item.activity.id : NEW_ACTIVITY}
+                                        onChange={(e) => handleActivityChange(item, e.target.value)}
+                                    >
+                                        {!activityItems.some(a => a.name.toLowerCase() === getNewActivityName(item).toLowerCase()) && (
+                                            <option value={NEW_ACTIVITY}>New: {getNewActivityName(item)}</option>
+                                        )}
+                                        {activityItems.map(activity => (
+                                            <option key={activity.id} value={activity.id}>{activity.name}</option>
+                                        ))}
+                                    </select>
+                                )}
+                            </div>
+                        </li>
+                    ))}
+                </ul>
+                <div className="grid grid-cols-2 gap-4">
+                    <button
+                        onClick={onCancel}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 w-full"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={() => onImport(selectedItems)}
+                        disabled={selectedItems.length === 0}
+                        className="bg-green-500 hover:bg-green-700 text-white font-bold py-2 px-4 rounded transition duration-300 w-full disabled:opacity-50"
+                    >
+                        Import {selectedItems.length} Event{selectedItems.length === 1 ? '' : 's'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ImportCalendarModal;
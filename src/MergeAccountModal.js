@@ -0,0 +1,49 @@
+import React from 'react';
+
+// MergeAccountModal Component - Shown when a guest signs in to, or signs up with the email of, an existing account.
+// guestData is what readAccountData returned for the guest; onMerge() signs in and copies it into the account,
+// onSkip() signs in and leaves it behind.
+const MergeAccountModal = ({ email, guestData, isMerging, onMerge, onSkip, onCancel }) => {
+    const activityCount = guestData.activities.length;
+    const entryCount = guestData.schedules.length;
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full">
+                <h3 className="text-xl font-bold mb-2 text-gray-800">Bring your guest data along?</h3>
+                <p className="mb-2 text-gray-600">
+                    An account for {email} already exists. As a guest you added {activityCount} {activityCount === 1 ? 'activity' : 'activities'} and {entryCount} schedule {entryCount === 1 ? 'entry' : 'entries'}.
+                </p>
+                <p className="mb-4 text-sm text-gray-500">
+                    Merging signs you in and copies them into the account. Activities with the same name are combined,
+                    and entries the account already has at the same times are skipped.
+                </p>
+                <div className="flex justify-end space-x-2">
+                    <button
+                        onClick={onCancel}
+                        disabled={isMerging}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                    >
+                        Cancel
+                    </button>
+                    <button
+                        onClick={onSkip}
+                        disabled={isMerging}
+                        className="bg-gray-500 hover:bg-gray-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                    >
+                        Sign In Without Merging
+                    </button>
+                    <button
+                        onClick={onMerge}
+                        disabled={isMerging}
+                        className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                    >
+                        {isMerging ? 'Merging...' : 'Merge and Sign In'}
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default MergeAccountModal;
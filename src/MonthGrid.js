@@ -0,0 +1,99 @@
+import React, { useState } from 'react';
+import { toDateKey } from './recurrence';
+import { formatTime } from './format';
+
+const MAX_DOTS = 4; // Days with more activities show the first few dots and the count badge
+
+// MonthGrid Component - Month calendar showing every activity of a day as a colored dot, with a count badge
+// and a hover/tap preview. occurrencesByDate maps 'YYYY-MM-DD' keys to that day's occurrences sorted by start time.
+const MonthGrid = ({ month, selectedDateKey, occurrencesByDate, timeZone, onSelectDate }) => {
+    const [previewDateKey, setPreviewDateKey] = useState(null);
+    const year = month.getFullYear();
+    const monthIndex = month.getMonth();
+    const daysInMonth = new Date(year, monthIndex + 1, 0).getDate();
+    const firstDay = new Date(year, monthIndex, 1).getDay(); // 0 for Sunday, 1 for Monday, etc.
+    const todayKey = toDateKey(new Date());
+    const days = [];
+
+    // Add empty cells for days before the 1st of the month
+    for (let i = 0; i < firstDay; i++) {
+        days.push(<div key={`empty-${i}`} className="p-2 text-center text-gray-400"></div>);
+    }
+
+    // Add days of the month
+    for (let i = 1; i <= daysInMonth; i++) {
+        const dayDate = new Date(year, monthIndex, i);
+        const dayDateString = toDateKey(dayDate);
+        const isSelected = dayDateString === selectedDateKey;
+        const isToday = dayDateString === todayKey;
+        const dayOccurrences = occurrencesByDate.get(dayDateString) || [];
+        // Preview towards the middle of the grid so it does not overflow on the edge columns
+        const column = (firstDay + i - 1) % 7;
+
+        days.push(
+            <div
+                key={i}
+                className={`relative p-2 text-center rounded-md transition duration-200
+                            ${onSelectDate ? 'cursor-pointer' : ''}
+                            ${isSelected ? 'bg-blue-500 text-white shadow-md' : 'hover:bg-gray-200'}
+                            ${isToday && !isSelected ? 'border-2 border-blue-400' : ''}`}
+                onClick={() => {
+                    // On touch screens there is no hover, so a tap also opens the preview
+                    setPreviewDateKey(dayOccurrences.length > 0 ? dayDateString : null);
+                    if (onSelectDate) onSelectDate(dayDate);
+                }}
+                onMouseEnter={() => setPreviewDateKey(dayOccurrences.length > 0 ? dayDateString : null)}
+                onMouseLeave={() => setPreviewDateKey(null)}
+            >
+                {i}
+                {dayOccurrences.length > 0 && (
+                    <>
+                        <span className="absolute top-0.5 right-0.5 min-w-[1rem] px-1 rounded-full bg-gray-700 text-white text-[10px] leading-4">
+                            {dayOccurrences.length}
+                        </span>
+                        <span className="absolute bottom-1 left-0 right-0 flex justify-center space-x-0.5">
+                            {dayOccurrences.slice(0, MAX_DOTS).map(occurrence => (
+                                <span
+                                    key={`${occurrence.id}-${occurrence.occurrenceDate}`}
+                                    className="w-2 h-2 rounded-full border border-white"
+                                    style={{ backgroundColor: occurrence.activityColor }} // Use activity color
+                                ></span>
+                            ))}
+                        </span>
+                    </>
+                )}
+                {previewDateKey === dayDateString && (
+                    <div
+                        className={`absolute top-full mt-1 w-56 bg-white text-gray-800 text-left text-sm font-normal border border-gray-300 rounded-md shadow-lg p-2 z-30
+                                    ${column < 2 ? 'left-0' : column > 4 ? 'right-0' : 'left-1/2 -translate-x-1/2 transform'}`}
+                    >
+                        <ul className="space-y-1">
+                            {dayOccurrences.map(occurrence => (
+                                <li key={`${occurrence.id}-${occurrence.occurrenceDate}`} className="flex items-center">
+                                    <span className="inline-block w-2 h-2 rounded-full mr-2 flex-shrink-0" style={{ backgroundColor: occurrence.activityColor }}></span>
+                                    <span className="truncate">
+                                        <span className="font-semibold">{occurrence.activityName}</span>{' '}
+                                        <span className="text-gray-600">
+                                            {formatTime(occurrence.startDateTimeUTC, timeZone)} - {formatTime(occurrence.endDateTimeUTC, timeZone)}
+                                        </span>
+                                    </span>
+                                </li>
+                            ))}
+                        </ul>
+                    </div>
+                )}
+            </div>
+        );
+    }
+
+    return (
+        <div className="grid grid-cols-7 gap-1 text-center font-medium mb-4">
+            {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map(day => (
+                <div key={day} className="p-2 text-gray-600">{day}</div>
+            ))}
+            {days}
+        </div>
+    );
+};
+
+export default MonthGrid;
@@ -0,0 +1,272 @@
+import React, { useState } from 'react';
+import TimeZonePicker from './TimeZonePicker';
+
+const MIN_PASSWORD_LENGTH = 6; // Firebase rejects shorter passwords
+
+// SettingsModal Component - Profile and account settings: display name, time zone, email verification, password and
+// account deletion. The on* handlers other than onTimeZoneChange, onSignUp and onClose resolve to an error message,
+// or null when they succeeded. deletionProgress is { done, total } while the account's
+// data is removed. Guests have no email or password, so they are offered to sign up instead.
+const SettingsModal = ({
+    displayName, timeZone, email, emailVerified, isAnonymous, deletionProgress,
+    onSaveDisplayName, onTimeZoneChange, onResendVerification, onRefreshVerification, onChangePassword, onDeleteAccount,
+    onSignUp, onClose
+}) => {
+    const [nameInput, setNameInput] = useState(displayName);
+    const [nameMessage, setNameMessage] = useState(null);
+    const [verificationMessage, setVerificationMessage] = useState(null);
+    const [currentPassword, setCurrentPassword] = useState('');
+    const [newPassword, setNewPassword] = useState('');
+    const [confirmPassword, setConfirmPassword] = useState('');
+    const [passwordMessage, setPasswordMessage] = useState(null);
+    const [isChangingPassword, setIsChangingPassword] = useState(false);
+    const [isConfirmingDeletion, setIsConfirmingDeletion] = useState(false);
+    const [deletionPassword, setDeletionPassword] = useState('');
+    const [deletionError, setDeletionError] = useState(null);
+    const isDeleting = !!deletionProgress;
+
+    const handleSaveName = async (e) => {
+        e.preventDefault();
+        const trimmedName = nameInput.trim();
+        if (!trimmedName) {
+            setNameMessage({ isError: true, text: "Display name cannot be empty." });
+            return;
+        }
+        const error = await onSaveDisplayName(trimmedName);
+        setNameMessage(error ? { isError: true, text: error } : { isError: false, text: "Display name saved." });
+    };
+
+    const handleResendVerification = async () => {
+        const error = await onResendVerification();
+        setVerificationMessage(error ? { isError: true, text: error } : { isError: false, text: `Verification email sent to ${email}.` });
+    };
+
+    const handleRefreshVerification = async () => {
+        const error = await onRefreshVerification();
+        setVerificationMessage(error ? { isError: true, text: error } : null);
+    };
+
+    const handleChangePassword = async (e) => {
+        e.preventDefault();
+        if (newPassword.length < MIN_PASSWORD_LENGTH) {
+            setPasswordMessage({ isError: true, text: `The new password must be at least ${MIN_PASSWORD_LENGTH} characters.` });
+            return;
+        }
+        if (newPassword !== confirmPassword) {
+            setPasswordMessage({ isError: true, text: "The new passwords do not match." });
+            return;
+        }
+        setIsChangingPassword(true);
+        const error = await onChangePassword(currentPassword, newPassword);
+        setIsChangingPassword(false);
+        if (error) {
+            setPasswordMessage({ isError: true, text: error });
+            return;
+        }
+        setCurrentPassword('');
+        setNewPassword('');
+        setConfirmPassword('');
+        setPasswordMessage({ isError: false, text: "Password changed." });
+    };
+
+    const handleDeleteAccount = async (e) => {
+        e.preventDefault();
+        setDeletionError(null);
+        const error = await onDeleteAccount(deletionPassword);
+        if (error) setDeletionError(error);
+    };
+
+    const inputClassName = "shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline";
+    const renderMessage = (message) => message && (
+        <p className={`mt-2 text-sm ${message.isError ? 'text-red-600' : 'text-green-600'}`}>{message.text}</p>
+    );
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-md w-full max-h-screen overflow-y-auto">
+                <h3 className="text-xl font-bold mb-4 text-gray-800">Settings</h3>
+
+                <form onSubmit={handleSaveName} className="mb-4 pb-4 border-b border-gray-200">
+                    <label htmlFor="settingsDisplayName" className="block text-gray-700 text-sm font-bold mb-2">Display Name</label>
+                    <p className="mb-2 text-xs text-gray-500">Shown to people you share your schedule with.</p>
+                    <div className="flex space-x-2">
+                        <input
+                            type="text"
+                            id="settingsDisplayName"
+                            className={inputClassName}
+                            value={nameInput}
+                            onChange={(e) => { setNameInput(e.target.value); setNameMessage(null); }}
+                            disabled={isDeleting}
+                        />
+                        <button
+                            type="submit"
+                            disabled={isDeleting || nameInput.trim() === displayName}
+                            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                        >
+                            Save
+                        </button>
+                    </div>
+                    {renderMessage(nameMessage)}
+                </form>
+
+                <div className="mb-4 pb-4 border-b border-gray-200">
+                    <label htmlFor="settingsTimeZone" className="block text-gray-700 text-sm font-bold mb-2">Time Zone</label>
+                    <TimeZonePicker id="settingsTimeZone" value={timeZone} onChange={onTimeZoneChange} />
+                </div>
+
+                {isAnonymous ? (
+                    <div className="mb-4">
+                        <p className="mb-2 text-sm text-gray-600">
+                            You are using the app as a guest. Sign up to keep your schedule, set a password and sign in from other devices.
+                        </p>
+                        <button
+                            onClick={onSignUp}
+                            className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                        >
+                            Sign Up
+                        </button>
+                    </div>
+                ) : (
+                    <>
+                        <div className="mb-4 pb-4 border-b border-gray-200">
+                            <p className="block text-gray-700 text-sm font-bold mb-2">Email</p>
+                            <div className="flex items-center justify-between">
+                                <span className="text-gray-700">{email}</span>
+                                {emailVerified ? (
+                                    <span className="text-xs font-semibold text-green-700 bg-green-100 px-2 py-1 rounded">Verified</span>
+                                ) : (
+                                    <span className="text-xs font-semibold text-yellow-800 bg-yellow-100 px-2 py-1 rounded">Not verified</span>
+                                )}
+                            </div>
+                            {!emailVerified && (
+                                <div className="mt-2 flex space-x-2">
+                                    <button
+                                        onClick={handleResendVerification}
+                                        className="text-sm font-bold text-blue-500 hover:text-blue-800"
+                                    >
+                                        Resend verification email
+                                    </button>
+                                    <button
+                                        onClick={handleRefreshVerification}
+                                        className="text-sm font-bold text-blue-500 hover:text-blue-800"
+                                    >
+                                        I've verified it
+                                    </button>
+                                </div>
+                            )}
+                            {renderMessage(verificationMessage)}
+                        </div>
+
+                        <form onSubmit={handleChangePassword} className="mb-4 pb-4 border-b border-gray-200 space-y-2">
+                            <p className="block text-gray-700 text-sm font-bold">Change Password</p>
+                            <input
+                                type="password"
+                                className={inputClassName}
+                                placeholder="Current password"
+                                value={currentPassword}
+                                onChange={(e) => setCurrentPassword(e.target.value)}
+                                disabled={isDeleting}
+                                required
+                            />
+                            <input
+                                type="password"
+                                className={inputClassName}
+                                placeholder="New password"
+                                value={newPassword}
+                                onChange={(e) => setNewPassword(e.target.value)}
+                                disabled={isDeleting}
+                                required
+                            />
+                            <input
+                                type="password"
+                                className={inputClassName}
+                                placeholder="Confirm new password"
+                                value={confirmPassword}
+                                onChange={(e) => setConfirmPassword(e.target.value)}
+                                disabled={isDeleting}
+                                required
+                            />
+                            <button
+                                type="submit"
+                                disabled={isDeleting || isChangingPassword}
+                                className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                            >
+                                {isChangingPassword ? 'Changing...' : 'Change Password'}
+                            </button>
+                            {renderMessage(passwordMessage)}
+                        </form>
+
+                        <div className="mb-4">
+                            <p className="block text-gray-700 text-sm font-bold mb-2">Delete Account</p>
+                            {!isConfirmingDeletion ? (
+                                <button
+                                    onClick={() => setIsConfirmingDeletion(true)}
+                                    className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                                >
+                                    Delete Account...
+                                </button>
+                            ) : (
+                                <form onSubmit={handleDeleteAccount} className="p-3 border border-red-300 rounded-md bg-red-50 space-y-2">
+                                    <p className="text-sm text-red-700">
+                                        This permanently deletes your account with all activities, schedule entries, booking requests
+                                        and share links. Enter your password to confirm.
+                                    </p>
+                                    <input
+                                        type="password"
+                                        className={inputClassName}
+                                        placeholder="Password"
+                                        value={deletionPassword}
+                                        onChange={(e) => setDeletionPassword(e.target.value)}
+                                        disabled={isDeleting}
+                                        required
+                                    />
+                                    {deletionProgress && (
+                                        <div>
+                                            <p className="text-sm text-gray-600">Removing your data: {deletionProgress.done} of {deletionProgress.total}</p>
+                                            <div className="w-full h-1 bg-gray-200 rounded">
+                                                <div
+                                                    className="h-1 bg-red-500 rounded"
+                                                    style={{ width: `${deletionProgress.total === 0 ? 100 : (deletionProgress.done / deletionProgress.total) * 100}%` }}
+                                                ></div>
+                                            </div>
+                                        </div>
+                                    )}
+                                    {deletionError && <p className="text-sm text-red-600">{deletionError}</p>}
+                                    <div className="flex justify-end space-x-2">
+                                        <button
+                                            type="button"
+                                            onClick={() => { setIsConfirmingDeletion(false); setDeletionPassword(''); setDeletionError(null); }}
+                                            disabled={isDeleting}
+                                            className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                                        >
+                                            Cancel
+                                        </button>
+                                        <button
+                                            type="submit"
+                                            disabled={isDeleting}
+                                            className="bg-red-500 hover:bg-red-700 text-white font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                                        >
+                                            {isDeleting ? 'Deleting...' : 'Delete My Account'}
+                                        </button>
+                                    </div>
+                                </form>
+                            )}
+                        </div>
+                    </>
+                )}
+
+                <div className="flex justify-end">
+                    <button
+                        onClick={onClose}
+                        disabled={isDeleting}
+                        className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 disabled:opacity-50"
+                    >
+                        Close
+                    </button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default SettingsModal;
@@ -0,0 +1,212 @@
+import React, { useState } from 'react';
+import { shareRangePresets, getShareRangeForPreset, getDefaultShareLinkForm, validateShareLinkForm, getShareLinkStatus, getShareUrl } from './shareLinks';
+import { shareVisibilityOptions } from './sharePublishing';
+import { formatDate, formatTime, formatDateKey } from './format';
+
+const statusStyles = {
+    active: 'bg-green-100 text-green-800',
+    expired: 'bg-gray-200 text-gray-700',
+    revoked: 'bg-red-100 text-red-800',
+};
+
+const shortDate = (dateKey) => formatDateKey(dateKey, { month: 'short', day: 'numeric', year: 'numeric' });
+
+// ShareLinksModal Component - Create share links for a date range and manage (copy, revoke) the existing ones
+const ShareLinksModal = ({ links, defaultDateKey, timeZone, onCreate, onRevoke, onCopy, onClose }) => {
+    const [form, setForm] = useState(() => getDefaultShareLinkForm(defaultDateKey));
+    const [formError, setFormError] = useState(null);
+    const [createdToken, setCreatedToken] = useState(null);
+    const [isSaving, setIsSaving] = useState(false);
+
+    const updateForm = (changes) => setForm({ ...form, ...changes });
+
+    const handlePresetChange = (preset) => {
+        updateForm(preset === 'custom'
+            ? { rangePreset: preset }
+            : { rangePreset: preset, ...getShareRangeForPreset(preset, defaultDateKey) });
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        const validationError = validateShareLinkForm(form);
+        if (validationError) {
+            setFormError(validationError);
+            return;
+        }
+        setFormError(null);
+        setIsSaving(true);
+        const token = await onCreate(form);
+        setIsSaving(false);
+        if (token) {
+            setCreatedToken(token);
+            setForm(getDefaultShareLinkForm(defaultDateKey));
+        }
+    };
+
+    return (
+        <div className="fixed inset-0 bg-gray-600 bg-opacity-50 flex items-center justify-center z-50">
+            <div className="bg-white p-6 rounded-lg shadow-xl max-w-2xl w-full max-h-screen overflow-y-auto">
+                <h3 className="text-xl font-bold mb-4 text-gray-800">Manage Shared Links</h3>
+
+                {/* New link form */}
+                <form onSubmit={handleCreate} className="mb-6 p-4 border border-gray-200 rounded-md">
+                    <div className="grid grid-cols-2 gap-4 mb-4">
+                        <div className="col-span-2">
+                            <label htmlFor="shareLabel" className="block text-gray-700 text-sm font-bold mb-2">Label</label>
+                            <input
+                                type="text"
+                                id="shareLabel"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                placeholder="e.g. Recruiter at Acme"
+                                value={form.label}
+                                onChange={(e) => updateForm({ label: e.target.value })}
+                            />
+                        </div>
+                        <div className="col-span-2">
+                            <label htmlFor="shareRangePreset" className="block text-gray-700 text-sm font-bold mb-2">Share</label>
+                            <select
+                                id="shareRangePreset"
+                                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.rangePreset}
+                                onChange={(e) => handlePresetChange(e.target.value)}
+                            >
+                                {shareRangePresets.map(preset => (
+                                    <option key={preset.value} value={preset.value}>{preset.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="shareRangeStart" className="block text-gray-700 text-sm font-bold mb-2">Show from</label>
+                            <input
+                                type="date"
+                                id="shareRangeStart"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.rangeStart}
+                                onChange={(e) => updateForm({ rangeStart: e.target.value, rangePreset: 'custom' })}
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="shareRangeEnd" className="block text-gray-700 text-sm font-bold mb-2">Show until</label>
+                            <input
+                                type="date"
+                                id="shareRangeEnd"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.rangeEnd}
+                                onChange={(e) => updateForm({ rangeEnd: e.target.value, rangePreset: 'custom' })}
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="shareVisibility" className="block text-gray-700 text-sm font-bold mb-2">Show entries as</label>
+                            <select
+                                id="shareVisibility"
+                                className="shadow border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.visibility}
+                                onChange={(e) => updateForm({ visibility: e.target.value })}
+                            >
+                                {/* Hiding everything would make an empty link, so links only choose between details and busy blocks */}
+                                {shareVisibilityOptions.filter(option => option.value !== 'hidden').map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </div>
+                        <div>
+                            <label htmlFor="shareExpiresOn" className="block text-gray-700 text-sm font-bold mb-2">Link expires after (optional)</label>
+                            <input
+                                type="date"
+                                id="shareExpiresOn"
+                                className="shadow appearance-none border rounded w-full py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline"
+                                value={form.expiresOn}
+                                onChange={(e) => updateForm({ expiresOn: e.target.value })}
+                            />
+                        </div>
+                    </div>
+                    {formError && <p className="mb-4 text-sm text-red-600">{formError}</p>}
+                    <button
+                        type="submit"
+                        disabled={isSaving}
+                        className="bg-purple-500 hover:bg-purple-700 text-white font-bold py-2 px-4 rounded focus:outline-none focus:shadow-outline transition duration-300 w-full disabled:opacity-50"
+                    >
+                        {isSaving ? 'Creating...' : 'Create Link'}
+                    </button>
+                </form>
+
+                {createdToken && (
+                    <div className="mb-6">
+                        <p className="mb-2 text-gray-700">Copy this link to share your schedule:</p>
+                        <div className="flex items-center border border-gray-300 rounded-md p-3 bg-gray-50">
+                            <input
+                                type="text"
+                                readOnly
+                                value={getShareUrl(createdToken)}
+                                className="flex-grow bg-transparent outline-none text-gray-700"
+                            />
+                            <button
+                                onClick={() => onCopy(getShareUrl(createdToken))}
+                                className="ml-3 bg-blue-500 hover:bg-blue-700 text-white font-bold py-2 px-4 rounded transition duration-300"
+                            >
+                                Copy
+                            </button>
+                        </div>
+                    </div>
+                )}
+
+                {/* Existing links */}
+                <h4 className="text-lg font-semibold mb-2 text-gray-700">Your Links</h4>
+                {links.length === 0 ? (
+                    <p className="mb-4 text-gray-500">You have not shared any links yet.</p>
+                ) : (
+                    <ul className="mb-4 space-y-2 text-sm">
+                        {links.map(link => {
+                            const status = getShareLinkStatus(link);
+                            return (
+                                <li key={link.id} className="flex items-center justify-between bg-gray-50 p-3 rounded-md">
+                                    <div>
+                                        <span className="font-semibold text-gray-800">{link.label}</span>
+                                        <span className={`ml-2 px-2 py-0.5 rounded-full text-xs font-semibold ${statusStyles[status]}`}>{status}</span>
+                                        <p className="text-gray-600">
+                                            {shortDate(link.rangeStart)} - {shortDate(link.rangeEnd)}
+                                            {link.visibility === 'busy' && ', busy only'}
+                                            {link.expiresAt && `, expires ${formatDate(link.expiresAt, timeZone)}`}
+                                        </p>
+                                        <p className="text-gray-500">
+                                            {link.lastOpenedAt
+                                                ? `Last opened ${formatDate(link.lastOpenedAt, timeZone)} at ${formatTime(link.lastOpenedAt, timeZone)}`
+                                                : 'Never opened'}
+                                        </p>
+                                    </div>
+                                    <div className="flex space-x-2">
+                                        {status === 'active' && (
+                                            <>
+                                                <button
+                                                    onClick={() => onCopy(getShareUrl(link.id))}
+                                                    className="bg-blue-500 hover:bg-blue-700 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                >
+                                                    Copy
+                                                </button>
+                                                <button
+                                                    onClick={() => onRevoke(link)}
+                                                    className="bg-red-500 hover:bg-red-700 text-white text-xs font-bold py-1 px-2 rounded transition duration-300"
+                                                >
+                                                    Revoke
+                                                </button>
+                                            </>
+                                        )}
+                                    </div>
+                                </li>
+                            );
+                        })}
+                    </ul>
+                )}
+
+                <button
+                    onClick={onClose}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-2 px-4 rounded transition duration-300 w-full"
+                >
+                    Close
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default ShareLinksModal;
@@ -0,0 +1,16 @@
+import React from 'react';
+
+// SyncStatusIndicator Component - Online/offline dot plus the number of changes not yet synced
+const SyncStatusIndicator = ({ isOnline, pendingCount }) => (
+    <span className="flex items-center text-sm text-gray-600" role="status">
+        <span className={`block w-3 h-3 rounded-full mr-2 ${isOnline ? 'bg-green-500' : 'bg-gray-400'}`}></span>
+        {isOnline ? 'Online' : 'Offline'}
+        {pendingCount > 0 && (
+            <span className="ml-2 px-2 py-0.5 rounded-full text-xs font-semibold bg-yellow-100 text-yellow-800">
+                {pendingCount} {pendingCount === 1 ? 'change' : 'changes'} pending sync
+            </span>
+        )}
+    </span>
+);
+
+export default SyncStatusIndicator;
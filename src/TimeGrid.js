@@ -0,0 +1,110 @@
+import React, { useEffect, useRef } from 'react';
+import { getZonedParts, toZonedDateKey } from './timeZone';
+import { formatTime, formatDateKey } from './format';
+
+const HOUR_HEIGHT = 48; // Pixels per hour
+const MINUTES_PER_DAY = 24 * 60;
+const FIRST_VISIBLE_HOUR = 7; // The grid opens scrolled to the start of a typical working day
+
+// Minutes since midnight of an instant on a given day in a time zone, clamped to that day
+const getMinutesInDay = (date, dateKey, timeZone) => {
+    const zonedDateKey = toZonedDateKey(date, timeZone);
+    if (zonedDateKey < dateKey) return 0;
+    if (zonedDateKey > dateKey) return MINUTES_PER_DAY;
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return hour * 60 + minute;
+};
+
+// Place a day's occurrences in side-by-side lanes so that overlapping blocks do not cover each other
+const layoutDay = (occurrences, dateKey, timeZone) => {
+    const laneEnds = [];
+    const blocks = occurrences.map(occurrence => {
+        const top = getMinutesInDay(occurrence.startDateTimeUTC, dateKey, timeZone);
+        const bottom = Math.max(top + 15, getMinutesInDay(occurrence.endDateTimeUTC, dateKey, timeZone));
+        let lane = laneEnds.findIndex(end => end <= top);
+        if (lane === -1) {
+            lane = laneEnds.length;
+            laneEnds.push(bottom);
+        } else {
+            laneEnds[lane] = bottom;
+        }
+        return { occurrence, top, bottom, lane };
+    });
+    return { blocks, laneCount: Math.max(1, laneEnds.length) };
+};
+
+// TimeGrid Component - Day or week timeline drawing occurrences as blocks on an hourly grid.
+// occurrencesByDate maps 'YYYY-MM-DD' keys (in timeZone) to that day's occurrences sorted by start time.
+const TimeGrid = ({ dateKeys, occurrencesByDate, timeZone, selectedDateKey, onSelectDate, onSelectOccurrence }) => {
+    const scrollRef = useRef(null);
+
+    useEffect(() => {
+        if (scrollRef.current) {
+            scrollRef.current.scrollTop = FIRST_VISIBLE_HOUR * HOUR_HEIGHT;
+        }
+    }, []);
+
+    const hours = Array.from({ length: 24 }, (_, i) => i);
+
+    return (
+        <div className="border border-gray-200 rounded-lg mb-4">
+            {/* Day headers */}
+            <div className="flex border-b border-gray-200 bg-gray-50">
+                <div className="w-16 flex-shrink-0"></div>
+                {dateKeys.map(dateKey => (
+                    <div
+                        key={dateKey}
+                        onClick={() => onSelectDate && onSelectDate(dateKey)}
+                        className={`flex-1 p-2 text-center text-sm font-semibold ${onSelectDate ? 'cursor-pointer hover:bg-gray-200' : ''}
+                                    ${dateKey === selectedDateKey ? 'text-blue-600' : 'text-gray-700'}`}
+                    >
+                        {formatDateKey(dateKey, { weekday: 'short', month: 'short', day: 'numeric' })}
+                    </div>
+                ))}
+            </div>
+
+            <div className="flex max-h-[600px] overflow-y-auto" ref={scrollRef}>
+                {/* Hour labels */}
+                <div className="w-16 flex-shrink-0">
+                    {hours.map(hour => (
+                        <div key={hour} className="text-xs text-gray-500 text-right pr-2 border-t border-gray-100" style={{ height: HOUR_HEIGHT }}>
+                            {`${hour % 12 === 0 ? 12 : hour % 12} ${hour < 12 ? 'AM' : 'PM'}`}
+                        </div>
+                    ))}
+                </div>
+
+                {/* Day columns */}
+                {dateKeys.map(dateKey => {
+                    const { blocks, laneCount } = layoutDay(occurrencesByDate.get(dateKey) || [], dateKey, timeZone);
+                    return (
+                        <div key={dateKey} className="flex-1 relative border-l border-gray-200" style={{ height: 24 * HOUR_HEIGHT }}>
+                            {hours.map(hour => (
+                                <div key={hour} className="border-t border-gray-100" style={{ height: HOUR_HEIGHT }}></div>
+                            ))}
+                            {blocks.map(({ occurrence, top, bottom, lane }) => (
+                                <div
+                                    key={`${occurrence.id}-${occurrence.occurrenceDate}`}
+                                    onClick={() => onSelectOccurrence && onSelectOccurrence(occurrence)}
+                                    title={`${occurrence.activityName}: ${formatTime(occurrence.startDateTimeUTC, timeZone)} - ${formatTime(occurrence.endDateTimeUTC, timeZone)}`}
+                                    className={`absolute rounded-md px-1 text-xs text-white overflow-hidden shadow-sm ${onSelectOccurrence ? 'cursor-pointer' : ''}`}
+                                    style={{
+                                        top: (top / 60) * HOUR_HEIGHT,
+                                        height: ((bottom - top) / 60) * HOUR_HEIGHT,
+                                        left: `${(lane / laneCount) * 100}%`,
+                                        width: `${100 / laneCount}%`,
+                                        backgroundColor: occurrence.activityColor,
+                                    }}
+                                >
+                                    <span className="font-semibold">{occurrence.activityName}</span>
+                                    <span className="block">{formatTime(occurrence.startDateTimeUTC, timeZone)}</span>
+                                </div>
+                            ))}
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+};
+
+export default TimeGrid;
@@ -0,0 +1,168 @@
+import React, { useState, useEffect, useMemo, useRef } from 'react';
+import { getTimeZoneOffsetMinutes, formatUtcOffset, isValidTimeZone } from './timeZone';
+
+// Zones offered when the browser cannot list its supported zones
+const fallbackTimeZones = [
+    'America/New_York',
+    'America/Chicago',
+    'America/Denver',
+    'America/Los_Angeles',
+    'America/Sao_Paulo',
+    'Europe/London',
+    'Europe/Paris',
+    'Europe/Berlin',
+    'Asia/Dubai',
+    'Asia/Kolkata',
+    'Asia/Singapore',
+    'Asia/Tokyo',
+    'Australia/Adelaide',
+    'Australia/Sydney',
+    'Pacific/Auckland',
+];
+
+const RECENT_TIME_ZONES_KEY = 'recentTimeZones';
+const MAX_RECENT_TIME_ZONES = 5;
+
+// All IANA zones supported by the browser, plus UTC which some engines leave out
+const getAllTimeZones = () => {
+    const zones = typeof Intl.supportedValuesOf === 'function'
+        ? Intl.supportedValuesOf('timeZone')
+        : fallbackTimeZones;
+    return zones.includes('UTC') ? zones : [...zones, 'UTC'];
+};
+
+const loadRecentTimeZones = () => {
+    try {
+        const stored = JSON.parse(window.localStorage.getItem(RECENT_TIME_ZONES_KEY));
+        return Array.isArray(stored) ? stored : [];
+    } catch (e) {
+        return [];
+    }
+};
+
+// Remember a zone at the top of the recently-used list
+const saveRecentTimeZone = (timeZone) => {
+    const recent = [timeZone, ...loadRecentTimeZones().filter(tz => tz !== timeZone)].slice(0, MAX_RECENT_TIME_ZONES);
+    try {
+        window.localStorage.setItem(RECENT_TIME_ZONES_KEY, JSON.stringify(recent));
+    } catch (e) {
+        // Storage can be unavailable (private mode, blocked cookies); the list is only a convenience
+    }
+    return recent;
+};
+
+// Current UTC offset label for a zone, or an empty string for zones the browser does not know
+const getOffsetLabel = (timeZone) => {
+    return isValidTimeZone(timeZone) ? formatUtcOffset(getTimeZoneOffsetMinutes(timeZone)) : '';
+};
+
+// TimeZonePicker Component - Searchable picker over all IANA time zones with a recently-used list
+const TimeZonePicker = ({ id, value, onChange }) => {
+    const [isOpen, setIsOpen] = useState(false);
+    const [search, setSearch] = useState('');
+    const [recentTimeZones, setRecentTimeZones] = useState(loadRecentTimeZones);
+    const containerRef = useRef(null);
+
+    // Offsets are computed once per mount; they only change at DST transitions
+    const options = useMemo(() => {
+        const zones = getAllTimeZones();
+        // A stored zone missing from the list stays selectable instead of silently showing another one
+        const allZones = value && !zones.includes(value) ? [value, ...zones] : zones;
+        return allZones.map(tz => ({ value: tz, offset: getOffsetLabel(tz) }));
+    }, [value]);
+
+    // Close the picker when clicking outside of it
+    useEffect(() => {
+        if (!isOpen) return;
+        const handleClickOutside = (e) => {
+            if (containerRef.current && !containerRef.current.contains(e.target)) {
+                setIsOpen(false);
+            }
+        };
+        document.addEventListener('mousedown', handleClickOutside);
+        return () => document.removeEventListener('mousedown', handleClickOutside);
+    }, [isOpen]);
+
+    // Zone names are ASCII, so "São Paulo" has to match "Sao_Paulo"
+    const searchTerm = search.trim().toLowerCase().normalize('NFD').replace(/[\u0300-\u036f]/g, '').replace(/\s+/g, '_');
+    const filteredOptions = searchTerm
+        ? options.filter(option =>
+            option.value.toLowerCase().includes(searchTerm) ||
+            option.offset.toLowerCase().includes(searchTerm))
+        : options;
+    const recentOptions = searchTerm
+        ? []
+        : recentTimeZones
+            .filter(tz => tz !== value)
+            .map(tz => options.find(option => option.value === tz) || { value: tz, offset: getOffsetLabel(tz) });
+
+    const handleSelect = (timeZone) => {
+        setRecentTimeZones(saveRecentTimeZone(timeZone));
+        setIsOpen(false);
+        setSearch('');
+        onChange(timeZone);
+    };
+
+    const handleKeyDown = (e) => {
+        if (e.key === 'Escape') {
+            setIsOpen(false);
+        } else if (e.key === 'Enter' && filteredOptions.length > 0) {
+            e.preventDefault();
+            handleSelect(filteredOptions[0].value);
+        }
+    };
+
+    const renderOption = (group) => (option) => (
+        <li
+            key={`${group}-${option.value}`}
+            onClick={() => handleSelect(option.value)}
+            className={`flex justify-between px-3 py-1 cursor-pointer hover:bg-blue-100 ${option.value === value ? 'bg-blue-50 font-semibold' : ''}`}
+        >
+            <span>{option.value.replace(/_/g, ' ')}</span>
+            <span className="ml-4 text-xs text-gray-500">{option.offset}</span>
+        </li>
+    );
+
+    return (
+        <div className="relative" ref={containerRef}>
+            <button
+                type="button"
+                id={id}
+                onClick={() => setIsOpen(!isOpen)}
+                className="shadow border rounded py-2 px-3 text-gray-700 leading-tight focus:outline-none focus:shadow-outline bg-white text-left"
+            >
+                {value ? value.replace(/_/g, ' ') : 'Select time zone'}
+                <span className="ml-2 text-xs text-gray-500">{value && getOffsetLabel(value)}</span>
+            </button>
+            {isOpen && (
+                <div className="absolute right-0 mt-1 w-80 bg-white border border-gray-300 rounded-md shadow-lg z-40">
+                    <input
+                        type="text"
+                        autoFocus
+                        className="w-full border-b border-gray-200 py-2 px-3 text-gray-700 focus:outline-none"
+                        placeholder="Search city or UTC offset..."
+                        value={search}
+                        onChange={(e) => setSearch(e.target.value)}
+                        onKeyDown={handleKeyDown}
+                    />
+                    <ul className="max-h-64 overflow-y-auto text-sm text-gray-700">
+                        {recentOptions.length > 0 && (
+                            <>
+                                <li className="px-3 pt-2 pb-1 text-xs font-bold uppercase text-gray-500">Recently used</li>
+                                {recentOptions.map(renderOption('recent'))}
+                                <li className="px-3 pt-2 pb-1 text-xs font-bold uppercase text-gray-500">All time zones</li>
+                            </>
+                        )}
+                        {filteredOptions.length === 0 ? (
+                            <li className="px-3 py-2 text-gray-500">No matching time zones.</li>
+                        ) : (
+                            filteredOptions.map(renderOption('all'))
+                        )}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default TimeZonePicker;
@@ -0,0 +1,80 @@
+import React, { useState } from 'react';
+import { weekdays } from './recurrence';
+import { validateWorkingHours } from './availability';
+
+// Monday first, as working weeks are usually read
+const weekdayOrder = [1, 2, 3, 4, 5, 6, 0];
+
+// WorkingHoursEditor Component - Per-weekday working hours, saved together with the profile
+const WorkingHoursEditor = ({ value, onSave, onCancel }) => {
+    const [workingHours, setWorkingHours] = useState(value);
+    const [formError, setFormError] = useState(null);
+
+    const updateDay = (weekday, changes) => {
+        setWorkingHours(workingHours.map((day, index) => index === weekday ? { ...day, ...changes } : day));
+    };
+
+    const handleSave = () => {
+        const validationError = validateWorkingHours(workingHours);
+        if (validationError) {
+            setFormError(validationError);
+            return;
+        }
+        setFormError(null);
+        onSave(workingHours);
+    };
+
+    return (
+        <div className="mb-4">
+            <ul className="space-y-1 text-sm">
+                {weekdayOrder.map(weekday => (
+                    <li key={weekday} className="flex items-center">
+                        <label className="w-28 inline-flex items-center text-gray-700">
+                            <input
+                                type="checkbox"
+                                className="mr-2"
+                                checked={workingHours[weekday].enabled}
+                                onChange={(e) => updateDay(weekday, { enabled: e.target.checked })}
+                            />
+                            {weekdays[weekday]}
+                        </label>
+                        <input
+                            type="time"
+                            aria-label={`${weekdays[weekday]} start`}
+                            className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline disabled:opacity-50"
+                            value={workingHours[weekday].start}
+                            disabled={!workingHours[weekday].enabled}
+                            onChange={(e) => updateDay(weekday, { start: e.target.value })}
+                        />
+                        <span className="mx-1 text-gray-500">-</span>
+                        <input
+                            type="time"
+                            aria-label={`${weekdays[weekday]} end`}
+                            className="shadow border rounded py-1 px-2 text-gray-700 focus:outline-none focus:shadow-outline disabled:opacity-50"
+                            value={workingHours[weekday].end}
+                            disabled={!workingHours[weekday].enabled}
+                            onChange={(e) => updateDay(weekday, { end: e.target.value })}
+                        />
+                    </li>
+                ))}
+            </ul>
+            {formError && <p className="mt-2 text-sm text-red-600">{formError}</p>}
+            <div className="grid grid-cols-2 gap-2 mt-3">
+                <button
+                    onClick={onCancel}
+                    className="bg-gray-300 hover:bg-gray-400 text-gray-800 font-bold py-1 px-3 rounded transition duration-300"
+                >
+                    Cancel
+                </button>
+                <button
+                    onClick={handleSave}
+                    className="bg-blue-500 hover:bg-blue-700 text-white font-bold py-1 px-3 rounded transition duration-300"
+                >
+                    Save Hours
+                </button>
+            </div>
+        </div>
+    );
+};
+
+export default WorkingHoursEditor;
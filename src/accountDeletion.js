@@ -0,0 +1,44 @@
+// Removing everything stored for a user before their account is deleted. Firestore keeps subcollections when a parent
+// document is deleted, so every document is removed one by one: the user's activities, schedule entries, booking
+// requests and slot holds, their share links with the schedules published for them, and finally the profile.
+
+// Collections under users/{userId} whose documents are removed
+const userCollections = ['activities', 'schedules', 'bookingRequests', 'slotHolds'];
+
+// Remove all of a user's data; onProgress(done, total) counts the documents removed.
+// Throws when some documents could not be removed, leaving the profile in place so the deletion can be retried.
+export const deleteAccountData = async (repository, userId, onProgress = () => {}) => {
+    const [links, ...collections] = await Promise.all([
+        repository.shareLinks.listByOwner(userId),
+        ...userCollections.map(name => repository[name].list(userId)),
+    ]);
+    const total = links.length + collections.reduce((sum, items) => sum + items.length, 0);
+    let done = 0;
+    let failed = 0;
+    onProgress(done, total);
+
+    // Unpublish first, so a link never outlives the schedule it points to
+    for (const link of links) {
+        try {
+            await repository.publishedSchedules.remove(link.id);
+            await repository.shareLinks.remove(link.id);
+        } catch (e) {
+            console.error("Error removing share link:", e);
+            failed++;
+        }
+        onProgress(++done, total);
+    }
+
+    for (const [index, name] of userCollections.entries()) {
+        const ids = collections[index].map(item => item.id);
+        const doneBefore = done;
+        const result = await repository[name].removeMany(userId, ids, (count) => onProgress(doneBefore + count, total));
+        done += ids.length;
+        failed += result.failed;
+    }
+
+    if (failed > 0) {
+        throw new Error(`${failed} of ${total} documents could not be removed.`);
+    }
+    await repository.profiles.remove(userId);
+};
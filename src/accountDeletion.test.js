@@ -0,0 +1,60 @@
+import { deleteAccountData } from './accountDeletion';
+import { createMemoryRepository } from './memoryRepository';
+import { PUBLISHED_SCHEDULE_DOC } from './sharePublishing';
+
+const createRepository = () => createMemoryRepository({
+    'users/owner/profile': { userProfile: { displayName: 'sam', timeZone: 'Europe/Berlin' } },
+    'users/owner/activityItems': { gym: { name: 'Gym', color: '#10b981' } },
+    'users/owner/schedules': {
+        morning: { activityId: 'gym', date: '2025-03-12', startTime: '09:00', endTime: '10:00' },
+        evening: { activityId: 'gym', date: '2025-03-12', startTime: '18:00', endTime: '19:00' },
+    },
+    'users/owner/bookingRequests': { request: { requesterName: 'Alex', status: 'pending' } },
+    'users/owner/slotHolds': { '2025-03-12T12:00:00.000Z': { requestId: 'request' } },
+    'shareLinks': {
+        ownLink: { ownerId: 'owner', active: true },
+        otherLink: { ownerId: 'other', active: true },
+    },
+    'shareLinks/ownLink/published': { [PUBLISHED_SCHEDULE_DOC]: { entries: [] } },
+    'shareLinks/otherLink/published': { [PUBLISHED_SCHEDULE_DOC]: { entries: [] } },
+    'users/other/schedules': { theirs: { activityId: 'x', date: '2025-03-12', startTime: '09:00', endTime: '10:00' } },
+});
+
+describe('account deletion', () => {
+    test('removes every document the user owns', async () => {
+        const repository = createRepository();
+        await deleteAccountData(repository, 'owner');
+
+        expect(await repository.profiles.get('owner')).toBeNull();
+        expect(await repository.activities.list('owner')).toEqual([]);
+        expect(await repository.schedules.list('owner')).toEqual([]);
+        expect(await repository.bookingRequests.list('owner')).toEqual([]);
+        expect(await repository.slotHolds.list('owner')).toEqual([]);
+        expect(await repository.shareLinks.get('ownLink')).toBeNull();
+        expect(await repository.publishedSchedules.get('ownLink')).toBeNull();
+    });
+
+    test('leaves other users alone', async () => {
+        const repository = createRepository();
+        await deleteAccountData(repository, 'owner');
+
+        expect(await repository.shareLinks.get('otherLink')).not.toBeNull();
+        expect(await repository.publishedSchedules.get('otherLink')).not.toBeNull();
+        expect(await repository.schedules.list('other')).toHaveLength(1);
+    });
+
+    test('reports progress across all collections', async () => {
+        const progress = [];
+        await deleteAccountData(createRepository(), 'owner', (done, total) => progress.push([done, total]));
+        expect(progress[0]).toEqual([0, 6]);
+        expect(progress[progress.length - 1]).toEqual([6, 6]);
+    });
+
+    test('keeps the profile when some documents could not be removed', async () => {
+        const repository = createRepository();
+        repository.schedules.removeMany = async (userId, ids) => ({ succeeded: 0, failed: ids.length });
+
+        await expect(deleteAccountData(repository, 'owner')).rejects.toThrow('2 of 6 documents could not be removed.');
+        expect(await repository.profiles.get('owner')).not.toBeNull();
+    });
+});
@@ -0,0 +1,97 @@
+// Moving what someone entered as a guest (anonymous user) into an email account that already exists.
+// Guests can only read their own documents, so their data is read before signing in to the other account and
+// written into it afterwards. Activities are matched by name; schedule entries that the account already holds
+// at the same times for the same activity are skipped.
+
+import { SCHEDULE_SCHEMA_VERSION, getScheduleMigration } from './schedule';
+import { isChangeMarker } from './repository';
+
+// Profile fields copied over when the account does not have them yet
+const mergedProfileFields = ['timeZone', 'workingHours'];
+
+// Fields that identify an entry's times, so the same entry entered in both accounts is recognised
+const scheduleKeyFields = [
+    'activityId', 'date', 'startTime', 'endTime', 'timeZone',
+    'recurrenceType', 'recurrenceInterval', 'recurrenceDays', 'recurrenceMonthlyMode', 'recurrenceMonthDay',
+    'recurrenceWeekOfMonth', 'recurrenceWeekday', 'recurrenceStartDate', 'recurrenceEndDate', 'recurrenceCount',
+];
+
+const getScheduleKey = (entry) => JSON.stringify(scheduleKeyFields.map(field => entry[field] ?? null));
+
+// Bring a guest entry written by an older version up to date, since the account will not migrate it again
+const toCurrentEntry = (entry, timeZone) => {
+    if ((entry.schemaVersion || 1) >= SCHEDULE_SCHEMA_VERSION) return entry;
+    const migrated = { ...entry, ...getScheduleMigration(entry, timeZone) };
+    return Object.fromEntries(Object.entries(migrated).filter(([, value]) => !isChangeMarker(value)));
+};
+
+// Read everything a user has entered; returns { profile, activities, schedules }
+export const readAccountData = async (repository, userId) => {
+    const [profile, activities, schedules] = await Promise.all([
+        repository.profiles.get(userId),
+        repository.activities.list(userId),
+        repository.schedules.list(userId),
+    ]);
+    return { profile, activities, schedules };
+};
+
+// Whether there is anything worth offering to merge
+export const hasAccountData = (data) => data.activities.length > 0 || data.schedules.length > 0;
+
+// Write data read with readAccountData into another user's account.
+// Returns { activitiesAdded, activitiesMatched, entriesAdded, duplicateEntries }.
+export const mergeAccountData = async (repository, userId, data) => {
+    const [profile, activities, schedules] = await Promise.all([
+        repository.profiles.get(userId),
+        repository.activities.list(userId),
+        repository.schedules.list(userId),
+    ]);
+    const timeZone = (data.profile && data.profile.timeZone) || (profile && profile.timeZone) || 'UTC';
+
+    // Guest activity ID -> the account's activity it becomes
+    const activitiesByName = new Map(activities.map(item => [item.name.trim().toLowerCase(), item]));
+    const mergedActivities = new Map();
+    let activitiesAdded = 0;
+    for (const { id, ...activity } of data.activities) {
+        let target = activitiesByName.get(activity.name.trim().toLowerCase());
+        if (!target) {
+            const fields = { ...activity, userId: userId };
+            target = { id: await repository.activities.add(userId, fields), ...fields };
+            activitiesByName.set(target.name.trim().toLowerCase(), target);
+            activitiesAdded++;
+        }
+        mergedActivities.set(id, target);
+    }
+
+    const existingKeys = new Set(schedules.map(getScheduleKey));
+    let entriesAdded = 0;
+    let duplicateEntries = 0;
+    for (const { id, ...guestEntry } of data.schedules) {
+        const activity = mergedActivities.get(guestEntry.activityId);
+        const entry = {
+            ...toCurrentEntry(guestEntry, timeZone),
+            ...(activity && { activityId: activity.id, activityName: activity.name, activityColor: activity.color }),
+            userId: userId,
+        };
+        const key = getScheduleKey(entry);
+        if (existingKeys.has(key)) {
+            duplicateEntries++;
+            continue;
+        }
+        existingKeys.add(key);
+        await repository.schedules.add(userId, entry);
+        entriesAdded++;
+    }
+
+    // The account keeps its own name and settings; only settings it lacks are taken from the guest profile
+    const missingProfileFields = Object.fromEntries(mergedProfileFields
+        .filter(field => data.profile && data.profile[field] !== undefined && !(profile && profile[field] !== undefined))
+        .map(field => [field, data.profile[field]]));
+    if (Object.keys(missingProfileFields).length > 0) {
+        await (profile
+            ? repository.profiles.update(userId, missingProfileFields)
+            : repository.profiles.set(userId, { ...missingProfileFields, scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION }));
+    }
+
+    return { activitiesAdded, activitiesMatched: data.activities.length - activitiesAdded, entriesAdded, duplicateEntries };
+};
@@ -0,0 +1,83 @@
+import { readAccountData, hasAccountData, mergeAccountData } from './accountMerge';
+import { createMemoryRepository } from './memoryRepository';
+import { SCHEDULE_SCHEMA_VERSION } from './schedule';
+
+const entryAt = (activity, startTime, endTime) => ({
+    date: '2025-03-12',
+    startTime,
+    endTime,
+    timeZone: 'UTC',
+    schemaVersion: SCHEDULE_SCHEMA_VERSION,
+    activityId: activity.id,
+    activityName: activity.name,
+    activityColor: activity.color,
+    recurrenceType: 'none',
+    rangeStart: '2025-03-12',
+    rangeEnd: '2025-03-12',
+});
+
+const guestGym = { id: 'g-gym', name: 'gym ', color: '#ef4444' };
+const guestReading = { id: 'g-reading', name: 'Reading', color: '#3b82f6' };
+const accountGym = { id: 'a-gym', name: 'Gym', color: '#10b981' };
+
+const createRepository = () => createMemoryRepository({
+    'users/guest/profile': { userProfile: { displayName: 'Guest', timeZone: 'Asia/Tokyo', workingHours: { days: [1, 2] } } },
+    'users/guest/activityItems': { [guestGym.id]: guestGym, [guestReading.id]: guestReading },
+    'users/guest/schedules': {
+        duplicate: entryAt(guestGym, '09:00', '10:00'),
+        gymEvening: entryAt(guestGym, '18:00', '19:00'),
+        reading: entryAt(guestReading, '21:00', '22:00'),
+    },
+    'users/owner/profile': { userProfile: { displayName: 'sam', timeZone: 'Europe/Berlin' } },
+    'users/owner/activityItems': { [accountGym.id]: accountGym },
+    'users/owner/schedules': { existing: entryAt(accountGym, '09:00', '10:00') },
+});
+
+describe('account merging', () => {
+    test('reads what a guest entered', async () => {
+        const data = await readAccountData(createRepository(), 'guest');
+        expect(data.profile.displayName).toBe('Guest');
+        expect(data.activities).toHaveLength(2);
+        expect(data.schedules).toHaveLength(3);
+        expect(hasAccountData(data)).toBe(true);
+        expect(hasAccountData(await readAccountData(createRepository(), 'nobody'))).toBe(false);
+    });
+
+    test('combines activities by name and skips entries the account already has', async () => {
+        const repository = createRepository();
+        const result = await mergeAccountData(repository, 'owner', await readAccountData(repository, 'guest'));
+        expect(result).toEqual({ activitiesAdded: 1, activitiesMatched: 1, entriesAdded: 2, duplicateEntries: 1 });
+
+        const activities = await repository.activities.list('owner');
+        expect(activities.map(item => item.name).sort()).toEqual(['Gym', 'Reading']);
+        const reading = activities.find(item => item.name === 'Reading');
+
+        const entries = await repository.schedules.list('owner');
+        expect(entries).toHaveLength(3);
+        expect(entries.find(entry => entry.startTime === '18:00')).toMatchObject({ activityId: 'a-gym', activityName: 'Gym', activityColor: '#10b981', userId: 'owner' });
+        expect(entries.find(entry => entry.startTime === '21:00')).toMatchObject({ activityId: reading.id, activityName: 'Reading' });
+    });
+
+    test('keeps the account profile and only fills in missing settings', async () => {
+        const repository = createRepository();
+        await mergeAccountData(repository, 'owner', await readAccountData(repository, 'guest'));
+        expect(await repository.profiles.get('owner')).toEqual({
+            displayName: 'sam',
+            timeZone: 'Europe/Berlin',
+            workingHours: { days: [1, 2] },
+        });
+    });
+
+    test('migrates guest entries written by an older version', async () => {
+        const repository = createMemoryRepository({
+            'users/guest/activityItems': { [guestReading.id]: guestReading },
+            'users/guest/schedules': {
+                legacy: { startDateTimeUTC: '2025-03-12T08:00:00.000Z', endDateTimeUTC: '2025-03-12T09:00:00.000Z', activityId: guestReading.id, recurrenceType: 'none' },
+            },
+        });
+        await mergeAccountData(repository, 'owner', await readAccountData(repository, 'guest'));
+        const [entry] = await repository.schedules.list('owner');
+        expect(entry).toMatchObject({ date: '2025-03-12', startTime: '08:00', timeZone: 'UTC', rangeStart: '2025-03-12', schemaVersion: SCHEDULE_SCHEMA_VERSION });
+        expect(entry).not.toHaveProperty('startDateTimeUTC');
+    });
+});
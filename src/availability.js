@@ -0,0 +1,96 @@
+// Free-time calculation: per-weekday working hours minus expanded schedule occurrences.
+// Working hours are wall-clock times in the owner's profile zone, so they follow DST like schedule entries do.
+
+import { addDaysToKey, getWeekdayOfKey } from './recurrence';
+import { zonedTimeToUtc } from './timeZone';
+
+// Minimum slot lengths offered by the free-slot finder, in minutes
+export const slotDurationOptions = [15, 30, 60, 90, 120];
+
+// Monday to Friday, 9:00 to 17:00; indexed by weekday, 0 for Sunday
+export const getDefaultWorkingHours = () => [0, 1, 2, 3, 4, 5, 6].map(weekday => ({
+    enabled: weekday >= 1 && weekday <= 5,
+    start: '09:00',
+    end: '17:00',
+}));
+
+// Validate working hours; returns an error message, or null when they are valid
+export const validateWorkingHours = (workingHours) => {
+    const invalidDay = workingHours.findIndex(day => day.enabled && (!day.start || !day.end || day.start >= day.end));
+    return invalidDay === -1 ? null : "Working hours must end after they start.";
+};
+
+// Free slots between two date keys (inclusive) that last at least minDurationMinutes.
+// busyOccurrences are occurrence objects with startDateTimeUTC/endDateTimeUTC; anything overlapping the range counts.
+// Returns [{ dateKey, startDateTimeUTC, endDateTimeUTC }] sorted by start, dateKey being the working day in timeZone.
+export const findFreeSlots = ({ workingHours, timeZone, busyOccurrences, fromKey, toKey, minDurationMinutes }) => {
+    const busy = busyOccurrences
+        .map(occurrence => ({ start: new Date(occurrence.startDateTimeUTC).getTime(), end: new Date(occurrence.endDateTimeUTC).getTime() }))
+        .sort((a, b) => a.start - b.start);
+    const minDuration = minDurationMinutes * 60 * 1000;
+    const slots = [];
+
+    for (let dateKey = fromKey; dateKey <= toKey; dateKey = addDaysToKey(dateKey, 1)) {
+        const hours = workingHours[getWeekdayOfKey(dateKey)];
+        if (!hours || !hours.enabled) continue;
+
+        const dayEnd = zonedTimeToUtc(dateKey, hours.end, timeZone).getTime();
+        let cursor = zonedTimeToUtc(dateKey, hours.start, timeZone).getTime();
+        const addSlot = (end) => {
+            if (end - cursor >= minDuration) {
+                slots.push({ dateKey, startDateTimeUTC: new Date(cursor).toISOString(), endDateTimeUTC: new Date(end).toISOString() });
+            }
+        };
+        // Busy intervals are sorted by start, so the free time is every gap the cursor has not yet passed
+        busy.forEach(interval => {
+            if (interval.end <= cursor || interval.start >= dayEnd) return;
+            if (interval.start > cursor) addSlot(interval.start);
+            cursor = Math.max(cursor, interval.end);
+        });
+        if (cursor < dayEnd) addSlot(dayEnd);
+    }
+    return slots;
+};
+
+// Windows in which at least minCount members are free, lasting at least minDurationMinutes.
+// memberSlots holds one list of free slots per member (as returned by findFreeSlots).
+// Returns [{ startDateTimeUTC, endDateTimeUTC, freeMembers, minFreeCount }]: freeMembers are the indexes of the members
+// free for the whole window, minFreeCount the fewest members free at any moment of it.
+export const findCommonFreeSlots = (memberSlots, minCount, minDurationMinutes) => {
+    const changes = [];
+    memberSlots.forEach((slots, member) => slots.forEach(slot => {
+        changes.push({ time: new Date(slot.startDateTimeUTC).getTime(), member, isStart: true });
+        changes.push({ time: new Date(slot.endDateTimeUTC).getTime(), member, isStart: false });
+    }));
+    // A slot ending when the member's next slot starts must not drop them, so ends sort first
+    changes.sort((a, b) => a.time - b.time || a.isStart - b.isStart);
+
+    // Sweep over the slot boundaries, merging neighbouring stretches where enough members are free
+    const windows = [];
+    const free = new Set();
+    let current = null;
+    changes.forEach(({ time, member, isStart }, index) => {
+        if (isStart) free.add(member); else free.delete(member);
+        const next = changes[index + 1];
+        if (next && next.time === time) return; // Apply every change at this instant first
+
+        if (free.size >= minCount) {
+            if (!current) current = { start: time, freeMembers: new Set(free), minFreeCount: free.size };
+            current.freeMembers = new Set([...current.freeMembers].filter(m => free.has(m)));
+            current.minFreeCount = Math.min(current.minFreeCount, free.size);
+        } else if (current) {
+            windows.push({ ...current, end: time });
+            current = null;
+        }
+    });
+
+    const minDuration = minDurationMinutes * 60 * 1000;
+    return windows
+        .filter(window => window.end - window.start >= minDuration)
+        .map(window => ({
+            startDateTimeUTC: new Date(window.start).toISOString(),
+            endDateTimeUTC: new Date(window.end).toISOString(),
+            freeMembers: [...window.freeMembers].sort((a, b) => a - b),
+            minFreeCount: window.minFreeCount,
+        }));
+};
@@ -0,0 +1,144 @@
+import { findFreeSlots, findCommonFreeSlots, getDefaultWorkingHours, validateWorkingHours } from './availability';
+
+const busy = (start, end) => ({ startDateTimeUTC: start, endDateTimeUTC: end });
+
+// Slots as 'start-end' pairs of ISO times without seconds, to keep expectations short
+const spans = (slots) => slots.map(slot => `${slot.startDateTimeUTC.slice(0, 16)}-${slot.endDateTimeUTC.slice(11, 16)}`);
+
+describe('findFreeSlots', () => {
+    const base = {
+        workingHours: getDefaultWorkingHours(),
+        timeZone: 'UTC',
+        busyOccurrences: [],
+        fromKey: '2025-03-07', // Friday
+        toKey: '2025-03-10', // Monday
+        minDurationMinutes: 0,
+    };
+
+    test('offers the working hours of enabled days only', () => {
+        const slots = findFreeSlots(base);
+        expect(spans(slots)).toEqual(['2025-03-07T09:00-17:00', '2025-03-10T09:00-17:00']);
+        expect(slots.map(slot => slot.dateKey)).toEqual(['2025-03-07', '2025-03-10']);
+    });
+
+    test('uses the hours set for each weekday', () => {
+        const workingHours = getDefaultWorkingHours();
+        workingHours[1] = { enabled: true, start: '13:00', end: '15:30' };
+        workingHours[6] = { enabled: true, start: '10:00', end: '12:00' };
+        expect(spans(findFreeSlots({ ...base, workingHours }))).toEqual([
+            '2025-03-07T09:00-17:00',
+            '2025-03-08T10:00-12:00',
+            '2025-03-10T13:00-15:30',
+        ]);
+    });
+
+    test('leaves out busy time, including overlapping and back-to-back occurrences', () => {
+        const slots = findFreeSlots({
+            ...base,
+            fromKey: '2025-03-10',
+            busyOccurrences: [
+                busy('2025-03-10T14:00:00Z', '2025-03-10T15:00:00Z'),
+                busy('2025-03-10T08:00:00Z', '2025-03-10T09:30:00Z'),
+                busy('2025-03-10T11:00:00Z', '2025-03-10T12:00:00Z'),
+                busy('2025-03-10T11:30:00Z', '2025-03-10T12:30:00Z'),
+                busy('2025-03-10T15:00:00Z', '2025-03-10T16:00:00Z'),
+            ],
+        });
+        expect(spans(slots)).toEqual(['2025-03-10T09:30-11:00', '2025-03-10T12:30-14:00', '2025-03-10T16:00-17:00']);
+    });
+
+    test('drops gaps shorter than the minimum length', () => {
+        const slots = findFreeSlots({
+            ...base,
+            fromKey: '2025-03-10',
+            busyOccurrences: [busy('2025-03-10T09:20:00Z', '2025-03-10T16:30:00Z')],
+            minDurationMinutes: 30,
+        });
+        expect(spans(slots)).toEqual(['2025-03-10T16:30-17:00']);
+    });
+
+    test('reads working hours in the owner zone, following daylight saving time', () => {
+        // Berlin moves to summer time on 30 March 2025
+        const slots = findFreeSlots({ ...base, timeZone: 'Europe/Berlin', fromKey: '2025-03-28', toKey: '2025-03-31' });
+        expect(spans(slots)).toEqual(['2025-03-28T08:00-16:00', '2025-03-31T07:00-15:00']);
+    });
+
+    test('keeps a working day together when it crosses midnight in UTC', () => {
+        // 9:00 to 17:00 in Los Angeles is 16:00 to 00:00 UTC in summer time
+        const slots = findFreeSlots({
+            ...base,
+            timeZone: 'America/Los_Angeles',
+            fromKey: '2025-03-10',
+            toKey: '2025-03-10',
+            busyOccurrences: [busy('2025-03-10T18:00:00Z', '2025-03-10T19:00:00Z')],
+        });
+        expect(slots).toEqual([
+            { dateKey: '2025-03-10', startDateTimeUTC: '2025-03-10T16:00:00.000Z', endDateTimeUTC: '2025-03-10T18:00:00.000Z' },
+            { dateKey: '2025-03-10', startDateTimeUTC: '2025-03-10T19:00:00.000Z', endDateTimeUTC: '2025-03-11T00:00:00.000Z' },
+        ]);
+    });
+});
+
+describe('findCommonFreeSlots', () => {
+    const free = (start, end) => ({ startDateTimeUTC: `2025-03-10T${start}:00.000Z`, endDateTimeUTC: `2025-03-10T${end}:00.000Z` });
+    // Free 9-12 and 13-17, 10-14, and 11-15
+    const memberSlots = [
+        [free('09:00', '12:00'), free('13:00', '17:00')],
+        [free('10:00', '14:00')],
+        [free('11:00', '15:00')],
+    ];
+
+    test('finds the time everyone is free', () => {
+        expect(findCommonFreeSlots(memberSlots, 3, 0)).toEqual([
+            { ...free('11:00', '12:00'), freeMembers: [0, 1, 2], minFreeCount: 3 },
+            { ...free('13:00', '14:00'), freeMembers: [0, 1, 2], minFreeCount: 3 },
+        ]);
+    });
+
+    test('merges stretches where at least N people are free, naming who is free throughout', () => {
+        expect(findCommonFreeSlots(memberSlots, 2, 0)).toEqual([
+            { ...free('10:00', '15:00'), freeMembers: [], minFreeCount: 2 },
+        ]);
+        expect(findCommonFreeSlots(memberSlots.slice(1), 1, 0)).toEqual([
+            { ...free('10:00', '15:00'), freeMembers: [], minFreeCount: 1 },
+        ]);
+    });
+
+    test('keeps a member free across back-to-back slots', () => {
+        const slots = [[free('09:00', '10:00'), free('10:00', '11:00')], [free('09:00', '11:00')]];
+        expect(findCommonFreeSlots(slots, 2, 0)).toEqual([{ ...free('09:00', '11:00'), freeMembers: [0, 1], minFreeCount: 2 }]);
+    });
+
+    test('drops windows shorter than the minimum length', () => {
+        expect(findCommonFreeSlots(memberSlots, 3, 90)).toEqual([]);
+        expect(findCommonFreeSlots(memberSlots, 3, 60)).toHaveLength(2);
+    });
+
+    test('compares slots by instant, whatever zone their members work in', () => {
+        // 9:00 to 17:00 in Berlin and in New York overlap from 14:00 to 16:00 UTC in early March, before either changes clocks
+        const slotsIn = (timeZone) => findFreeSlots({
+            workingHours: getDefaultWorkingHours(),
+            timeZone,
+            busyOccurrences: [],
+            fromKey: '2025-03-07',
+            toKey: '2025-03-07',
+            minDurationMinutes: 0,
+        });
+        const common = findCommonFreeSlots([slotsIn('Europe/Berlin'), slotsIn('America/New_York')], 2, 0);
+        expect(spans(common)).toEqual(['2025-03-07T14:00-16:00']);
+    });
+});
+
+describe('validateWorkingHours', () => {
+    test('accepts days that end after they start and ignores disabled days', () => {
+        const workingHours = getDefaultWorkingHours();
+        workingHours[0] = { enabled: false, start: '17:00', end: '09:00' };
+        expect(validateWorkingHours(workingHours)).toBeNull();
+    });
+
+    test('rejects an enabled day that does not end after it starts', () => {
+        const workingHours = getDefaultWorkingHours();
+        workingHours[3] = { enabled: true, start: '12:00', end: '12:00' };
+        expect(validateWorkingHours(workingHours)).toBe("Working hours must end after they start.");
+    });
+});
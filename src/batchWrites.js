@@ -0,0 +1,44 @@
+// Firestore batches hold at most 500 writes, so larger updates are split into several batches.
+
+import { writeBatch } from 'firebase/firestore';
+
+export const MAX_BATCH_SIZE = 500;
+
+// Split a list into chunks of at most size items
+export const chunk = (items, size) => {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+};
+
+// Commit items in batches, adding each one to its batch with write(batch, item). All batches are committed at once, so
+// every write is applied locally (and queued while offline) straight away; onProgress(done, total) is called as the
+// server confirms each batch. A failed batch does not affect the others; resolves to { succeeded, failed } item counts
+// once every batch has settled.
+const commitInBatches = async (db, items, write, onProgress) => {
+    let succeeded = 0;
+    let failed = 0;
+    await Promise.all(chunk(items, MAX_BATCH_SIZE).map(async (batchItems) => {
+        const batch = writeBatch(db);
+        batchItems.forEach(item => write(batch, item));
+        try {
+            await batch.commit();
+            succeeded += batchItems.length;
+        } catch (e) {
+            console.error("Error committing batch:", e);
+            failed += batchItems.length;
+        }
+        onProgress(succeeded + failed, items.length);
+    }));
+    return { succeeded, failed };
+};
+
+// Apply updates ([{ ref, data }]) in batches; returns { succeeded, failed } write counts
+export const updateInBatches = (db, updates, onProgress = () => {}) =>
+    commitInBatches(db, updates, (batch, { ref, data }) => batch.update(ref, data), onProgress);
+
+// Delete documents (a list of refs) in batches; returns { succeeded, failed } delete counts
+export const deleteInBatches = (db, refs, onProgress = () => {}) =>
+    commitInBatches(db, refs, (batch, ref) => batch.delete(ref), onProgress);
@@ -0,0 +1,91 @@
+// Booking requests are documents at artifacts/{appId}/users/{ownerId}/bookingRequests, written from a share page.
+// They start out 'pending' and are 'accepted' (creating a one-time schedule entry) or 'declined' by the owner.
+// Pending requests are published to share links as tentative holds, so the same slot is not requested twice. That only
+// happens while the owner's app is open, so each request is also written together with a document at
+// users/{ownerId}/slotHolds/{startDateTimeUTC}; the security rules refuse a second request for a start time that is held.
+// The owner's app removes the hold once the request is accepted or declined.
+
+import { getDefaultScheduleForm } from './schedule';
+import { toZonedDateKey, toZonedTime } from './timeZone';
+
+export const TENTATIVE_LABEL = 'Tentatively held';
+export const TENTATIVE_COLOR = '#f59e0b';
+const MAX_NOTE_LENGTH = 500;
+
+export const bookingRequestStatuses = {
+    pending: { label: 'Pending', style: 'bg-yellow-100 text-yellow-800' },
+    accepted: { label: 'Accepted', style: 'bg-green-100 text-green-800' },
+    declined: { label: 'Declined', style: 'bg-gray-200 text-gray-700' },
+};
+
+// Default values for an empty booking request form
+export const getDefaultBookingForm = () => ({
+    name: '',
+    email: '',
+    note: '',
+    durationMinutes: 30,
+});
+
+// Validate a booking request form; returns an error message, or null when the form is valid
+export const validateBookingForm = (form) => {
+    if (!form.name.trim() || !form.email.trim()) {
+        return "Please enter your name and email.";
+    }
+    if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(form.email.trim())) {
+        return "Please enter a valid email address.";
+    }
+    if (form.note.length > MAX_NOTE_LENGTH) {
+        return `The note can be at most ${MAX_NOTE_LENGTH} characters.`;
+    }
+    return null;
+};
+
+// The requested interval: durationMinutes from the start of the chosen free slot
+export const getRequestedInterval = (slot, durationMinutes) => {
+    const start = new Date(slot.startDateTimeUTC);
+    return {
+        startDateTimeUTC: start.toISOString(),
+        endDateTimeUTC: new Date(start.getTime() + durationMinutes * 60 * 1000).toISOString(),
+    };
+};
+
+// Whether an interval overlaps any of the given occurrences (including tentative holds)
+export const overlapsOccurrences = (interval, occurrences) => {
+    const start = new Date(interval.startDateTimeUTC);
+    const end = new Date(interval.endDateTimeUTC);
+    return occurrences.some(occurrence => new Date(occurrence.startDateTimeUTC) < end && new Date(occurrence.endDateTimeUTC) > start);
+};
+
+// Fields of a new booking request document
+export const buildBookingRequestFields = (form, interval, shareToken, requesterTimeZone) => ({
+    shareToken: shareToken, // Tells the owner which link the request came through
+    name: form.name.trim(),
+    email: form.email.trim(),
+    note: form.note.trim(),
+    startDateTimeUTC: interval.startDateTimeUTC,
+    endDateTimeUTC: interval.endDateTimeUTC,
+    requesterTimeZone: requesterTimeZone,
+    status: 'pending',
+    createdAt: new Date().toISOString(),
+});
+
+// Pending requests as tentative occurrences, shaped like expanded schedule occurrences
+export const getTentativeOccurrences = (bookingRequests) => bookingRequests
+    .filter(request => request.status === 'pending')
+    .map(request => ({
+        id: `request-${request.id}`,
+        startDateTimeUTC: request.startDateTimeUTC,
+        endDateTimeUTC: request.endDateTimeUTC,
+        activityName: TENTATIVE_LABEL,
+        activityColor: TENTATIVE_COLOR,
+        isTentative: true,
+    }));
+
+// Schedule form for the one-time entry created when a request is accepted, in the owner's zone
+export const getScheduleFormForRequest = (request, activityId, timeZone) => ({
+    ...getDefaultScheduleForm(),
+    date: toZonedDateKey(request.startDateTimeUTC, timeZone),
+    startTime: toZonedTime(request.startDateTimeUTC, timeZone),
+    endTime: toZonedTime(request.endDateTimeUTC, timeZone),
+    activityId: activityId,
+});
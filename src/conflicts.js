@@ -0,0 +1,80 @@
+// Overlap detection between schedule entries, working on expanded occurrences so that
+// recurring series are checked on every date they occur, not just on the day they were created.
+
+import { getRecurrenceRule, getOccurrenceDates, expandOccurrences, addDaysToKey } from './recurrence';
+
+// How far ahead open-ended series are checked
+export const CONFLICT_HORIZON_DAYS = 365;
+
+const overlaps = (a, b) => {
+    return new Date(a.startDateTimeUTC) < new Date(b.endDateTimeUTC) &&
+           new Date(b.startDateTimeUTC) < new Date(a.endDateTimeUTC);
+};
+
+// UTC date of an occurrence's start, used to bucket occurrences regardless of their zone
+const getUtcDateKey = (occurrence) => occurrence.startDateTimeUTC.split('T')[0];
+
+// Last date an entry can occur on, bounded by the horizon for open-ended series
+const getCheckEndDate = (entry) => {
+    const rule = getRecurrenceRule(entry);
+    if (rule.endDate) return rule.endDate;
+    const horizonDate = addDaysToKey(rule.startDate, CONFLICT_HORIZON_DAYS);
+    if (!rule.count) return horizonDate;
+    // A counted series ends at its last occurrence, which may lie well past the horizon
+    const dates = getOccurrenceDates({ ...entry, exceptionDates: [] }, rule.startDate, addDaysToKey(rule.startDate, CONFLICT_HORIZON_DAYS * 10));
+    return dates.length > 0 ? dates[dates.length - 1] : horizonDate;
+};
+
+// Dates a candidate is checked over. Other entries may be in another zone, so they are expanded one day further on
+// both sides; reading the entries that overlap fromKey..toKey is enough to find every conflict.
+export const getConflictCheckRange = (candidate) => ({
+    fromKey: addDaysToKey(getRecurrenceRule(candidate).startDate, -1),
+    toKey: addDaysToKey(getCheckEndDate(candidate), 1),
+});
+
+// Find occurrences of other entries that overlap any occurrence of a candidate entry.
+// The candidate's own stored document (when editing) is identified by candidate.id and skipped.
+// Returns a list of { occurrence, conflictingOccurrence } pairs sorted by date.
+export const findConflicts = (candidate, entries) => {
+    const fromKey = getRecurrenceRule(candidate).startDate;
+    const toKey = getCheckEndDate(candidate);
+
+    const checkRange = getConflictCheckRange(candidate);
+    const otherOccurrences = new Map();
+    entries
+        .filter(entry => entry.id !== candidate.id)
+        .flatMap(entry => expandOccurrences(entry, checkRange.fromKey, checkRange.toKey))
+        .forEach(occurrence => {
+            const key = getUtcDateKey(occurrence);
+            if (!otherOccurrences.has(key)) otherOccurrences.set(key, []);
+            otherOccurrences.get(key).push(occurrence);
+        });
+
+    const conflicts = [];
+    expandOccurrences(candidate, fromKey, toKey).forEach(occurrence => {
+        const key = getUtcDateKey(occurrence);
+        // An occurrence crossing midnight UTC can overlap one that starts on the neighbouring UTC day
+        [addDaysToKey(key, -1), key, addDaysToKey(key, 1)].forEach(dateKey => {
+            (otherOccurrences.get(dateKey) || []).forEach(other => {
+                if (overlaps(occurrence, other)) {
+                    conflicts.push({ occurrence, conflictingOccurrence: other });
+                }
+            });
+        });
+    });
+    return conflicts.sort((a, b) => new Date(a.occurrence.startDateTimeUTC) - new Date(b.occurrence.startDateTimeUTC));
+};
+
+// Keys ('<id>-<occurrenceDate>') of the occurrences in a list that overlap another one in the same list
+export const findOverlappingOccurrences = (occurrences) => {
+    const overlapping = new Set();
+    occurrences.forEach((a, i) => {
+        occurrences.slice(i + 1).forEach(b => {
+            if (overlaps(a, b)) {
+                overlapping.add(`${a.id}-${a.occurrenceDate}`);
+                overlapping.add(`${b.id}-${b.occurrenceDate}`);
+            }
+        });
+    });
+    return overlapping;
+};
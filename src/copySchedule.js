@@ -0,0 +1,85 @@
+// Copying the entries of a day or week onto another day or week. What is copied is what the calendar shows on the
+// source dates: one-time entries, plus occurrences of recurring series when asked for, each becoming a one-time entry
+// at the same wall-clock times on the matching target date. Copies that overlap entries already on the target dates
+// are skipped, replace the occurrences they overlap, or are added next to them.
+
+import { addDaysToKey, getWeekDateKeys, getDaysBetweenKeys, groupOccurrencesByDate } from './recurrence';
+import { getDefaultScheduleForm, buildScheduleFields } from './schedule';
+import { findConflicts } from './conflicts';
+
+// What happens to copies that overlap existing entries
+export const copyConflictModes = [
+    { value: 'skip', label: 'Skip them' },
+    { value: 'overwrite', label: 'Replace the entries they overlap' },
+    { value: 'keepBoth', label: 'Keep both' },
+];
+
+// Dates a copy covers: the day itself, or its Sunday-to-Saturday week
+export const getCopyDateKeys = (scope, dateKey) => scope === 'week' ? getWeekDateKeys(dateKey) : [dateKey];
+
+// Dates to read entries for; occurrences in other zones can fall on the dates from a day either side
+export const getCopyReadRange = (scope, dateKey) => {
+    const dateKeys = getCopyDateKeys(scope, dateKey);
+    return { fromKey: addDaysToKey(dateKeys[0], -1), toKey: addDaysToKey(dateKeys[dateKeys.length - 1], 1) };
+};
+
+const isOneTime = (entry) => (entry.recurrenceType || 'none') === 'none';
+
+// Work out the copies of the source day or week onto the target one, with the existing occurrences each would overlap.
+// sourceEntries and targetEntries are the stored entries read over getCopyReadRange of each; occurrences are picked by
+// their date in timeZone, as on the calendar. Returns { sourceDateKeys, targetDateKeys, copies, recurringCount } where
+// copies are [{ key, occurrence, fields, conflicts }] and recurringCount counts the series occurrences left out.
+export const buildCopyPlan = (sourceEntries, targetEntries, { scope, sourceDateKey, targetDateKey, includeRecurring, timeZone }) => {
+    const sourceDateKeys = getCopyDateKeys(scope, sourceDateKey);
+    const targetDateKeys = getCopyDateKeys(scope, targetDateKey);
+    const offset = getDaysBetweenKeys(sourceDateKeys[0], targetDateKeys[0]);
+
+    const occurrences = [...groupOccurrencesByDate(sourceEntries, sourceDateKeys[0], sourceDateKeys[sourceDateKeys.length - 1], timeZone).values()].flat();
+    const copiedOccurrences = occurrences.filter(occurrence => includeRecurring || isOneTime(occurrence));
+
+    const copies = copiedOccurrences.map(occurrence => {
+        const form = {
+            ...getDefaultScheduleForm(),
+            date: addDaysToKey(occurrence.occurrenceDate, offset),
+            startTime: occurrence.startTime,
+            endTime: occurrence.endTime,
+            activityId: occurrence.activityId,
+        };
+        const activity = { id: occurrence.activityId, name: occurrence.activityName, color: occurrence.activityColor };
+        const fields = buildScheduleFields(form, activity, occurrence.timeZone || 'UTC');
+        return {
+            key: `${occurrence.id}-${occurrence.occurrenceDate}`,
+            occurrence,
+            fields,
+            conflicts: findConflicts(fields, targetEntries).map(({ conflictingOccurrence }) => conflictingOccurrence),
+        };
+    });
+
+    return { sourceDateKeys, targetDateKeys, copies, recurringCount: occurrences.length - copiedOccurrences.length };
+};
+
+// The writes that carry out a plan: entries to add, one-time entries to remove, and per series the dates to skip.
+// Returns { additions: [fields], removedIds, exceptions: [{ id, dateKeys }] }.
+export const getCopyWrites = (plan, mode) => {
+    const additions = plan.copies
+        .filter(copy => mode !== 'skip' || copy.conflicts.length === 0)
+        .map(copy => copy.fields);
+    if (mode !== 'overwrite') return { additions, removedIds: [], exceptions: [] };
+
+    // Several copies can overlap the same occurrence, and a series can be overlapped on several dates
+    const removedIds = new Set();
+    const exceptionDates = new Map(); // Series ID -> Set of occurrence dates
+    plan.copies.flatMap(copy => copy.conflicts).forEach(occurrence => {
+        if (isOneTime(occurrence)) {
+            removedIds.add(occurrence.id);
+        } else {
+            if (!exceptionDates.has(occurrence.id)) exceptionDates.set(occurrence.id, new Set());
+            exceptionDates.get(occurrence.id).add(occurrence.occurrenceDate);
+        }
+    });
+    return {
+        additions,
+        removedIds: [...removedIds],
+        exceptions: [...exceptionDates].map(([id, dateKeys]) => ({ id, dateKeys: [...dateKeys].sort() })),
+    };
+};
@@ -0,0 +1,85 @@
+import { buildCopyPlan, getCopyWrites, getCopyReadRange } from './copySchedule';
+
+const entry = (id, fields) => ({
+    id,
+    date: '2025-03-12',
+    startTime: '09:00',
+    endTime: '10:00',
+    timeZone: 'UTC',
+    activityId: 'gym',
+    activityName: 'Gym',
+    activityColor: '#10b981',
+    recurrenceType: 'none',
+    ...fields,
+});
+
+const morning = entry('morning');
+const evening = entry('evening', { startTime: '18:00', endTime: '19:00' });
+const daily = entry('daily', { startTime: '12:00', endTime: '13:00', recurrenceType: 'daily', recurrenceInterval: 1, recurrenceStartDate: '2025-03-01' });
+const sourceEntries = [morning, evening, daily];
+
+const copyDay = (targetEntries, options = {}) => buildCopyPlan(sourceEntries, targetEntries, {
+    scope: 'day',
+    sourceDateKey: '2025-03-12',
+    targetDateKey: '2025-03-14',
+    includeRecurring: false,
+    timeZone: 'UTC',
+    ...options,
+});
+
+describe('buildCopyPlan', () => {
+    test('copies the one-time entries of a day onto the target date', () => {
+        const plan = copyDay([]);
+        expect(plan.copies.map(copy => copy.fields)).toEqual([
+            expect.objectContaining({ date: '2025-03-14', startTime: '09:00', endTime: '10:00', activityId: 'gym', recurrenceType: 'none', rangeEnd: '2025-03-14' }),
+            expect.objectContaining({ date: '2025-03-14', startTime: '18:00', endTime: '19:00' }),
+        ]);
+        expect(plan.recurringCount).toBe(1);
+    });
+
+    test('turns recurring occurrences into one-time copies when asked to', () => {
+        const plan = copyDay([], { includeRecurring: true });
+        const copied = plan.copies.find(copy => copy.occurrence.id === 'daily');
+        expect(copied.fields).toMatchObject({ date: '2025-03-14', startTime: '12:00', recurrenceType: 'none', recurrenceStartDate: null });
+        expect(plan.recurringCount).toBe(0);
+    });
+
+    test('keeps each day of a week on the same weekday of the target week', () => {
+        const plan = buildCopyPlan([morning, entry('friday', { date: '2025-03-14' })], [], {
+            scope: 'week', sourceDateKey: '2025-03-12', targetDateKey: '2025-03-25', includeRecurring: false, timeZone: 'UTC',
+        });
+        expect(plan.targetDateKeys[0]).toBe('2025-03-23');
+        expect(plan.copies.map(copy => copy.fields.date)).toEqual(['2025-03-26', '2025-03-28']);
+    });
+
+    test('lists the existing occurrences each copy overlaps', () => {
+        const plan = copyDay([entry('existing', { date: '2025-03-14', startTime: '09:30', endTime: '11:00' }), daily]);
+        expect(plan.copies[0].conflicts.map(occurrence => occurrence.id)).toEqual(['existing']);
+        expect(plan.copies[1].conflicts).toEqual([]);
+    });
+});
+
+describe('getCopyWrites', () => {
+    const plan = copyDay([entry('existing', { date: '2025-03-14', startTime: '08:30', endTime: '09:30' }), daily], { includeRecurring: true });
+
+    test('skips overlapping copies', () => {
+        const writes = getCopyWrites(plan, 'skip');
+        expect(writes.additions.map(fields => fields.startTime)).toEqual(['18:00']);
+        expect(writes.removedIds).toEqual([]);
+    });
+
+    test('replaces what the copies overlap, skipping a date of a series', () => {
+        const writes = getCopyWrites(plan, 'overwrite');
+        expect(writes.additions).toHaveLength(3);
+        expect(writes.removedIds).toEqual(['existing']);
+        expect(writes.exceptions).toEqual([{ id: 'daily', dateKeys: ['2025-03-14'] }]);
+    });
+
+    test('keeps both', () => {
+        expect(getCopyWrites(plan, 'keepBoth')).toEqual({ additions: plan.copies.map(copy => copy.fields), removedIds: [], exceptions: [] });
+    });
+});
+
+test('reads a day either side of the copied dates', () => {
+    expect(getCopyReadRange('week', '2025-03-12')).toEqual({ fromKey: '2025-03-08', toKey: '2025-03-16' });
+});
@@ -0,0 +1,143 @@
+// Firestore implementation of the repository described in repository.js.
+// Documents live under artifacts/{appId}: users/{userId}/profile/userProfile, users/{userId}/activityItems,
+// users/{userId}/schedules, users/{userId}/bookingRequests, users/{userId}/slotHolds, shareLinks/{token} and
+// shareLinks/{token}/published/schedule.
+// Who may read and write each of them is set by firestore.rules at the root of the repository, next to the indexes.
+
+import { doc, getDoc, getDocs, setDoc, collection, query, where, onSnapshot, addDoc, deleteDoc, updateDoc, arrayUnion, deleteField, Timestamp, writeBatch } from 'firebase/firestore';
+import { isChangeMarker } from './repository';
+import { updateInBatches, deleteInBatches } from './batchWrites';
+import { PUBLISHED_SCHEDULE_DOC } from './sharePublishing';
+
+// Translate change markers into Firestore field values
+const toFirestoreChanges = (changes) => Object.fromEntries(Object.entries(changes).map(([key, value]) => {
+    if (!isChangeMarker(value)) return [key, value];
+    return [key, value.__change === 'remove' ? deleteField() : arrayUnion(...value.values)];
+}));
+
+const toItems = (snapshot) => snapshot.docs.map(docSnap => ({ id: docSnap.id, ...docSnap.data() }));
+
+// Paths of the documents in a snapshot with local changes the server has not confirmed. Removed documents are no longer
+// in the snapshot, so when only removals are waiting the collection's path stands in for them.
+const getPendingWrites = (snapshot, collectionPath) => {
+    const paths = snapshot.docs.filter(docSnap => docSnap.metadata.hasPendingWrites).map(docSnap => docSnap.ref.path);
+    return paths.length === 0 && snapshot.metadata.hasPendingWrites ? [collectionPath] : paths;
+};
+
+// Listen to a query of a list, including changes that only affect which documents have pending writes
+const subscribeToList = (listQuery, collectionPath, onChange, onError) => onSnapshot(
+    listQuery,
+    { includeMetadataChanges: true },
+    snapshot => onChange(toItems(snapshot), getPendingWrites(snapshot, collectionPath)),
+    onError
+);
+
+const getData = async (ref) => {
+    const snapshot = await getDoc(ref);
+    return snapshot.exists() ? snapshot.data() : null;
+};
+
+// Share links keep expiresAt as a timestamp, so the security rules can compare it with the time of a request;
+// the app works with ISO strings like everywhere else
+const toStoredShareLink = (data) => typeof data.expiresAt === 'string'
+    ? { ...data, expiresAt: Timestamp.fromDate(new Date(data.expiresAt)) }
+    : data;
+const fromStoredShareLink = (data) => data && data.expiresAt instanceof Timestamp
+    ? { ...data, expiresAt: data.expiresAt.toDate().toISOString() }
+    : data;
+
+// A collection of a user's documents, kept live with subscribe
+const createUserCollection = (db, appId, name) => {
+    const colRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/${name}`);
+    return {
+        subscribe: (userId, onChange, onError) => subscribeToList(query(colRef(userId)), colRef(userId).path, onChange, onError),
+        list: async (userId) => toItems(await getDocs(colRef(userId))),
+        add: async (userId, data) => (await addDoc(colRef(userId), data)).id,
+        newId: (userId) => doc(colRef(userId)).id,
+        set: (userId, id, data) => setDoc(doc(colRef(userId), id), data),
+        update: (userId, id, changes) => updateDoc(doc(colRef(userId), id), toFirestoreChanges(changes)),
+        remove: (userId, id) => deleteDoc(doc(colRef(userId), id)),
+        removeMany: (userId, ids, onProgress) => deleteInBatches(db, ids.map(id => doc(colRef(userId), id)), onProgress),
+    };
+};
+
+export const createFirestoreRepository = (db, appId) => {
+    const profileRef = (userId) => doc(db, `artifacts/${appId}/users/${userId}/profile/userProfile`);
+    const schedulesColRef = (userId) => collection(db, `artifacts/${appId}/users/${userId}/schedules`);
+    // Needs the composite index on (rangeStart, rangeEnd) in firestore.indexes.json, deployed with `firebase deploy --only firestore`
+    const schedulesInRange = (userId, fromKey, toKey) => query(
+        schedulesColRef(userId),
+        where('rangeStart', '<=', toKey),
+        where('rangeEnd', '>=', fromKey)
+    );
+    const shareLinkRef = (token) => doc(db, `artifacts/${appId}/shareLinks`, token);
+    const shareLinksByOwner = (ownerId) => query(collection(db, `artifacts/${appId}/shareLinks`), where('ownerId', '==', ownerId));
+    const publishedRef = (token) => doc(db, `artifacts/${appId}/shareLinks/${token}/published`, PUBLISHED_SCHEDULE_DOC);
+
+    return {
+        profiles: {
+            get: (userId) => getData(profileRef(userId)),
+            set: (userId, data) => setDoc(profileRef(userId), data),
+            update: (userId, changes) => updateDoc(profileRef(userId), toFirestoreChanges(changes)),
+            remove: (userId) => deleteDoc(profileRef(userId)),
+        },
+        activities: createUserCollection(db, appId, 'activityItems'),
+        schedules: {
+            ...createUserCollection(db, appId, 'schedules'),
+            subscribeInRange: (userId, fromKey, toKey, onChange, onError) =>
+                subscribeToList(schedulesInRange(userId, fromKey, toKey), schedulesColRef(userId).path, onChange, onError),
+            listInRange: async (userId, fromKey, toKey) => toItems(await getDocs(schedulesInRange(userId, fromKey, toKey))),
+            listByActivity: async (userId, activityId) =>
+                toItems(await getDocs(query(schedulesColRef(userId), where('activityId', '==', activityId)))),
+            updateMany: (userId, ids, changes, onProgress) => updateInBatches(
+                db,
+                ids.map(id => ({ ref: doc(schedulesColRef(userId), id), data: toFirestoreChanges(changes) })),
+                onProgress
+            ),
+            updateEach: (userId, updates, profileChanges, onProgress) => updateInBatches(
+                db,
+                [
+                    ...updates.map(({ id, changes }) => ({ ref: doc(schedulesColRef(userId), id), data: toFirestoreChanges(changes) })),
+                    { ref: profileRef(userId), data: toFirestoreChanges(profileChanges) },
+                ],
+                onProgress
+            ),
+        },
+        bookingRequests: {
+            ...createUserCollection(db, appId, 'bookingRequests'),
+            // The rules only let a request in together with a new hold, so a held start time fails the whole batch
+            addWithHold: async (ownerId, data) => {
+                const requestRef = doc(collection(db, `artifacts/${appId}/users/${ownerId}/bookingRequests`));
+                const batch = writeBatch(db);
+                batch.set(requestRef, data);
+                batch.set(doc(db, `artifacts/${appId}/users/${ownerId}/slotHolds`, data.startDateTimeUTC), { requestId: requestRef.id });
+                await batch.commit();
+                return requestRef.id;
+            },
+        },
+        slotHolds: createUserCollection(db, appId, 'slotHolds'),
+        shareLinks: {
+            get: async (token) => fromStoredShareLink(await getData(shareLinkRef(token))),
+            subscribeByOwner: (ownerId, onChange, onError) => subscribeToList(
+                shareLinksByOwner(ownerId),
+                `artifacts/${appId}/shareLinks`,
+                (links, pendingWrites) => onChange(links.map(fromStoredShareLink), pendingWrites),
+                onError
+            ),
+            listByOwner: async (ownerId) => toItems(await getDocs(shareLinksByOwner(ownerId))).map(fromStoredShareLink),
+            create: (token, data) => setDoc(shareLinkRef(token), toStoredShareLink(data)),
+            update: (token, changes) => updateDoc(shareLinkRef(token), toFirestoreChanges(toStoredShareLink(changes))),
+            remove: (token) => deleteDoc(shareLinkRef(token)),
+        },
+        publishedSchedules: {
+            get: (token) => getData(publishedRef(token)),
+            subscribe: (token, onChange, onError) => onSnapshot(
+                publishedRef(token),
+                snapshot => onChange(snapshot.exists() ? snapshot.data() : null),
+                onError
+            ),
+            set: (token, data) => setDoc(publishedRef(token), data),
+            remove: (token) => deleteDoc(publishedRef(token)),
+        },
+    };
+};
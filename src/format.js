@@ -0,0 +1,27 @@
+// Display formatting helpers shared by the owner view, ShareView and the calendar components
+
+// Helper function to format date for display
+export const formatDate = (date, timeZone = 'UTC') => {
+    return new Date(date).toLocaleDateString('en-US', {
+        weekday: 'long',
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        timeZone: timeZone
+    });
+};
+
+// Helper function to format time for display
+export const formatTime = (date, timeZone = 'UTC') => {
+    return new Date(date).toLocaleTimeString('en-US', {
+        hour: '2-digit',
+        minute: '2-digit',
+        hour12: true,
+        timeZone: timeZone
+    });
+};
+
+// Helper function to format a 'YYYY-MM-DD' key for display; keys are calendar dates, so no zone applies
+export const formatDateKey = (dateKey, options = { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }) => {
+    return new Date(`${dateKey}T00:00:00Z`).toLocaleDateString('en-US', { ...options, timeZone: 'UTC' });
+};
@@ -0,0 +1,304 @@
+// iCalendar (RFC 5545) export of schedule entries.
+// Series are written as one VEVENT with RRULE/EXDATE plus one VEVENT per moved occurrence (RECURRENCE-ID);
+// shared date ranges are written as plain one-time events so recipients only get what was shared.
+// Both are one-off downloads, and the buttons offering them say so. Subscribable feed URLs are not supported: a calendar
+// app polls a feed without signing in, so it would need a server to serve the calendar, which this app does not have.
+
+import { getRecurrenceRule, getOccurrenceDates, getOccurrenceRange, addDaysToKey, OPEN_ENDED_RANGE_END } from './recurrence';
+import { getTimeZoneOffsetMinutes, zonedTimeToUtc } from './timeZone';
+
+const PRODUCT_ID = '-//My Availability App//Schedule Export//EN';
+const UID_DOMAIN = 'my-availability-app';
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+// Escape text values (SUMMARY, X-WR-CALNAME, ...)
+const escapeText = (text) => String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+
+// Fold content lines longer than 75 octets, as required by RFC 5545
+const foldLine = (line) => {
+    const encoder = new TextEncoder();
+    const chunks = [];
+    let current = '';
+    let currentLength = 0;
+    for (const char of line) {
+        const charLength = encoder.encode(char).length;
+        // Continuation lines start with a space, which counts towards their 75 octets
+        if (currentLength + charLength > (chunks.length === 0 ? 75 : 74)) {
+            chunks.push(current);
+            current = '';
+            currentLength = 0;
+        }
+        current += char;
+        currentLength += charLength;
+    }
+    chunks.push(current);
+    return chunks.join('\r\n ');
+};
+
+// 'YYYY-MM-DD' + 'HH:MM' -> 'YYYYMMDDTHHMM00' (floating local time, used together with TZID)
+const formatLocalDateTime = (dateKey, time) => `${dateKey.replace(/-/g, '')}T${time.replace(':', '')}00`;
+
+// Instant -> 'YYYYMMDDTHHMMSSZ'
+const formatUtcDateTime = (date) => new Date(date).toISOString().replace(/[-:]/g, '').split('.')[0] + 'Z';
+
+// Offset in minutes -> '+0530'
+const formatIcalOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Find the instant within [from, to] at which a zone's offset changes, to the minute
+const findTransition = (timeZone, from, to) => {
+    const offsetBefore = getTimeZoneOffsetMinutes(timeZone, from);
+    while (to - from > 60000) {
+        const middle = from + Math.floor((to - from) / 2);
+        if (getTimeZoneOffsetMinutes(timeZone, middle) === offsetBefore) {
+            from = middle;
+        } else {
+            to = middle;
+        }
+    }
+    // Transitions happen on whole minutes
+    const minute = Math.floor(to / 60000) * 60000;
+    return getTimeZoneOffsetMinutes(timeZone, minute) === offsetBefore ? to : minute;
+};
+
+// Offset changes of a zone during one year, as { at, localDate, offsetFrom, offsetTo, rule }: the instant of the change,
+// its wall-clock time (as a UTC date) and the yearly RRULE that repeats it
+const getYearTransitions = (timeZone, year) => {
+    const transitions = [];
+    const dayMs = 24 * 60 * 60 * 1000;
+    let previous = Date.UTC(year, 0, 1);
+    for (let t = previous + dayMs; t <= Date.UTC(year, 11, 31); t += dayMs) {
+        if (getTimeZoneOffsetMinutes(timeZone, t) !== getTimeZoneOffsetMinutes(timeZone, previous)) {
+            const at = findTransition(timeZone, previous, t);
+            transitions.push({
+                at,
+                offsetFrom: getTimeZoneOffsetMinutes(timeZone, at - 60000),
+                offsetTo: getTimeZoneOffsetMinutes(timeZone, at),
+            });
+        }
+        previous = t;
+    }
+    return transitions.map(({ at, offsetFrom, offsetTo }) => {
+        // The rule is the wall-clock time of the transition in the offset in effect before it
+        const localDate = new Date(at + offsetFrom * 60000);
+        const dayOfMonth = localDate.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(localDate.getUTCFullYear(), localDate.getUTCMonth() + 1, 0)).getUTCDate();
+        const nth = dayOfMonth + 7 > daysInMonth ? -1 : Math.ceil(dayOfMonth / 7);
+        return {
+            at,
+            localDate,
+            offsetFrom,
+            offsetTo,
+            rule: `FREQ=YEARLY;BYMONTH=${localDate.getUTCMonth() + 1};BYDAY=${nth}${ICAL_WEEKDAYS[localDate.getUTCDay()]}`,
+        };
+    });
+};
+
+// VTIMEZONE definition for a zone over the years [fromYear, toYear], derived from the transitions the browser knows.
+// Each transition becomes a yearly rule on the same weekday of the month (e.g. the last Sunday of March), starting in
+// the first year it applies; rules that stop applying before toYear end with an UNTIL, so zones that changed their
+// rules get the right ones for every year. Rules still in use have no end, so times after toYear follow them.
+const buildVTimezone = (timeZone, fromYear, toYear) => {
+    const observances = [];
+    for (let year = fromYear; year <= toYear; year++) {
+        const transitions = getYearTransitions(timeZone, year);
+        if (transitions.length === 0) {
+            // A fixed offset for the whole year; the first one also covers the years before the export
+            const start = Date.UTC(year, 0, 1);
+            const offsetTo = getTimeZoneOffsetMinutes(timeZone, start);
+            const offsetFrom = year === fromYear ? offsetTo : getTimeZoneOffsetMinutes(timeZone, start - 60000);
+            const previous = observances[observances.length - 1];
+            if (!previous || previous.rule || previous.offsetTo !== offsetTo) {
+                observances.push({ component: 'STANDARD', dtstart: year === fromYear ? '19700101T000000' : `${year}0101T000000`, offsetFrom, offsetTo });
+            }
+            continue;
+        }
+        const maxOffset = Math.max(...transitions.map(transition => transition.offsetTo));
+        transitions.forEach(({ at, localDate, offsetFrom, offsetTo, rule }) => {
+            const time = `${localDate.getUTCHours()}:${localDate.getUTCMinutes()}`;
+            // Continue the observance with the same rule from the year before, if there is one
+            const running = observances.find(observance => observance.rule === rule && observance.time === time &&
+                observance.offsetFrom === offsetFrom && observance.offsetTo === offsetTo && observance.lastYear === year - 1);
+            if (running) {
+                running.lastYear = year;
+                running.lastAt = at;
+            } else {
+                observances.push({
+                    component: offsetTo === maxOffset && offsetTo > offsetFrom ? 'DAYLIGHT' : 'STANDARD',
+                    dtstart: formatUtcDateTime(localDate).replace('Z', ''),
+                    rule,
+                    time,
+                    offsetFrom,
+                    offsetTo,
+                    lastYear: year,
+                    lastAt: at,
+                });
+            }
+        });
+    }
+
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    observances.forEach(({ component, dtstart, rule, offsetFrom, offsetTo, lastYear, lastAt }) => {
+        lines.push(`BEGIN:${component}`, `DTSTART:${dtstart}`);
+        // UNTIL is the last transition under the rule, in UTC
+        if (rule) lines.push(`RRULE:${rule}${lastYear < toYear ? `;UNTIL=${formatUtcDateTime(lastAt)}` : ''}`);
+        lines.push(
+            `TZOFFSETFROM:${formatIcalOffset(offsetFrom)}`,
+            `TZOFFSETTO:${formatIcalOffset(offsetTo)}`,
+            `END:${component}`
+        );
+    });
+    lines.push('END:VTIMEZONE');
+    return lines;
+};
+
+// First real occurrence of a series; DTSTART must be one, even when the recurrence start date does not match the rule
+const getFirstOccurrenceDate = (entry) => {
+    const rule = getRecurrenceRule(entry);
+    const dates = getOccurrenceDates({ ...entry, exceptionDates: [] }, rule.startDate, addDaysToKey(rule.startDate, 366 * 5));
+    return dates.length > 0 ? dates[0] : null;
+};
+
+// RRULE value for an entry's recurrence fields
+const buildRRule = (entry) => {
+    const rule = getRecurrenceRule(entry);
+    const parts = [`FREQ=${{ daily: 'DAILY', weekly: 'WEEKLY', monthly: 'MONTHLY' }[rule.type]}`];
+    if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+    if (rule.type === 'weekly') {
+        parts.push(`BYDAY=${rule.days.map(day => ICAL_WEEKDAYS[day]).join(',')}`);
+        // Our weeks start on Sunday, which matters for every-N-weeks rules
+        parts.push('WKST=SU');
+    } else if (rule.type === 'monthly') {
+        parts.push(rule.monthlyMode === 'nthWeekday'
+            ? `BYDAY=${rule.weekOfMonth}${ICAL_WEEKDAYS[rule.weekday]}`
+            : `BYMONTHDAY=${rule.monthDay}`);
+    }
+    if (rule.count) {
+        parts.push(`COUNT=${rule.count}`);
+    } else if (rule.endDate) {
+        // UNTIL must be in UTC when DTSTART has a TZID; include the whole last day
+        parts.push(`UNTIL=${formatUtcDateTime(zonedTimeToUtc(rule.endDate, '23:59', entry.timeZone))}`);
+    }
+    return parts.join(';');
+};
+
+const buildEvent = ({ uid, dateKey, startTime, endTime, timeZone, summary, extraLines = [] }) => [
+    'BEGIN:VEVENT',
+    `UID:${uid}`,
+    `DTSTAMP:${formatUtcDateTime(new Date())}`,
+    `DTSTART;TZID=${timeZone}:${formatLocalDateTime(dateKey, startTime)}`,
+    `DTEND;TZID=${timeZone}:${formatLocalDateTime(dateKey, endTime)}`,
+    `SUMMARY:${escapeText(summary)}`,
+    ...extraLines,
+    'END:VEVENT',
+];
+
+// Wrap events in a VCALENDAR with a VTIMEZONE for every zone they use. Each zone's rules cover the years its events
+// span, given as { timeZone, startDate, endDate } with a null endDate for series that never end; those are covered
+// up to the current year, after which the last rules carry on.
+const buildCalendar = (calendarName, spans, eventLines) => {
+    const currentYear = new Date().getFullYear();
+    const years = new Map();
+    spans.forEach(({ timeZone, startDate, endDate }) => {
+        const fromYear = Number(startDate.slice(0, 4));
+        const toYear = endDate ? Number(endDate.slice(0, 4)) : Math.max(fromYear, currentYear);
+        const known = years.get(timeZone);
+        years.set(timeZone, known
+            ? { fromYear: Math.min(known.fromYear, fromYear), toYear: Math.max(known.toYear, toYear) }
+            : { fromYear, toYear });
+    });
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(calendarName)}`,
+        ...[...years].flatMap(([timeZone, { fromYear, toYear }]) => buildVTimezone(timeZone, fromYear, toYear)),
+        ...eventLines,
+        'END:VCALENDAR',
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+// Entries saved before time zones were stored have none; they are written in defaultTimeZone, or UTC
+const withTimeZone = (item, defaultTimeZone) => ({ ...item, timeZone: item.timeZone || defaultTimeZone || 'UTC' });
+
+// Export stored schedule entries, keeping recurring series as RRULEs
+export const buildSeriesCalendar = (storedEntries, calendarName, defaultTimeZone) => {
+    const entries = storedEntries.map(entry => withTimeZone(entry, defaultTimeZone));
+    const spans = [];
+    const eventLines = entries.flatMap(entry => {
+        // Entries imported from another calendar keep their original UID, so re-importing there updates them
+        const uid = entry.icalUid || `${entry.id}@${UID_DOMAIN}`;
+        const summary = entry.activityName;
+        const timeZone = entry.timeZone;
+
+        if (!entry.recurrenceType || entry.recurrenceType === 'none') {
+            spans.push({ timeZone, startDate: entry.date, endDate: entry.date });
+            return buildEvent({ uid, dateKey: entry.date, startTime: entry.startTime, endTime: entry.endTime, timeZone, summary });
+        }
+
+        const firstDate = getFirstOccurrenceDate(entry);
+        if (!firstDate) return [];
+        const { rangeEnd } = getOccurrenceRange(entry);
+        spans.push({ timeZone, startDate: firstDate, endDate: rangeEnd === OPEN_ENDED_RANGE_END ? null : rangeEnd });
+        const exceptionLines = (entry.exceptionDates || []).map(dateKey =>
+            `EXDATE;TZID=${timeZone}:${formatLocalDateTime(dateKey, entry.startTime)}`);
+        const overrides = Object.entries(entry.occurrenceOverrides || {})
+            .filter(([dateKey]) => !(entry.exceptionDates || []).includes(dateKey));
+
+        return [
+            ...buildEvent({
+                uid, dateKey: firstDate, startTime: entry.startTime, endTime: entry.endTime, timeZone, summary,
+                extraLines: [`RRULE:${buildRRule(entry)}`, ...exceptionLines],
+            }),
+            // Moved occurrences are separate events pointing at the occurrence they replace
+            ...overrides.flatMap(([dateKey, override]) => buildEvent({
+                uid, dateKey, startTime: override.startTime, endTime: override.endTime, timeZone, summary,
+                extraLines: [`RECURRENCE-ID;TZID=${timeZone}:${formatLocalDateTime(dateKey, entry.startTime)}`],
+            })),
+        ];
+    });
+    return buildCalendar(calendarName, spans, eventLines);
+};
+
+// Export expanded occurrences (e.g. the date range behind a share link) as one-time events.
+// UIDs come from the entry each occurrence belongs to (sourceKey on published occurrences, whose IDs are positional)
+// and its date, so downloading the range again updates the same events.
+export const buildOccurrenceCalendar = (expandedOccurrences, calendarName, defaultTimeZone) => {
+    const occurrences = expandedOccurrences.map(occurrence => withTimeZone(occurrence, defaultTimeZone));
+    const eventLines = occurrences.flatMap(occurrence => buildEvent({
+        uid: `${occurrence.sourceKey || occurrence.id}-${occurrence.occurrenceDate}@${UID_DOMAIN}`,
+        dateKey: occurrence.occurrenceDate,
+        startTime: occurrence.startTime,
+        endTime: occurrence.endTime,
+        timeZone: occurrence.timeZone,
+        summary: occurrence.activityName,
+    }));
+    const spans = occurrences.map(occurrence => ({
+        timeZone: occurrence.timeZone,
+        startDate: occurrence.occurrenceDate,
+        endDate: occurrence.occurrenceDate,
+    }));
+    return buildCalendar(calendarName, spans, eventLines);
+};
+
+// Offer calendar text as a file download
+export const downloadICalendar = (fileName, calendarText) => {
+    const url = URL.createObjectURL(new Blob([calendarText], { type: 'text/calendar;charset=utf-8' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    URL.revokeObjectURL(url);
+};
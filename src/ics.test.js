@@ -0,0 +1,160 @@
+import { buildSeriesCalendar, buildOccurrenceCalendar } from './ics';
+
+const lineStarting = (calendar, prefix) => calendar.split('\r\n').filter(line => line.startsWith(prefix));
+
+// RRULE lines of the events, leaving out the ones of the VTIMEZONEs
+const eventRules = (calendar) => lineStarting(calendar.slice(calendar.indexOf('BEGIN:VEVENT')), 'RRULE:');
+
+const entry = {
+    id: 'entry1',
+    date: '2025-03-12',
+    startTime: '09:00',
+    endTime: '10:00',
+    timeZone: 'Europe/Berlin',
+    activityName: 'Gym',
+    recurrenceType: 'none',
+};
+
+const series = {
+    ...entry,
+    date: '2025-03-10',
+    recurrenceType: 'weekly',
+    recurrenceInterval: 1,
+    recurrenceDays: [1],
+    recurrenceStartDate: '2025-03-10',
+    recurrenceEndMode: 'never',
+};
+
+// Lines of the VTIMEZONE components, one array per component
+const timeZoneComponents = (calendar) => {
+    const lines = calendar.split('\r\n');
+    const components = [];
+    lines.slice(lines.indexOf('BEGIN:VTIMEZONE'), lines.indexOf('END:VTIMEZONE')).forEach(line => {
+        if (/^BEGIN:(STANDARD|DAYLIGHT)$/.test(line)) components.push([]);
+        else if (components.length > 0 && !line.startsWith('END:')) components[components.length - 1].push(line);
+    });
+    return components;
+};
+
+describe('buildSeriesCalendar', () => {
+    test('writes weekly rules with their days, interval and week start', () => {
+        const calendar = buildSeriesCalendar([{ ...series, recurrenceInterval: 2, recurrenceDays: [1, 4] }], 'Mine');
+        expect(eventRules(calendar)).toEqual(['RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;WKST=SU']);
+        expect(lineStarting(calendar, 'DTSTART;')).toEqual(['DTSTART;TZID=Europe/Berlin:20250310T090000']);
+    });
+
+    test('writes monthly rules on a day of the month or the nth weekday', () => {
+        const monthly = { ...series, recurrenceType: 'monthly', recurrenceMonthlyMode: 'dayOfMonth' };
+        expect(eventRules(buildSeriesCalendar([monthly], 'Mine'))).toEqual(['RRULE:FREQ=MONTHLY;BYMONTHDAY=10']);
+        const lastFriday = { ...monthly, recurrenceMonthlyMode: 'nthWeekday', recurrenceWeekOfMonth: -1, recurrenceWeekday: 5 };
+        const calendar = buildSeriesCalendar([lastFriday], 'Mine');
+        expect(eventRules(calendar)).toEqual(['RRULE:FREQ=MONTHLY;BYDAY=-1FR']);
+        // DTSTART has to be an occurrence, not the recurrence start date
+        expect(lineStarting(calendar, 'DTSTART;')).toEqual(['DTSTART;TZID=Europe/Berlin:20250328T090000']);
+    });
+
+    test('ends a series with COUNT or with UNTIL at the end of its last day in UTC', () => {
+        const counted = buildSeriesCalendar([{ ...series, recurrenceEndMode: 'afterCount', recurrenceCount: 4 }], 'Mine');
+        expect(eventRules(counted)).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=MO;WKST=SU;COUNT=4']);
+        const dated = buildSeriesCalendar([{ ...series, recurrenceEndMode: 'onDate', recurrenceEndDate: '2025-06-30' }], 'Mine');
+        expect(eventRules(dated)).toEqual(['RRULE:FREQ=WEEKLY;BYDAY=MO;WKST=SU;UNTIL=20250630T215900Z']);
+    });
+
+    test('writes exception dates at the start time of the skipped occurrence', () => {
+        const calendar = buildSeriesCalendar([{ ...series, exceptionDates: ['2025-03-17', '2025-03-31'] }], 'Mine');
+        expect(lineStarting(calendar, 'EXDATE')).toEqual([
+            'EXDATE;TZID=Europe/Berlin:20250317T090000',
+            'EXDATE;TZID=Europe/Berlin:20250331T090000',
+        ]);
+    });
+
+    test('writes moved occurrences as events pointing at the occurrence they replace', () => {
+        const calendar = buildSeriesCalendar([{
+            ...series,
+            exceptionDates: ['2025-03-31'],
+            occurrenceOverrides: {
+                '2025-03-24': { startTime: '11:00', endTime: '12:30' },
+                '2025-03-31': { startTime: '08:00', endTime: '09:00' },
+            },
+        }], 'Mine');
+        expect(lineStarting(calendar, 'UID:')).toEqual(['UID:entry1@my-availability-app', 'UID:entry1@my-availability-app']);
+        expect(lineStarting(calendar, 'RECURRENCE-ID')).toEqual(['RECURRENCE-ID;TZID=Europe/Berlin:20250324T090000']);
+        expect(lineStarting(calendar, 'DTSTART;')[1]).toBe('DTSTART;TZID=Europe/Berlin:20250324T110000');
+        expect(lineStarting(calendar, 'DTEND;')[1]).toBe('DTEND;TZID=Europe/Berlin:20250324T123000');
+    });
+
+    test('describes the daylight saving rules of a zone', () => {
+        expect(timeZoneComponents(buildSeriesCalendar([entry], 'Mine'))).toEqual([
+            ['DTSTART:20250330T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU', 'TZOFFSETFROM:+0100', 'TZOFFSETTO:+0200'],
+            ['DTSTART:20251026T030000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU', 'TZOFFSETFROM:+0200', 'TZOFFSETTO:+0100'],
+        ]);
+    });
+
+    test('writes one fixed offset for zones without daylight saving time', () => {
+        const calendar = buildSeriesCalendar([{ ...entry, timeZone: 'Asia/Tokyo' }], 'Mine');
+        expect(timeZoneComponents(calendar)).toEqual([['DTSTART:19700101T000000', 'TZOFFSETFROM:+0900', 'TZOFFSETTO:+0900']]);
+    });
+
+    test('takes the zone rules from the years the events span', () => {
+        // Sao Paulo moved the start of daylight saving time in 2018 and dropped it in 2019
+        const calendar = buildSeriesCalendar([{
+            ...series,
+            date: '2017-01-10',
+            recurrenceStartDate: '2017-01-10',
+            recurrenceDays: [2],
+            recurrenceEndMode: 'onDate',
+            recurrenceEndDate: '2020-06-30',
+            timeZone: 'America/Sao_Paulo',
+        }], 'Mine');
+        expect(lineStarting(calendar, 'BEGIN:VTIMEZONE')).toHaveLength(1);
+        expect(timeZoneComponents(calendar)).toEqual([
+            ['DTSTART:20170219T000000', 'RRULE:FREQ=YEARLY;BYMONTH=2;BYDAY=3SU;UNTIL=20190217T020000Z', 'TZOFFSETFROM:-0200', 'TZOFFSETTO:-0300'],
+            ['DTSTART:20171015T000000', 'RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=3SU;UNTIL=20171015T030000Z', 'TZOFFSETFROM:-0300', 'TZOFFSETTO:-0200'],
+            ['DTSTART:20181104T000000', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU;UNTIL=20181104T030000Z', 'TZOFFSETFROM:-0300', 'TZOFFSETTO:-0200'],
+            ['DTSTART:20200101T000000', 'TZOFFSETFROM:-0300', 'TZOFFSETTO:-0300'],
+        ]);
+    });
+
+    test('folds long lines at 75 octets without splitting characters', () => {
+        const calendar = buildSeriesCalendar([{ ...entry, activityName: 'Übung '.repeat(20).trim() }], 'Mine');
+        const lines = calendar.split('\r\n');
+        const encoder = new TextEncoder();
+        expect(lines.every(line => encoder.encode(line).length <= 75)).toBe(true);
+        const summaryIndex = lines.findIndex(line => line.startsWith('SUMMARY:'));
+        const continuation = lines.slice(summaryIndex + 1).findIndex(line => !line.startsWith(' '));
+        const unfolded = lines.slice(summaryIndex, summaryIndex + 1 + continuation).map((line, index) => index === 0 ? line : line.slice(1)).join('');
+        expect(unfolded).toBe(`SUMMARY:${'Übung '.repeat(20).trim()}`);
+        expect(continuation).toBeGreaterThan(0);
+    });
+
+    test('writes entries without a stored time zone in the given one', () => {
+        const { timeZone, ...legacyEntry } = entry;
+        const calendar = buildSeriesCalendar([legacyEntry], 'Mine', 'America/New_York');
+        expect(lineStarting(calendar, 'DTSTART;')).toEqual(['DTSTART;TZID=America/New_York:20250312T090000']);
+        expect(lineStarting(calendar, 'TZID:')).toEqual(['TZID:America/New_York']);
+        expect(calendar).not.toContain('undefined');
+    });
+
+    test('falls back to UTC without a given time zone', () => {
+        const { timeZone, ...legacyEntry } = entry;
+        expect(lineStarting(buildSeriesCalendar([legacyEntry], 'Mine'), 'DTSTART;')).toEqual(['DTSTART;TZID=UTC:20250312T090000']);
+    });
+});
+
+describe('buildOccurrenceCalendar', () => {
+    const occurrence = (id, sourceKey, startTime) => ({
+        ...entry, id, sourceKey, startTime, occurrenceDate: '2025-03-12',
+    });
+
+    test('keeps the UID of an occurrence when the ones before it change', () => {
+        const before = buildOccurrenceCalendar([occurrence('o0', 'abc', '09:00')], 'Shared');
+        const after = buildOccurrenceCalendar([occurrence('o0', 'new', '07:00'), occurrence('o1', 'abc', '09:00')], 'Shared');
+        expect(lineStarting(after, 'UID:')).toContain(lineStarting(before, 'UID:')[0]);
+        expect(lineStarting(before, 'UID:')).toEqual(['UID:abc-2025-03-12@my-availability-app']);
+    });
+
+    test('uses the occurrence ID when there is no source key', () => {
+        expect(lineStarting(buildOccurrenceCalendar([occurrence('entry1', undefined, '09:00')], 'Mine'), 'UID:'))
+            .toEqual(['UID:entry1-2025-03-12@my-availability-app']);
+    });
+});
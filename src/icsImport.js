@@ -0,0 +1,394 @@
+// iCalendar (RFC 5545) import. Events are parsed into schedule form values so they can be previewed,
+// mapped onto activities and checked for duplicates before anything is written.
+
+import { addDaysToKey, getWeekdayOfKey, getRecurrenceRule } from './recurrence';
+import { zonedTimeToUtc, toZonedDateKey, toZonedTime, isValidTimeZone } from './timeZone';
+import { getDefaultScheduleForm, validateScheduleForm } from './schedule';
+
+const ICAL_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const EXPORT_UID_SUFFIX = '@my-availability-app';
+
+// Colors given to activities created by an import, picked by name so the same name always gets the same color
+const importColors = ['#3b82f6', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#ec4899', '#14b8a6', '#6366f1'];
+
+export const getImportColor = (name) => {
+    const hash = [...name].reduce((sum, char) => (sum * 31 + char.charCodeAt(0)) % 1000003, 0);
+    return importColors[hash % importColors.length];
+};
+
+// Undo the escaping of text values
+const unescapeText = (text) => text
+    .replace(/\\n/gi, '\n')
+    .replace(/\\([\\;,])/g, '$1');
+
+// Split a text list value (e.g. CATEGORIES) on commas that are not escaped
+const splitTextList = (value) => value.split(/(?<!\\),/).map(part => unescapeText(part).trim()).filter(Boolean);
+
+// Parse one unfolded content line into { name, params, value }
+const parseContentLine = (line) => {
+    let index = 0;
+    let inQuotes = false;
+    // The value starts at the first colon outside a quoted parameter value
+    while (index < line.length && (line[index] !== ':' || inQuotes)) {
+        if (line[index] === '"') inQuotes = !inQuotes;
+        index++;
+    }
+    const [name, ...paramParts] = line.slice(0, index).split(/;(?=(?:[^"]*"[^"]*")*[^"]*$)/);
+    const params = {};
+    paramParts.forEach(part => {
+        const separator = part.indexOf('=');
+        if (separator > 0) {
+            params[part.slice(0, separator).toUpperCase()] = part.slice(separator + 1).replace(/^"|"$/g, '');
+        }
+    });
+    return { name: name.toUpperCase(), params, value: line.slice(index + 1) };
+};
+
+// Read the VEVENTs of a calendar as lists of properties; nested components (VALARM) are ignored
+const readEvents = (calendarText) => {
+    const lines = calendarText.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let nestedDepth = 0;
+    lines.forEach(line => {
+        if (!line.trim()) return;
+        const property = parseContentLine(line);
+        if (property.name === 'BEGIN') {
+            if (property.value.toUpperCase() === 'VEVENT') {
+                current = [];
+            } else if (current) {
+                nestedDepth++;
+            }
+        } else if (property.name === 'END') {
+            if (property.value.toUpperCase() === 'VEVENT' && current) {
+                events.push(current);
+                current = null;
+            } else if (current) {
+                nestedDepth--;
+            }
+        } else if (current && nestedDepth === 0) {
+            current.push(property);
+        }
+    });
+    return events;
+};
+
+// Parse a DATE or DATE-TIME value into { dateKey, time, isUtc, isDate }
+const parseDateValue = (value) => {
+    const match = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, year, month, day, hour, minute, , utc] = match;
+    return {
+        dateKey: `${year}-${month}-${day}`,
+        time: hour ? `${hour}:${minute}` : null,
+        isUtc: !!utc,
+        isDate: !hour,
+    };
+};
+
+// Parse a DURATION value (e.g. 'PT1H30M', 'P1D') into minutes
+const parseDurationMinutes = (value) => {
+    const match = /^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(value.trim());
+    if (!match) return null;
+    const [, sign, weeks, days, hours, minutes] = match.map(part => part || 0);
+    const total = ((Number(weeks) * 7 + Number(days)) * 24 + Number(hours)) * 60 + Number(minutes);
+    return sign === '-' ? -total : total;
+};
+
+// Zone a property's times are written in; TZIDs that are not IANA names (e.g. Outlook's Windows names) are not usable
+const getPropertyTimeZone = (property) => {
+    const tzid = property.params.TZID && property.params.TZID.replace(/^\//, '');
+    return tzid && isValidTimeZone(tzid) ? tzid : null;
+};
+
+// Instant of a DATE-TIME property, or null for floating times when no zone is known
+const getPropertyInstant = (property, fallbackTimeZone) => {
+    const parsed = parseDateValue(property.value);
+    if (!parsed || parsed.isDate) return null;
+    if (parsed.isUtc) return new Date(`${parsed.dateKey}T${parsed.time}:00Z`);
+    return zonedTimeToUtc(parsed.dateKey, parsed.time, getPropertyTimeZone(property) || fallbackTimeZone);
+};
+
+// Date keys of a multi-valued date property (EXDATE) in an event's zone
+const getPropertyDateKeys = (property, timeZone) => {
+    return property.value.split(',').map(value => {
+        const parsed = parseDateValue(value);
+        if (!parsed) return null;
+        if (parsed.isDate) return parsed.dateKey;
+        const instant = getPropertyInstant({ ...property, value }, timeZone);
+        return toZonedDateKey(instant, timeZone);
+    }).filter(Boolean);
+};
+
+// Map an RRULE value onto the recurrence fields of the schedule form.
+// Returns { fields } or { error } for rules the app cannot represent.
+const mapRRule = (value, startDateKey, startTime, timeZone) => {
+    const parts = {};
+    value.split(';').forEach(part => {
+        const [key, partValue] = part.split('=');
+        if (key && partValue !== undefined) parts[key.toUpperCase()] = partValue.toUpperCase();
+    });
+    const supported = ['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'BYMONTHDAY', 'BYSETPOS', 'WKST'];
+    const unsupported = Object.keys(parts).filter(key => !supported.includes(key));
+    if (unsupported.length > 0) {
+        return { error: `Repeat rule uses ${unsupported.join(', ')}, which is not supported.` };
+    }
+
+    const fields = {
+        recurrenceInterval: parts.INTERVAL ? Number(parts.INTERVAL) : 1,
+        recurrenceStartDate: startDateKey,
+    };
+    const byDay = parts.BYDAY ? parts.BYDAY.split(',') : [];
+
+    switch (parts.FREQ) {
+        case 'DAILY':
+            if (byDay.length > 0 || parts.BYMONTHDAY) return { error: 'Daily repeat rules limited to certain days are not supported.' };
+            fields.recurrenceType = 'daily';
+            break;
+        case 'WEEKLY': {
+            const days = byDay.length > 0 ? byDay.map(day => ICAL_WEEKDAYS.indexOf(day)) : [getWeekdayOfKey(startDateKey)];
+            if (days.includes(-1) || parts.BYMONTHDAY || parts.BYSETPOS) return { error: `Weekly repeat rule "${value}" is not supported.` };
+            fields.recurrenceType = 'weekly';
+            fields.recurrenceDays = [...new Set(days)].sort((a, b) => a - b);
+            break;
+        }
+        case 'MONTHLY':
+        case 'YEARLY': {
+            // A plain yearly rule is the same as repeating every 12 months
+            if (parts.FREQ === 'YEARLY') {
+                if (byDay.length > 0 || parts.BYMONTHDAY || parts.BYSETPOS) return { error: 'Yearly repeat rules with extra parts are not supported.' };
+                fields.recurrenceInterval *= 12;
+            }
+            fields.recurrenceType = 'monthly';
+            if (byDay.length > 0) {
+                // Either BYDAY=2TU or BYDAY=TU;BYSETPOS=2
+                const match = byDay.length === 1 && /^([+-]?\d)?(SU|MO|TU|WE|TH|FR|SA)$/.exec(byDay[0]);
+                const nth = match && Number(match[1] || parts.BYSETPOS);
+                if (!match || ![1, 2, 3, 4, -1].includes(nth) || (match[1] && parts.BYSETPOS)) {
+                    return { error: `Monthly repeat rule "${value}" is not supported.` };
+                }
+                fields.recurrenceMonthlyMode = 'nthWeekday';
+                fields.recurrenceWeekOfMonth = nth;
+                fields.recurrenceWeekday = ICAL_WEEKDAYS.indexOf(match[2]);
+            } else {
+                // The day of month is taken from the start date, so BYMONTHDAY has to agree with it
+                if (parts.BYMONTHDAY && Number(parts.BYMONTHDAY) !== Number(startDateKey.split('-')[2])) {
+                    return { error: `Monthly repeat rule "${value}" is not supported.` };
+                }
+                fields.recurrenceMonthlyMode = 'dayOfMonth';
+            }
+            break;
+        }
+        default:
+            return { error: `Repeat frequency ${parts.FREQ || '(missing)'} is not supported.` };
+    }
+
+    if (!Number.isInteger(fields.recurrenceInterval) || fields.recurrenceInterval < 1) {
+        return { error: `Repeat interval in "${value}" is not valid.` };
+    }
+    if (parts.COUNT) {
+        // A count of 0 or one that is not a number would read as "no count" and repeat forever
+        const count = Number(parts.COUNT);
+        if (!Number.isInteger(count) || count < 1) return { error: `Repeat count "${parts.COUNT}" is not valid.` };
+        fields.recurrenceEndMode = 'afterCount';
+        fields.recurrenceCount = count;
+    } else if (parts.UNTIL) {
+        const until = parseDateValue(parts.UNTIL);
+        if (!until) return { error: `Repeat end "${parts.UNTIL}" is not valid.` };
+        fields.recurrenceEndMode = 'onDate';
+        if (until.isDate) {
+            fields.recurrenceEndDate = until.dateKey;
+        } else {
+            // The last occurrence is the last one starting at or before UNTIL
+            const untilInstant = getPropertyInstant({ params: {}, value: parts.UNTIL }, timeZone);
+            const untilDateKey = toZonedDateKey(untilInstant, timeZone);
+            fields.recurrenceEndDate = toZonedTime(untilInstant, timeZone) < startTime ? addDaysToKey(untilDateKey, -1) : untilDateKey;
+        }
+    }
+    return { fields };
+};
+
+// Turn one VEVENT's properties into an import item:
+// { uid, summary, categories, timeZone, form, exceptionDates, recurrenceId, isCancelled, warnings, error }
+const parseEvent = (properties, defaultTimeZone) => {
+    const get = (name) => properties.find(property => property.name === name);
+    const item = {
+        uid: get('UID') ? get('UID').value.trim() : null,
+        summary: get('SUMMARY') ? unescapeText(get('SUMMARY').value).trim() : '',
+        categories: properties.filter(property => property.name === 'CATEGORIES').flatMap(property => splitTextList(property.value)),
+        isCancelled: !!get('STATUS') && get('STATUS').value.toUpperCase() === 'CANCELLED',
+        recurrenceId: null,
+        exceptionDates: [],
+        warnings: [],
+        error: null,
+    };
+    if (!item.summary) item.summary = item.categories[0] || 'Imported event';
+
+    const start = get('DTSTART');
+    const parsedStart = start && parseDateValue(start.value);
+    if (!parsedStart) return { ...item, error: 'The event has no valid start time.' };
+    if (parsedStart.isDate) return { ...item, error: 'All-day events are not supported.' };
+
+    // Times are kept in the event's own zone; one-time UTC or floating times are read in the importing user's zone,
+    // while repeating UTC times stay in UTC so every occurrence keeps the same instant
+    const rrule = get('RRULE');
+    const tzid = start.params.TZID;
+    let timeZone = getPropertyTimeZone(start);
+    if (!timeZone) {
+        timeZone = parsedStart.isUtc && rrule ? 'UTC' : defaultTimeZone;
+        if (tzid) item.warnings.push(`Unknown time zone "${tzid}"; times were read in ${defaultTimeZone}.`);
+    }
+    item.timeZone = timeZone;
+
+    const startInstant = getPropertyInstant(start, timeZone);
+    const end = get('DTEND');
+    const duration = get('DURATION');
+    let endInstant = null;
+    if (end) {
+        endInstant = getPropertyInstant(end, timeZone);
+    } else if (duration && parseDurationMinutes(duration.value) !== null) {
+        endInstant = new Date(startInstant.getTime() + parseDurationMinutes(duration.value) * 60000);
+    }
+    if (!endInstant) return { ...item, error: 'The event has no valid end time.' };
+
+    const dateKey = toZonedDateKey(startInstant, timeZone);
+    const startTime = toZonedTime(startInstant, timeZone);
+    let endTime = toZonedTime(endInstant, timeZone);
+    const endDateKey = toZonedDateKey(endInstant, timeZone);
+    if (endDateKey === addDaysToKey(dateKey, 1) && endTime === '00:00') {
+        // An event ending at midnight is kept on its own day
+        endTime = '23:59';
+    } else if (endDateKey !== dateKey) {
+        return { ...item, error: 'Events spanning more than one day are not supported.' };
+    }
+    if (startTime >= endTime) return { ...item, error: 'The event ends before it starts.' };
+
+    item.form = {
+        ...getDefaultScheduleForm(),
+        date: dateKey,
+        startTime,
+        endTime,
+        recurrenceStartDate: dateKey,
+    };
+
+    const recurrenceId = get('RECURRENCE-ID');
+    if (recurrenceId) {
+        const [originalDateKey] = getPropertyDateKeys(recurrenceId, timeZone);
+        item.recurrenceId = originalDateKey || null;
+    }
+
+    if (rrule) {
+        const { fields, error } = mapRRule(rrule.value, dateKey, startTime, timeZone);
+        if (error) return { ...item, error };
+        item.form = { ...item.form, ...fields };
+        item.exceptionDates = properties
+            .filter(property => property.name === 'EXDATE')
+            .flatMap(property => getPropertyDateKeys(property, timeZone));
+    }
+    return item;
+};
+
+// Match an event to an existing activity by category, then by summary (case-insensitive)
+const findActivity = (item, activityItems) => {
+    const names = [...item.categories, item.summary].map(name => name.toLowerCase());
+    for (const name of names) {
+        const activity = activityItems.find(a => a.name.trim().toLowerCase() === name);
+        if (activity) return activity;
+    }
+    return null;
+};
+
+// Check whether an import item is already stored: either imported before (same UID, or exported from this app)
+// or an entry of the same activity with the same first occurrence and repeat type
+const findDuplicate = (item, existingEntries) => {
+    return existingEntries.find(entry => {
+        if (item.uid && (entry.icalUid === item.uid || `${entry.id}${EXPORT_UID_SUFFIX}` === item.uid)) return true;
+        const rule = getRecurrenceRule(entry);
+        return rule.startDate === item.form.recurrenceStartDate &&
+               rule.type === item.form.recurrenceType &&
+               entry.startTime === item.form.startTime &&
+               entry.endTime === item.form.endTime &&
+               entry.timeZone === item.timeZone &&
+               (entry.activityName || '').trim().toLowerCase() === item.activityName.toLowerCase();
+    }) || null;
+};
+
+// Parse calendar text into preview items ready to be imported.
+// Moved occurrences (RECURRENCE-ID) are folded into their series as overrides when they stay on the same day,
+// otherwise the original date becomes an exception and the moved occurrence is imported as a one-time event.
+// Each item has an `activity` (existing match or null), an `activityName` for a new activity, `duplicate`, and `selected`.
+export const buildImportPreview = (calendarText, activityItems, existingEntries, defaultTimeZone) => {
+    const events = readEvents(calendarText).map(properties => parseEvent(properties, defaultTimeZone));
+    if (events.length === 0) {
+        throw new Error("No events found in the file.");
+    }
+
+    const masters = events.filter(event => !event.recurrenceId);
+    const items = [];
+    masters.forEach(event => {
+        if (event.isCancelled) return;
+        items.push({ ...event, occurrenceOverrides: {} });
+    });
+
+    events.filter(event => event.recurrenceId).forEach(event => {
+        const series = items.find(item => item.uid && item.uid === event.uid && !item.error && item.form.recurrenceType !== 'none');
+        if (!series) {
+            // Without its series the moved occurrence is just a one-time event
+            if (!event.isCancelled) items.push({ ...event, occurrenceOverrides: {} });
+            return;
+        }
+        if (event.isCancelled || event.error || event.form.date !== event.recurrenceId || event.timeZone !== series.timeZone) {
+            series.exceptionDates.push(event.recurrenceId);
+            if (!event.isCancelled) {
+                // A moved occurrence usually repeats only some of its series' properties
+                const categories = event.categories.length > 0 ? event.categories : series.categories;
+                items.push({ ...event, categories, uid: `${event.uid}/${event.recurrenceId}`, occurrenceOverrides: {} });
+            }
+        } else {
+            series.occurrenceOverrides[event.recurrenceId] = { startTime: event.form.startTime, endTime: event.form.endTime };
+        }
+    });
+
+    return items.map((item, index) => {
+        const activity = findActivity(item, activityItems);
+        const activityName = activity ? activity.name : (item.categories[0] || item.summary);
+        const previewItem = {
+            ...item,
+            key: `${index}-${item.uid || item.summary}`,
+            exceptionDates: [...new Set(item.exceptionDates)].sort(),
+            activity,
+            activityName,
+        };
+        previewItem.duplicate = item.error ? null : findDuplicate(previewItem, existingEntries);
+        previewItem.selected = !item.error && !previewItem.duplicate;
+        return previewItem;
+    });
+};
+
+// Work out the writes for the selected preview items: the activities to create (one per new name, with IDs from
+// createActivityId) and the entries to add with their activities. Each item is validated like the schedule form is
+// before it is written; the ones that fail are returned as skipped: [{ item, error }].
+export const getImportPlan = (items, activityItems, createActivityId) => {
+    const activitiesByName = new Map(activityItems.map(item => [item.name.toLowerCase(), item]));
+    const newActivities = [];
+    const entries = [];
+    const skipped = [];
+    items.forEach(item => {
+        let activity = item.activity || activitiesByName.get(item.activityName.toLowerCase());
+        const isNewActivity = !activity;
+        if (isNewActivity) {
+            activity = { id: createActivityId(), name: item.activityName, color: getImportColor(item.activityName) };
+        }
+        const error = item.form ? validateScheduleForm({ ...item.form, activityId: activity.id }, [activity]) : item.error;
+        if (error) {
+            skipped.push({ item, error });
+            return;
+        }
+        if (isNewActivity) {
+            newActivities.push(activity);
+            activitiesByName.set(activity.name.toLowerCase(), activity);
+        }
+        entries.push({ item, activity });
+    });
+    return { newActivities, entries, skipped };
+};
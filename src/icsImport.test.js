@@ -0,0 +1,212 @@
+import { buildImportPreview, getImportPlan } from './icsImport';
+
+const calendar = (...events) => [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    ...events.flatMap(lines => ['BEGIN:VEVENT', ...lines, 'END:VEVENT']),
+    'END:VCALENDAR',
+].join('\r\n');
+
+const gym = [
+    'UID:gym-1',
+    'SUMMARY:Gym',
+    'DTSTART;TZID=Europe/Berlin:20250303T180000',
+    'DTEND;TZID=Europe/Berlin:20250303T190000',
+];
+
+const preview = (text, activityItems = [], existingEntries = []) =>
+    buildImportPreview(text, activityItems, existingEntries, 'America/New_York');
+
+describe('buildImportPreview', () => {
+    test('throws when the file has no events', () => {
+        expect(() => preview('BEGIN:VCALENDAR\r\nEND:VCALENDAR')).toThrow('No events found in the file.');
+    });
+
+    test('maps a weekly rule with BYDAY and an interval', () => {
+        const [item] = preview(calendar([...gym, 'RRULE:FREQ=WEEKLY;INTERVAL=2;BYDAY=MO,TH;WKST=MO']));
+        expect(item.error).toBeNull();
+        expect(item.form).toMatchObject({
+            date: '2025-03-03',
+            startTime: '18:00',
+            endTime: '19:00',
+            recurrenceType: 'weekly',
+            recurrenceInterval: 2,
+            recurrenceDays: [1, 4],
+            recurrenceEndMode: 'never',
+        });
+    });
+
+    test('maps a monthly rule on the nth weekday, written either way', () => {
+        const [byDay] = preview(calendar([...gym, 'RRULE:FREQ=MONTHLY;BYDAY=-1FR']));
+        const [bySetPos] = preview(calendar([...gym, 'RRULE:FREQ=MONTHLY;BYDAY=TU;BYSETPOS=2']));
+        expect(byDay.form).toMatchObject({ recurrenceType: 'monthly', recurrenceMonthlyMode: 'nthWeekday', recurrenceWeekOfMonth: -1, recurrenceWeekday: 5 });
+        expect(bySetPos.form).toMatchObject({ recurrenceMonthlyMode: 'nthWeekday', recurrenceWeekOfMonth: 2, recurrenceWeekday: 2 });
+    });
+
+    test('maps a yearly rule onto every 12 months', () => {
+        const [item] = preview(calendar([...gym, 'RRULE:FREQ=YEARLY;INTERVAL=2']));
+        expect(item.form).toMatchObject({ recurrenceType: 'monthly', recurrenceMonthlyMode: 'dayOfMonth', recurrenceInterval: 24 });
+    });
+
+    test('ends a series after COUNT occurrences', () => {
+        const [item] = preview(calendar([...gym, 'RRULE:FREQ=DAILY;COUNT=5']));
+        expect(item.form).toMatchObject({ recurrenceEndMode: 'afterCount', recurrenceCount: 5 });
+    });
+
+    test('ends a series on the last date starting by a UTC UNTIL', () => {
+        // 17:00 UTC on the 10th is 18:00 in Berlin, so the occurrence that day is included
+        const [included] = preview(calendar([...gym, 'RRULE:FREQ=DAILY;UNTIL=20250310T170000Z']));
+        const [excluded] = preview(calendar([...gym, 'RRULE:FREQ=DAILY;UNTIL=20250310T165900Z']));
+        expect(included.form).toMatchObject({ recurrenceEndMode: 'onDate', recurrenceEndDate: '2025-03-10' });
+        expect(excluded.form.recurrenceEndDate).toBe('2025-03-09');
+    });
+
+    test.each(['COUNT=0', 'COUNT=-3', 'COUNT=x', 'COUNT=1.5', 'INTERVAL=0', 'INTERVAL=x'])('rejects %s', (part) => {
+        const [item] = preview(calendar([...gym, `RRULE:FREQ=WEEKLY;${part}`]));
+        expect(item.error).toMatch(/not valid/);
+        expect(item.selected).toBe(false);
+    });
+
+    test('rejects rule parts the app cannot represent', () => {
+        const [item] = preview(calendar([...gym, 'RRULE:FREQ=WEEKLY;BYHOUR=9']));
+        expect(item.error).toBe('Repeat rule uses BYHOUR, which is not supported.');
+    });
+
+    test('reads EXDATEs as dates in the event zone', () => {
+        const [item] = preview(calendar([
+            ...gym,
+            'RRULE:FREQ=DAILY',
+            'EXDATE;TZID=Europe/Berlin:20250305T180000,20250307T180000',
+            'EXDATE:20250308T170000Z',
+        ]));
+        expect(item.exceptionDates).toEqual(['2025-03-05', '2025-03-07', '2025-03-08']);
+    });
+
+    test('folds an occurrence moved within its day into the series as an override', () => {
+        const items = preview(calendar(
+            [...gym, 'RRULE:FREQ=DAILY'],
+            [
+                'UID:gym-1',
+                'RECURRENCE-ID;TZID=Europe/Berlin:20250305T180000',
+                'DTSTART;TZID=Europe/Berlin:20250305T170000',
+                'DTEND;TZID=Europe/Berlin:20250305T180000',
+            ],
+        ));
+        expect(items).toHaveLength(1);
+        expect(items[0].occurrenceOverrides).toEqual({ '2025-03-05': { startTime: '17:00', endTime: '18:00' } });
+        expect(items[0].exceptionDates).toEqual([]);
+    });
+
+    test('imports an occurrence moved to another day as a one-time event', () => {
+        const items = preview(calendar(
+            [...gym, 'RRULE:FREQ=DAILY', 'CATEGORIES:Fitness'],
+            [
+                'UID:gym-1',
+                'RECURRENCE-ID;TZID=Europe/Berlin:20250305T180000',
+                'DTSTART;TZID=Europe/Berlin:20250306T070000',
+                'DTEND;TZID=Europe/Berlin:20250306T080000',
+            ],
+        ));
+        expect(items).toHaveLength(2);
+        expect(items[0].exceptionDates).toEqual(['2025-03-05']);
+        expect(items[1]).toMatchObject({ uid: 'gym-1/2025-03-05', categories: ['Fitness'], activityName: 'Fitness' });
+        expect(items[1].form).toMatchObject({ date: '2025-03-06', startTime: '07:00', recurrenceType: 'none' });
+    });
+
+    test('turns a cancelled occurrence into an exception date', () => {
+        const items = preview(calendar(
+            [...gym, 'RRULE:FREQ=DAILY'],
+            ['UID:gym-1', 'RECURRENCE-ID;TZID=Europe/Berlin:20250305T180000', 'STATUS:CANCELLED', ...gym.slice(2)],
+        ));
+        expect(items).toHaveLength(1);
+        expect(items[0].exceptionDates).toEqual(['2025-03-05']);
+    });
+
+    test('keeps times in the zone given by TZID', () => {
+        const [item] = preview(calendar(gym));
+        expect(item).toMatchObject({ timeZone: 'Europe/Berlin', warnings: [] });
+        expect(item.form).toMatchObject({ startTime: '18:00', endTime: '19:00' });
+    });
+
+    test('reads an unknown TZID in the default zone with a warning', () => {
+        const [item] = preview(calendar([
+            'SUMMARY:Standup',
+            'DTSTART;TZID=W. Europe Standard Time:20250303T090000',
+            'DTEND;TZID=W. Europe Standard Time:20250303T091500',
+        ]));
+        expect(item.timeZone).toBe('America/New_York');
+        expect(item.form).toMatchObject({ startTime: '09:00', endTime: '09:15' });
+        expect(item.warnings).toEqual(['Unknown time zone "W. Europe Standard Time"; times were read in America/New_York.']);
+    });
+
+    test('reads one-time UTC events in the default zone and keeps repeating ones in UTC', () => {
+        const utc = ['SUMMARY:Call', 'DTSTART:20250303T140000Z', 'DTEND:20250303T150000Z'];
+        const [once] = preview(calendar(utc));
+        const [repeating] = preview(calendar([...utc, 'RRULE:FREQ=WEEKLY']));
+        expect(once.timeZone).toBe('America/New_York');
+        expect(once.form).toMatchObject({ startTime: '09:00', endTime: '10:00' });
+        expect(repeating.timeZone).toBe('UTC');
+        expect(repeating.form).toMatchObject({ startTime: '14:00', endTime: '15:00' });
+    });
+
+    test('matches activities by category, then by summary', () => {
+        const activities = [{ id: 'a1', name: 'gym' }, { id: 'a2', name: 'Fitness' }];
+        const [bySummary] = preview(calendar(gym), activities);
+        const [byCategory] = preview(calendar([...gym, 'CATEGORIES:Fitness']), activities);
+        expect(bySummary.activity).toBe(activities[0]);
+        expect(byCategory.activity).toBe(activities[1]);
+    });
+
+    test('flags events imported or exported before by UID', () => {
+        const [imported] = preview(calendar(gym), [], [{ id: 'e1', icalUid: 'gym-1' }]);
+        const [exported] = preview(calendar([...gym.slice(1), 'UID:e2@my-availability-app']), [], [{ id: 'e2' }]);
+        expect(imported.duplicate).toEqual({ id: 'e1', icalUid: 'gym-1' });
+        expect(imported.selected).toBe(false);
+        expect(exported.duplicate).toEqual({ id: 'e2' });
+    });
+
+    test('flags an entry with the same activity, times and first occurrence', () => {
+        const stored = {
+            id: 'e1',
+            date: '2025-03-03',
+            startTime: '18:00',
+            endTime: '19:00',
+            timeZone: 'Europe/Berlin',
+            activityName: 'Gym',
+            recurrenceType: 'none',
+        };
+        const [same] = preview(calendar(gym.slice(1)), [], [stored]);
+        const [otherZone] = preview(calendar(gym.slice(1)), [], [{ ...stored, timeZone: 'UTC' }]);
+        expect(same.duplicate).toBe(stored);
+        expect(otherZone.duplicate).toBeNull();
+        expect(otherZone.selected).toBe(true);
+    });
+});
+
+describe('getImportPlan', () => {
+    test('creates one activity per new name and reuses existing ones', () => {
+        const activities = [{ id: 'a1', name: 'Gym' }];
+        const items = preview(calendar(
+            gym,
+            ['UID:run-1', 'SUMMARY:Run', ...gym.slice(2)],
+            ['UID:run-2', 'SUMMARY:run', ...gym.slice(2)],
+        ), activities);
+        let nextId = 0;
+        const { newActivities, entries, skipped } = getImportPlan(items, activities, () => `new${nextId++}`);
+        expect(newActivities).toEqual([{ id: 'new0', name: 'Run', color: expect.any(String) }]);
+        expect(entries.map(({ activity }) => activity.id)).toEqual(['a1', 'new0', 'new0']);
+        expect(skipped).toEqual([]);
+    });
+
+    test('skips items that would fail the schedule form checks', () => {
+        // UNTIL falls before the first occurrence
+        const items = preview(calendar(
+            [...gym, 'RRULE:FREQ=DAILY;UNTIL=20250301'],
+            ['UID:run-1', 'SUMMARY:Run', ...gym.slice(2)],
+        ));
+        const { newActivities, entries, skipped } = getImportPlan(items, [], () => 'new');
+        expect(skipped).toEqual([{ item: items[0], error: 'Recurrence end date cannot be before start date.' }]);
+        expect(entries.map(({ item }) => item.summary)).toEqual(['Run']);
+        expect(newActivities.map(activity => activity.name)).toEqual(['Run']);
+    });
+});
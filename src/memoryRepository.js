@@ -0,0 +1,159 @@
+// In-memory implementation of the repository described in repository.js, for tests.
+// Documents are kept per collection path (the Firestore path below artifacts/{appId}, e.g. 'users/u1/schedules'),
+// and initialData seeds them as { [collectionPath]: { [id]: data } }. Listeners are called straight away on subscribe
+// and after every write to their collection; writes are stored at once, so no writes are ever reported as pending.
+
+import { isChangeMarker } from './repository';
+import { PUBLISHED_SCHEDULE_DOC } from './sharePublishing';
+
+// Apply changes (dotted keys, change markers) to a document in place
+const applyChanges = (data, changes) => {
+    Object.entries(changes).forEach(([key, value]) => {
+        const path = key.split('.');
+        const field = path.pop();
+        const parent = path.reduce((node, part) => {
+            if (!node[part] || typeof node[part] !== 'object') node[part] = {};
+            return node[part];
+        }, data);
+        if (!isChangeMarker(value)) {
+            parent[field] = structuredClone(value);
+        } else if (value.__change === 'remove') {
+            delete parent[field];
+        } else {
+            const current = Array.isArray(parent[field]) ? parent[field] : [];
+            parent[field] = [...current, ...value.values.filter(item => !current.includes(item))];
+        }
+    });
+};
+
+export const createMemoryRepository = (initialData = {}) => {
+    const collections = new Map(); // Collection path -> Map of document ID -> data
+    const listeners = new Map(); // Collection path -> Set of listeners
+    let nextId = 1;
+
+    const getCollection = (path) => {
+        if (!collections.has(path)) collections.set(path, new Map());
+        return collections.get(path);
+    };
+    Object.entries(initialData).forEach(([path, documents]) => {
+        Object.entries(documents).forEach(([id, data]) => getCollection(path).set(id, structuredClone(data)));
+    });
+
+    const notify = (path) => (listeners.get(path) || new Set()).forEach(listener => listener());
+    const listen = (path, listener) => {
+        if (!listeners.has(path)) listeners.set(path, new Set());
+        listeners.get(path).add(listener);
+        listener();
+        return () => listeners.get(path).delete(listener);
+    };
+
+    const list = (path) => [...getCollection(path)].map(([id, data]) => ({ id, ...structuredClone(data) }));
+    const read = (path, id) => {
+        const data = getCollection(path).get(id);
+        return data ? structuredClone(data) : null;
+    };
+    const write = (path, id, data) => {
+        getCollection(path).set(id, structuredClone(data));
+        notify(path);
+    };
+    const update = (path, id, changes) => {
+        const data = getCollection(path).get(id);
+        if (!data) throw new Error(`No document to update at ${path}/${id}`);
+        applyChanges(data, changes);
+        notify(path);
+    };
+    const remove = (path, id) => {
+        getCollection(path).delete(id);
+        notify(path);
+    };
+
+    // Apply a write to each ID in turn, counting the ones that failed like a failed batch would
+    const writeEach = async (ids, writeOne, onProgress = () => {}) => {
+        let succeeded = 0;
+        let failed = 0;
+        ids.forEach(id => {
+            try {
+                writeOne(id);
+                succeeded += 1;
+            } catch (e) {
+                failed += 1;
+            }
+            onProgress(succeeded + failed, ids.length);
+        });
+        return { succeeded, failed };
+    };
+
+    const createUserCollection = (name) => {
+        const path = (userId) => `users/${userId}/${name}`;
+        return {
+            subscribe: (userId, onChange) => listen(path(userId), () => onChange(list(path(userId)), [])),
+            list: async (userId) => list(path(userId)),
+            add: async (userId, data) => {
+                const id = `${name}-${nextId++}`;
+                write(path(userId), id, data);
+                return id;
+            },
+            newId: () => `${name}-${nextId++}`,
+            set: async (userId, id, data) => write(path(userId), id, data),
+            update: async (userId, id, changes) => update(path(userId), id, changes),
+            remove: async (userId, id) => remove(path(userId), id),
+            removeMany: (userId, ids, onProgress) => writeEach(ids, id => remove(path(userId), id), onProgress),
+        };
+    };
+
+    const profilePath = (userId) => `users/${userId}/profile`;
+    const schedulesPath = (userId) => `users/${userId}/schedules`;
+    const listSchedulesInRange = (userId, fromKey, toKey) =>
+        list(schedulesPath(userId)).filter(entry => entry.rangeStart <= toKey && entry.rangeEnd >= fromKey);
+    const listShareLinksByOwner = (ownerId) => list('shareLinks').filter(link => link.ownerId === ownerId);
+    const publishedPath = (token) => `shareLinks/${token}/published`;
+
+    return {
+        profiles: {
+            get: async (userId) => read(profilePath(userId), 'userProfile'),
+            set: async (userId, data) => write(profilePath(userId), 'userProfile', data),
+            update: async (userId, changes) => update(profilePath(userId), 'userProfile', changes),
+            remove: async (userId) => remove(profilePath(userId), 'userProfile'),
+        },
+        activities: createUserCollection('activityItems'),
+        schedules: {
+            ...createUserCollection('schedules'),
+            subscribeInRange: (userId, fromKey, toKey, onChange) =>
+                listen(schedulesPath(userId), () => onChange(listSchedulesInRange(userId, fromKey, toKey), [])),
+            listInRange: async (userId, fromKey, toKey) => listSchedulesInRange(userId, fromKey, toKey),
+            listByActivity: async (userId, activityId) => list(schedulesPath(userId)).filter(entry => entry.activityId === activityId),
+            updateMany: (userId, ids, changes, onProgress) => writeEach(ids, id => update(schedulesPath(userId), id, changes), onProgress),
+            updateEach: (userId, updates, profileChanges, onProgress) => writeEach(
+                [...updates, { id: null, changes: profileChanges }],
+                ({ id, changes }) => id === null ? update(profilePath(userId), 'userProfile', changes) : update(schedulesPath(userId), id, changes),
+                onProgress
+            ),
+        },
+        bookingRequests: {
+            ...createUserCollection('bookingRequests'),
+            addWithHold: async (ownerId, data) => {
+                const holdsPath = `users/${ownerId}/slotHolds`;
+                if (read(holdsPath, data.startDateTimeUTC)) throw new Error(`${data.startDateTimeUTC} is already held`);
+                const id = `bookingRequests-${nextId++}`;
+                write(`users/${ownerId}/bookingRequests`, id, data);
+                write(holdsPath, data.startDateTimeUTC, { requestId: id });
+                return id;
+            },
+        },
+        slotHolds: createUserCollection('slotHolds'),
+        shareLinks: {
+            get: async (token) => read('shareLinks', token),
+            subscribeByOwner: (ownerId, onChange) => listen('shareLinks', () => onChange(listShareLinksByOwner(ownerId), [])),
+            listByOwner: async (ownerId) => listShareLinksByOwner(ownerId),
+            create: async (token, data) => write('shareLinks', token, data),
+            update: async (token, changes) => update('shareLinks', token, changes),
+            remove: async (token) => remove('shareLinks', token),
+        },
+        publishedSchedules: {
+            get: async (token) => read(publishedPath(token), PUBLISHED_SCHEDULE_DOC),
+            subscribe: (token, onChange) => listen(publishedPath(token), () => onChange(read(publishedPath(token), PUBLISHED_SCHEDULE_DOC))),
+            set: async (token, data) => write(publishedPath(token), PUBLISHED_SCHEDULE_DOC, data),
+            remove: async (token) => remove(publishedPath(token), PUBLISHED_SCHEDULE_DOC),
+        },
+    };
+};
@@ -0,0 +1,98 @@
+import { createMemoryRepository } from './memoryRepository';
+import { removeField, addToArray } from './repository';
+
+const entry = {
+    date: '2025-03-03',
+    activityId: 'a1',
+    recurrenceType: 'daily',
+    exceptionDates: ['2025-03-04'],
+    occurrenceOverrides: { '2025-03-05': { startTime: '07:00', endTime: '08:00' } },
+};
+
+describe('createMemoryRepository', () => {
+    test('applies dotted keys and change markers like Firestore updates', async () => {
+        const repository = createMemoryRepository({ 'users/u1/schedules': { s1: entry } });
+        await repository.schedules.update('u1', 's1', {
+            exceptionDates: addToArray('2025-03-04', '2025-03-05'),
+            'occurrenceOverrides.2025-03-05': removeField(),
+            'occurrenceOverrides.2025-03-06.startTime': '10:00',
+        });
+        const [stored] = await repository.schedules.listByActivity('u1', 'a1');
+        expect(stored.exceptionDates).toEqual(['2025-03-04', '2025-03-05']);
+        expect(stored.occurrenceOverrides).toEqual({ '2025-03-06': { startTime: '10:00' } });
+    });
+
+    test('keeps stored documents apart from the objects passed in and handed out', async () => {
+        const repository = createMemoryRepository();
+        const data = { name: 'Gym', tags: ['a'] };
+        await repository.profiles.set('u1', data);
+        data.tags.push('b');
+        (await repository.profiles.get('u1')).tags.push('c');
+        expect(await repository.profiles.get('u1')).toEqual({ name: 'Gym', tags: ['a'] });
+    });
+
+    test('rejects updates to missing documents', async () => {
+        const repository = createMemoryRepository();
+        await expect(repository.activities.update('u1', 'missing', { name: 'Gym' })).rejects.toThrow();
+    });
+
+    test('counts the writes of updateMany and removeMany, reporting progress', async () => {
+        const repository = createMemoryRepository({ 'users/u1/schedules': { s1: entry, s2: entry } });
+        const onProgress = jest.fn();
+        expect(await repository.schedules.updateMany('u1', ['s1', 's2', 'gone'], { activityId: 'a2' }, onProgress))
+            .toEqual({ succeeded: 2, failed: 1 });
+        expect(onProgress).toHaveBeenLastCalledWith(3, 3);
+        expect(await repository.schedules.listByActivity('u1', 'a2')).toHaveLength(2);
+
+        expect(await repository.schedules.removeMany('u1', ['s1', 's2'])).toEqual({ succeeded: 2, failed: 0 });
+        expect(await repository.schedules.listByActivity('u1', 'a2')).toEqual([]);
+    });
+
+    test('selects the schedule entries whose range overlaps a window', async () => {
+        const repository = createMemoryRepository({
+            'users/u1/schedules': {
+                march: { ...entry, rangeStart: '2025-03-03', rangeEnd: '2025-03-31' },
+                open: { ...entry, rangeStart: '2025-01-01', rangeEnd: '9999-12-31' },
+                old: { ...entry, rangeStart: '2024-01-01', rangeEnd: '2024-12-31' },
+                unmigrated: entry,
+            },
+        });
+        const onChange = jest.fn();
+        repository.schedules.subscribeInRange('u1', '2025-03-31', '2025-04-30', onChange);
+        expect(onChange.mock.calls[0][0].map(item => item.id)).toEqual(['march', 'open']);
+
+        await repository.schedules.update('u1', 'march', { rangeEnd: '2025-03-30' });
+        expect(onChange.mock.calls[1][0].map(item => item.id)).toEqual(['open']);
+        expect((await repository.schedules.listInRange('u1', '2024-06-01', '2024-06-01')).map(item => item.id)).toEqual(['old']);
+    });
+
+    test('writes a document under an ID taken before the write', async () => {
+        const repository = createMemoryRepository();
+        const id = repository.schedules.newId('u1');
+        expect(await repository.schedules.list('u1')).toEqual([]);
+        await repository.schedules.set('u1', id, entry);
+        expect(await repository.schedules.list('u1')).toEqual([{ id, ...entry }]);
+        expect(repository.schedules.newId('u1')).not.toBe(id);
+    });
+
+    test('holds the start time of a booking request and refuses a second request for it', async () => {
+        const repository = createMemoryRepository();
+        const request = { startDateTimeUTC: '2025-03-12T09:00:00.000Z', endDateTimeUTC: '2025-03-12T09:30:00.000Z', status: 'pending' };
+        const id = await repository.bookingRequests.addWithHold('u1', request);
+        expect(await repository.slotHolds.list('u1')).toEqual([{ id: request.startDateTimeUTC, requestId: id }]);
+
+        await expect(repository.bookingRequests.addWithHold('u1', { ...request, endDateTimeUTC: '2025-03-12T10:00:00.000Z' })).rejects.toThrow();
+        expect(await repository.bookingRequests.list('u1')).toHaveLength(1);
+
+        await repository.slotHolds.remove('u1', request.startDateTimeUTC);
+        await repository.bookingRequests.addWithHold('u1', request);
+        expect(await repository.bookingRequests.list('u1')).toHaveLength(2);
+    });
+
+    test('lists share links by owner', () => {
+        const repository = createMemoryRepository({ shareLinks: { t1: { ownerId: 'u1' }, t2: { ownerId: 'u2' } } });
+        const onChange = jest.fn();
+        repository.shareLinks.subscribeByOwner('u1', onChange);
+        expect(onChange).toHaveBeenLastCalledWith([{ id: 't1', ownerId: 'u1' }], []);
+    });
+});
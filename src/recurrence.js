@@ -0,0 +1,279 @@
+// Shared recurrence engine used by both the owner view and ShareView.
+// Dates are handled as 'YYYY-MM-DD' keys and all arithmetic is done on UTC day numbers,
+// so local DST transitions can never shift an occurrence onto a neighbouring day.
+// Entries store wall-clock times plus an IANA zone; each occurrence is resolved to its own instants.
+
+import { zonedTimeToUtc, toZonedDateKey } from './timeZone';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Weekday names for recurrence selection and labels
+export const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Options for the "Nth weekday of the month" rule (-1 means the last one in the month)
+export const weekOfMonthOptions = [
+    { value: 1, label: '1st' },
+    { value: 2, label: '2nd' },
+    { value: 3, label: '3rd' },
+    { value: 4, label: '4th' },
+    { value: -1, label: 'last' },
+];
+
+// Convert a Date to a 'YYYY-MM-DD' key using its local calendar date
+export const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+// Convert a 'YYYY-MM-DD' key to a Date at local midnight
+export const parseDateKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return new Date(year, month - 1, day);
+};
+
+// Number of whole days since 1970-01-01 for a date key
+const toDayNumber = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    return Math.round(Date.UTC(year, month - 1, day) / MS_PER_DAY);
+};
+
+const fromDayNumber = (dayNumber) => new Date(dayNumber * MS_PER_DAY).toISOString().split('T')[0];
+
+// Add (or subtract) a number of days to a date key
+export const addDaysToKey = (dateKey, days) => fromDayNumber(toDayNumber(dateKey) + days);
+
+// Number of days from one date key to another, negative when toKey is earlier
+export const getDaysBetweenKeys = (fromKey, toKey) => toDayNumber(toKey) - toDayNumber(fromKey);
+
+// Day of week for a date key, 0 for Sunday to 6 for Saturday (1970-01-01 was a Thursday)
+export const getWeekdayOfKey = (dateKey) => ((toDayNumber(dateKey) + 4) % 7 + 7) % 7;
+
+// The seven date keys of the Sunday-to-Saturday week containing a date key
+export const getWeekDateKeys = (dateKey) => {
+    const weekStart = addDaysToKey(dateKey, -getWeekdayOfKey(dateKey));
+    return Array.from({ length: 7 }, (_, i) => addDaysToKey(weekStart, i));
+};
+
+// Weekday and week-of-month of a date key, used to default the "Nth weekday" rule
+export const getNthWeekdayOfKey = (dateKey) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+    return {
+        weekday: getWeekdayOfKey(dateKey),
+        weekOfMonth: Math.ceil(day / 7),
+        isLastOfMonth: day + 7 > daysInMonth,
+    };
+};
+
+// Read the recurrence fields of a schedule entry into a rule, filling in defaults for older documents
+export const getRecurrenceRule = (entry) => {
+    const type = entry.recurrenceType || 'none';
+    if (type === 'none') {
+        return { type, startDate: entry.date, endDate: entry.date, interval: 1, count: null };
+    }
+    const startDate = entry.recurrenceStartDate || entry.date;
+    const startDay = Number(startDate.split('-')[2]);
+    const { weekday, weekOfMonth } = getNthWeekdayOfKey(startDate);
+    return {
+        type,
+        startDate,
+        endDate: entry.recurrenceEndDate || null,
+        interval: Math.max(1, parseInt(entry.recurrenceInterval, 10) || 1),
+        count: entry.recurrenceCount ? parseInt(entry.recurrenceCount, 10) : null,
+        days: entry.recurrenceDays || [],
+        monthlyMode: entry.recurrenceMonthlyMode || 'dayOfMonth',
+        monthDay: entry.recurrenceMonthDay || startDay,
+        weekOfMonth: entry.recurrenceWeekOfMonth || weekOfMonth,
+        weekday: entry.recurrenceWeekday ?? weekday,
+    };
+};
+
+// Check whether a date matches the pattern of a rule, ignoring its start/end bounds and count
+const matchesPattern = (rule, dateKey) => {
+    const dayNumber = toDayNumber(dateKey);
+    const startDayNumber = toDayNumber(rule.startDate);
+
+    switch (rule.type) {
+        case 'none':
+            return dateKey === rule.startDate;
+        case 'daily':
+            return (dayNumber - startDayNumber) % rule.interval === 0;
+        case 'weekly': {
+            // Weeks start on Sunday; day number -4 (1969-12-28) is the Sunday of week zero
+            const weekIndex = Math.floor((dayNumber + 4) / 7);
+            const startWeekIndex = Math.floor((startDayNumber + 4) / 7);
+            return rule.days.includes(getWeekdayOfKey(dateKey)) &&
+                   (weekIndex - startWeekIndex) % rule.interval === 0;
+        }
+        case 'monthly': {
+            const [year, month, day] = dateKey.split('-').map(Number);
+            const [startYear, startMonth] = rule.startDate.split('-').map(Number);
+            const monthsSinceStart = (year - startYear) * 12 + (month - startMonth);
+            if (monthsSinceStart % rule.interval !== 0) return false;
+            if (rule.monthlyMode === 'nthWeekday') {
+                const nth = getNthWeekdayOfKey(dateKey);
+                return nth.weekday === rule.weekday &&
+                       (rule.weekOfMonth === -1 ? nth.isLastOfMonth : nth.weekOfMonth === rule.weekOfMonth);
+            }
+            // Months without the chosen day (e.g. the 31st) are skipped, as in RFC 5545
+            return day === rule.monthDay;
+        }
+        default:
+            return false;
+    }
+};
+
+// List the occurrence dates of an entry between two date keys (inclusive)
+export const getOccurrenceDates = (entry, fromKey, toKey) => {
+    const rule = getRecurrenceRule(entry);
+    if (!rule.startDate) return [];
+
+    const lastDayNumber = Math.min(
+        toDayNumber(toKey),
+        rule.endDate ? toDayNumber(rule.endDate) : Infinity
+    );
+    const firstDayNumber = toDayNumber(fromKey);
+    // With an occurrence count we have to walk from the very first occurrence to know which ones are left
+    let dayNumber = rule.count ? toDayNumber(rule.startDate) : Math.max(firstDayNumber, toDayNumber(rule.startDate));
+    const exceptionDates = entry.exceptionDates || [];
+    let seen = 0;
+    const dates = [];
+
+    while (dayNumber <= lastDayNumber) {
+        const dateKey = fromDayNumber(dayNumber);
+        if (matchesPattern(rule, dateKey)) {
+            // Skipped occurrences still count towards the occurrence count, as EXDATE does in RFC 5545
+            seen++;
+            if (rule.count && seen > rule.count) break;
+            if (dayNumber >= firstDayNumber && !exceptionDates.includes(dateKey)) dates.push(dateKey);
+        }
+        dayNumber++;
+    }
+    return dates;
+};
+
+// Stands in for the end of a series that never ends, so range bounds stay comparable date keys
+export const OPEN_ENDED_RANGE_END = '9999-12-31';
+
+// Longest gap between two occurrences, in days per unit of the interval. Monthly series skip months without their
+// day, and the 29th of February only comes back in a leap year, eight years later around 2100.
+const maxDaysBetweenOccurrences = { daily: 1, weekly: 7, monthly: 8 * 366 };
+
+// First and last date an entry can occur on, stored on schedule documents so queries can select the entries that
+// overlap a date window. The end of a counted series is its last occurrence; exception dates are ignored.
+export const getOccurrenceRange = (entry) => {
+    const rule = getRecurrenceRule(entry);
+    if (!rule.count) {
+        return { rangeStart: rule.startDate, rangeEnd: rule.endDate || OPEN_ENDED_RANGE_END };
+    }
+    // Occurrences are never further apart than the longest gap, so a count not reached by then never will be, and
+    // the scan can stop instead of walking to the year 9999
+    const startDayNumber = toDayNumber(rule.startDate);
+    const lastDayNumber = Math.min(
+        rule.endDate ? toDayNumber(rule.endDate) : toDayNumber(OPEN_ENDED_RANGE_END),
+        startDayNumber + (rule.count + 1) * rule.interval * (maxDaysBetweenOccurrences[rule.type] || 1)
+    );
+    let seen = 0;
+    for (let dayNumber = startDayNumber; dayNumber <= lastDayNumber; dayNumber++) {
+        const dateKey = fromDayNumber(dayNumber);
+        if (matchesPattern(rule, dateKey) && ++seen === rule.count) {
+            return { rangeStart: rule.startDate, rangeEnd: dateKey };
+        }
+    }
+    return { rangeStart: rule.startDate, rangeEnd: fromDayNumber(lastDayNumber) };
+};
+
+// Wall-clock times and instants of a single occurrence, taking a per-occurrence override into account.
+// Resolving each occurrence in the entry's zone keeps a 9:00 meeting at 9:00 across DST changes.
+const getOccurrenceTimes = (entry, dateKey) => {
+    const override = entry.occurrenceOverrides && entry.occurrenceOverrides[dateKey];
+    const { startTime, endTime } = override || entry;
+    const timeZone = entry.timeZone || 'UTC';
+    return {
+        startTime,
+        endTime,
+        startDateTimeUTC: zonedTimeToUtc(dateKey, startTime, timeZone).toISOString(),
+        endDateTimeUTC: zonedTimeToUtc(dateKey, endTime, timeZone).toISOString(),
+        isOverridden: !!override,
+    };
+};
+
+// Expand an entry into occurrence objects between two date keys (inclusive).
+// Each occurrence keeps the entry's fields and id, and adds its own date and times.
+export const expandOccurrences = (entry, fromKey, toKey) => {
+    return getOccurrenceDates(entry, fromKey, toKey).map(dateKey => ({
+        ...entry,
+        occurrenceDate: dateKey,
+        ...getOccurrenceTimes(entry, dateKey),
+    }));
+};
+
+// Check whether an entry has an occurrence on the given date key
+export const occursOn = (entry, dateKey) => getOccurrenceDates(entry, dateKey, dateKey).length > 0;
+
+// Group the occurrences of all entries by the date they start on in a viewing time zone.
+// Occurrence dates are in each entry's own zone, so one extra day is expanded on either side.
+export const groupOccurrencesByDate = (entries, fromKey, toKey, timeZone) => {
+    const groups = new Map();
+    entries
+        .flatMap(entry => expandOccurrences(entry, addDaysToKey(fromKey, -1), addDaysToKey(toKey, 1)))
+        .sort((a, b) => new Date(a.startDateTimeUTC) - new Date(b.startDateTimeUTC))
+        .forEach(occurrence => {
+            const dateKey = toZonedDateKey(occurrence.startDateTimeUTC, timeZone);
+            if (dateKey < fromKey || dateKey > toKey) return;
+            if (!groups.has(dateKey)) groups.set(dateKey, []);
+            groups.get(dateKey).push(occurrence);
+        });
+    return groups;
+};
+
+// Regroup already expanded occurrences by the date they start on in a viewing time zone, keeping their order
+export const groupOccurrencesByZonedDate = (occurrences, timeZone) => {
+    const groups = new Map();
+    occurrences.forEach(occurrence => {
+        const dateKey = toZonedDateKey(occurrence.startDateTimeUTC, timeZone);
+        if (!groups.has(dateKey)) groups.set(dateKey, []);
+        groups.get(dateKey).push(occurrence);
+    });
+    return groups;
+};
+
+// Occurrences of all entries starting on the given date in a viewing time zone, sorted by start time
+export const getEntriesForDate = (entries, dateKey, timeZone) => {
+    return groupOccurrencesByDate(entries, dateKey, dateKey, timeZone).get(dateKey) || [];
+};
+
+// Check whether an occurrence is the first remaining one of its series
+export const isFirstOccurrence = (entry, dateKey) => {
+    const rule = getRecurrenceRule(entry);
+    return getOccurrenceDates(entry, rule.startDate, addDaysToKey(dateKey, -1)).length === 0;
+};
+
+// Human-readable summary of an entry's recurrence, e.g. "Every 2 weeks on Mon, Thu"
+export const describeRecurrence = (entry) => {
+    const rule = getRecurrenceRule(entry);
+    const unit = { daily: 'day', weekly: 'week', monthly: 'month' }[rule.type];
+    if (!unit) return '';
+
+    const every = rule.interval === 1
+        ? { daily: 'Daily', weekly: 'Weekly', monthly: 'Monthly' }[rule.type]
+        : `Every ${rule.interval} ${unit}s`;
+
+    let summary = every;
+    if (rule.type === 'weekly') {
+        summary += ` on ${rule.days.map(d => weekdays[d].substring(0, 3)).join(', ')}`;
+    } else if (rule.type === 'monthly') {
+        if (rule.monthlyMode === 'nthWeekday') {
+            const nth = weekOfMonthOptions.find(option => option.value === rule.weekOfMonth);
+            summary += ` on the ${nth ? nth.label : rule.weekOfMonth} ${weekdays[rule.weekday]}`;
+        } else {
+            summary += ` on day ${rule.monthDay}`;
+        }
+    }
+    if (rule.count) {
+        summary += `, ${rule.count} time${rule.count === 1 ? '' : 's'}`;
+    }
+    return summary;
+};
@@ -0,0 +1,141 @@
+import { getOccurrenceDates, occursOn, groupOccurrencesByDate, getEntriesForDate, getOccurrenceRange, OPEN_ENDED_RANGE_END } from './recurrence';
+
+const oneTimeEntry = {
+    id: 'once',
+    date: '2025-03-12',
+    startTime: '09:00',
+    endTime: '10:00',
+    timeZone: 'UTC',
+    recurrenceType: 'none',
+};
+
+const weeklyEntry = {
+    id: 'weekly',
+    date: '2025-03-03',
+    startTime: '18:00',
+    endTime: '19:00',
+    timeZone: 'UTC',
+    recurrenceType: 'weekly',
+    recurrenceInterval: 1,
+    recurrenceDays: [1, 3], // Monday and Wednesday
+    recurrenceStartDate: '2025-03-03',
+};
+
+describe('getOccurrenceDates', () => {
+    test('returns the date of a one-time entry only when it is in range', () => {
+        expect(getOccurrenceDates(oneTimeEntry, '2025-03-01', '2025-03-31')).toEqual(['2025-03-12']);
+        expect(getOccurrenceDates(oneTimeEntry, '2025-03-13', '2025-03-31')).toEqual([]);
+    });
+
+    test('lists daily occurrences every interval days from the start date', () => {
+        const entry = { ...weeklyEntry, recurrenceType: 'daily', recurrenceInterval: 3, recurrenceDays: [] };
+        expect(getOccurrenceDates(entry, '2025-03-01', '2025-03-12')).toEqual(['2025-03-03', '2025-03-06', '2025-03-09', '2025-03-12']);
+    });
+
+    test('lists weekly occurrences on the chosen weekdays', () => {
+        expect(getOccurrenceDates(weeklyEntry, '2025-03-01', '2025-03-14')).toEqual(['2025-03-03', '2025-03-05', '2025-03-10', '2025-03-12']);
+    });
+
+    test('skips weeks between occurrences of a fortnightly entry', () => {
+        const entry = { ...weeklyEntry, recurrenceInterval: 2 };
+        expect(getOccurrenceDates(entry, '2025-03-01', '2025-03-21')).toEqual(['2025-03-03', '2025-03-05', '2025-03-17', '2025-03-19']);
+    });
+
+    test('skips months without the chosen day of the month', () => {
+        const entry = { ...oneTimeEntry, date: '2025-01-31', recurrenceType: 'monthly', recurrenceMonthlyMode: 'dayOfMonth', recurrenceStartDate: '2025-01-31' };
+        expect(getOccurrenceDates(entry, '2025-01-01', '2025-05-31')).toEqual(['2025-01-31', '2025-03-31', '2025-05-31']);
+    });
+
+    test('finds the nth weekday of each month', () => {
+        const entry = {
+            ...oneTimeEntry,
+            recurrenceType: 'monthly',
+            recurrenceMonthlyMode: 'nthWeekday',
+            recurrenceWeekOfMonth: -1, // Last
+            recurrenceWeekday: 5, // Friday
+            recurrenceStartDate: '2025-01-01',
+        };
+        expect(getOccurrenceDates(entry, '2025-01-01', '2025-03-31')).toEqual(['2025-01-31', '2025-02-28', '2025-03-28']);
+    });
+
+    test('leaves out exception dates', () => {
+        const entry = { ...weeklyEntry, exceptionDates: ['2025-03-05'] };
+        expect(getOccurrenceDates(entry, '2025-03-01', '2025-03-07')).toEqual(['2025-03-03']);
+    });
+
+    test('stops at the end date', () => {
+        const entry = { ...weeklyEntry, recurrenceEndDate: '2025-03-10' };
+        expect(getOccurrenceDates(entry, '2025-03-01', '2025-03-31')).toEqual(['2025-03-03', '2025-03-05', '2025-03-10']);
+    });
+
+    test('stops after the occurrence count, counting skipped occurrences', () => {
+        const entry = { ...weeklyEntry, recurrenceCount: 3, exceptionDates: ['2025-03-05'] };
+        expect(getOccurrenceDates(entry, '2025-03-01', '2025-03-31')).toEqual(['2025-03-03', '2025-03-10']);
+    });
+
+    test('applies the occurrence count from the first occurrence when the range starts later', () => {
+        const entry = { ...weeklyEntry, recurrenceCount: 3 };
+        expect(getOccurrenceDates(entry, '2025-03-08', '2025-03-31')).toEqual(['2025-03-10']);
+    });
+});
+
+describe('getOccurrenceRange', () => {
+    test('covers the single date of a one-time entry', () => {
+        expect(getOccurrenceRange(oneTimeEntry)).toEqual({ rangeStart: '2025-03-12', rangeEnd: '2025-03-12' });
+    });
+
+    test('keeps a series without an end open', () => {
+        expect(getOccurrenceRange(weeklyEntry)).toEqual({ rangeStart: '2025-03-03', rangeEnd: OPEN_ENDED_RANGE_END });
+    });
+
+    test('ends at the end date', () => {
+        expect(getOccurrenceRange({ ...weeklyEntry, recurrenceEndDate: '2025-06-30' })).toEqual({ rangeStart: '2025-03-03', rangeEnd: '2025-06-30' });
+    });
+
+    test('stops looking for a count that is never reached', () => {
+        const entry = { ...weeklyEntry, recurrenceDays: [], recurrenceCount: 5 };
+        const { rangeEnd } = getOccurrenceRange(entry);
+        expect(rangeEnd < OPEN_ENDED_RANGE_END).toBe(true);
+        expect(getOccurrenceDates(entry, '2025-03-03', rangeEnd)).toEqual([]);
+    });
+
+    test('finds the last occurrence of a counted series on the 29th of February', () => {
+        const entry = { ...oneTimeEntry, date: '2024-02-29', recurrenceType: 'monthly', recurrenceMonthlyMode: 'dayOfMonth', recurrenceStartDate: '2024-02-29', recurrenceInterval: 12, recurrenceCount: 2 };
+        expect(getOccurrenceRange(entry)).toEqual({ rangeStart: '2024-02-29', rangeEnd: '2028-02-29' });
+    });
+
+    test('ends at the last occurrence of a counted series, even when it is skipped', () => {
+        const entry = { ...weeklyEntry, recurrenceCount: 5, exceptionDates: ['2025-03-17'] };
+        expect(getOccurrenceRange(entry)).toEqual({ rangeStart: '2025-03-03', rangeEnd: '2025-03-17' });
+    });
+});
+
+describe('occursOn', () => {
+    test('checks a single date against the recurrence pattern', () => {
+        expect(occursOn(weeklyEntry, '2025-03-10')).toBe(true);
+        expect(occursOn(weeklyEntry, '2025-03-11')).toBe(false);
+        expect(occursOn(weeklyEntry, '2025-02-24')).toBe(false); // Before the series starts
+    });
+});
+
+describe('groupOccurrencesByDate', () => {
+    test('groups occurrences by date, sorted by start time', () => {
+        const groups = groupOccurrencesByDate([weeklyEntry, { ...oneTimeEntry, date: '2025-03-05' }], '2025-03-03', '2025-03-05', 'UTC');
+        expect([...groups.keys()]).toEqual(['2025-03-03', '2025-03-05']);
+        expect(groups.get('2025-03-05').map(occurrence => occurrence.id)).toEqual(['once', 'weekly']);
+    });
+
+    test('uses the viewing time zone to pick the day an occurrence falls on', () => {
+        const lateEntry = { ...oneTimeEntry, startTime: '23:30', endTime: '23:45', timeZone: 'America/New_York' };
+        const groups = groupOccurrencesByDate([lateEntry], '2025-03-12', '2025-03-13', 'Europe/London');
+        expect([...groups.keys()]).toEqual(['2025-03-13']);
+        expect(groups.get('2025-03-13')[0].startDateTimeUTC).toBe('2025-03-13T03:30:00.000Z');
+    });
+
+    test('applies per-occurrence overrides', () => {
+        const entry = { ...weeklyEntry, occurrenceOverrides: { '2025-03-05': { startTime: '07:00', endTime: '08:00' } } };
+        const [occurrence] = getEntriesForDate([entry], '2025-03-05', 'UTC');
+        expect(occurrence.startTime).toBe('07:00');
+        expect(occurrence.isOverridden).toBe(true);
+    });
+});
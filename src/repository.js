@@ -0,0 +1,41 @@
+// Data access goes through a repository, so components never build Firestore paths themselves and tests can run
+// against an in-memory store. createFirestoreRepository and createMemoryRepository return the same shape:
+//
+//   profiles:           get(userId), set(userId, data), update(userId, changes), remove(userId)
+//   activities:         subscribe(userId, onChange, onError), list(userId), add(userId, data), newId(userId),
+//                       set(userId, id, data), update(userId, id, changes), remove(userId, id), removeMany(userId, ids, onProgress)
+//   schedules:          subscribe(userId, onChange, onError), subscribeInRange(userId, fromKey, toKey, onChange, onError),
+//                       list(userId), listInRange(userId, fromKey, toKey), listByActivity(userId, activityId),
+//                       add(userId, data), newId(userId), set(userId, id, data), update(userId, id, changes), remove(userId, id),
+//                       updateMany(userId, ids, changes, onProgress), removeMany(userId, ids, onProgress),
+//                       updateEach(userId, updates, profileChanges, onProgress)
+//   bookingRequests:    subscribe(ownerId, onChange, onError), list(ownerId), add(ownerId, data), newId(ownerId),
+//                       set(ownerId, id, data), update(ownerId, id, changes), remove(ownerId, id), removeMany(ownerId, ids, onProgress),
+//                       addWithHold(ownerId, data)
+//   slotHolds:          the same methods as activities
+//   shareLinks:         get(token), subscribeByOwner(ownerId, onChange, onError), listByOwner(ownerId), create(token, data),
+//                       update(token, changes), remove(token)
+//   publishedSchedules: get(token), subscribe(token, onChange, onError), set(token, data), remove(token)
+//
+// Lists are passed to onChange as [{ id, ...data }], followed by the paths of the listed documents with local changes
+// the server has not confirmed yet (the collection's path when only removals are waiting); single documents are
+// returned as data, or null when missing.
+// Writes return promises, which settle once the write is stored. Firestore applies a write locally as soon as it is made,
+// so its promise can take until the connection is back; newId gives the ID of a document before set writes it, for
+// writes that refer to each other. updateMany and removeMany resolve to { succeeded, failed } counts, calling
+// onProgress(done, total) as they go; so does updateEach, which applies [{ id, changes }] to entries and profileChanges
+// to the profile, in the same batch as the last entries.
+// addWithHold adds a booking request together with its slot hold (see bookingRequests.js) and rejects when the start
+// time is already held.
+// The InRange methods select the schedule entries whose rangeStart/rangeEnd overlap fromKey..toKey (date keys,
+// inclusive); entries without range bounds are never selected.
+// Keys in changes may be dotted paths into nested maps, and values may be the markers below.
+
+// Marker value that removes a field
+export const removeField = () => ({ __change: 'remove' });
+
+// Marker value that adds values to an array field, skipping values it already holds
+export const addToArray = (...values) => ({ __change: 'addToArray', values });
+
+// Whether a value is one of the change markers
+export const isChangeMarker = (value) => !!value && typeof value === 'object' && typeof value.__change === 'string';
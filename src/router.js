@@ -0,0 +1,86 @@
+// Routes of the single-page app. The path always reflects what is shown, so a view can be bookmarked, survives a
+// reload and the browser's back and forward buttons move between views; vercel.json sends every path to index.html.
+//
+//   /{view}/{YYYY-MM-DD}              the user's calendar in the month, week or day view, with that date selected
+//   /{view}/{YYYY-MM}                 the same with the first of the month selected
+//   /settings                         the settings screen
+//   /share?token=...&date=...&view=   a shared schedule
+//   /group?tokens=a,b,c               several shared schedules side by side
+//
+// Any other path, like /, shows the month view of today.
+
+import { useEffect, useRef } from 'react';
+import { toDateKey, parseDateKey } from './recurrence';
+import { calendarViews } from './CalendarViewToggle';
+
+export const SETTINGS_PATH = '/settings';
+
+// A YYYY-MM-DD key for a date that exists, or null
+const toValidDateKey = (value) => {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return null;
+    return toDateKey(parseDateKey(value)) === value ? value : null;
+};
+
+// Read the route from a location; returns { name: 'calendar', view, dateKey }, { name: 'settings' },
+// { name: 'share', token, dateKey, view } or { name: 'group', tokens }. Share routes leave view checks to the share page,
+// which offers more views than the calendar.
+export const parseRoute = (location = window.location) => {
+    const segments = location.pathname.split('/').filter(Boolean);
+    const params = new URLSearchParams(location.search);
+
+    if (segments[0] === 'share') {
+        return { name: 'share', token: params.get('token'), dateKey: toValidDateKey(params.get('date')), view: params.get('view') };
+    }
+    if (segments[0] === 'group') {
+        const tokens = (params.get('tokens') || '').split(',').filter(Boolean);
+        return { name: 'group', tokens: [...new Set(tokens)] };
+    }
+    if (segments[0] === 'settings') return { name: 'settings' };
+
+    const [view, dateSegment] = segments;
+    if (segments.length === 2 && calendarViews.includes(view)) {
+        const dateKey = toValidDateKey(/^\d{4}-\d{2}$/.test(dateSegment) ? `${dateSegment}-01` : dateSegment);
+        if (dateKey) return { name: 'calendar', view, dateKey };
+    }
+    return { name: 'calendar', view: 'month', dateKey: toDateKey(new Date()) };
+};
+
+export const getCalendarPath = (view, dateKey) => `/${view}/${dateKey}`;
+
+export const getSharePath = (token, dateKey, view) =>
+    `/share?${new URLSearchParams({ token, date: dateKey, view })}`;
+
+// Tokens are kept readable, separated by commas
+export const getGroupPath = (tokens) =>
+    tokens.length > 0 ? `/group?tokens=${tokens.map(encodeURIComponent).join(',')}` : '/group';
+
+// Add a history entry for path, or replace the current one; nothing happens when the path is already shown
+export const navigate = (path, { replace = false } = {}) => {
+    if (path === window.location.pathname + window.location.search) return;
+    if (replace) {
+        window.history.replaceState(null, '', path);
+    } else {
+        window.history.pushState(null, '', path);
+    }
+};
+
+// Keep the address bar at path, the route of what the component shows, and call applyRoute(route) when the back or
+// forward button moves to another entry. The first path replaces the address the page was opened with, so that it
+// does not leave an extra entry behind; pass null while there is nothing to show yet.
+export const useRouteSync = (path, applyRoute) => {
+    const applyRouteRef = useRef(applyRoute);
+    applyRouteRef.current = applyRoute;
+    const isFirstPathRef = useRef(true);
+
+    useEffect(() => {
+        if (path === null) return;
+        navigate(path, { replace: isFirstPathRef.current });
+        isFirstPathRef.current = false;
+    }, [path]);
+
+    useEffect(() => {
+        const handlePopState = () => applyRouteRef.current(parseRoute());
+        window.addEventListener('popstate', handlePopState);
+        return () => window.removeEventListener('popstate', handlePopState);
+    }, []);
+};
@@ -0,0 +1,63 @@
+import fs from 'fs';
+import path from 'path';
+import { parseRoute, getCalendarPath, getSharePath, getGroupPath } from './router';
+import { toDateKey } from './recurrence';
+
+const at = (pathname, search = '') => ({ pathname, search });
+
+describe('parseRoute', () => {
+    test('reads the calendar view and selected date', () => {
+        expect(parseRoute(at('/day/2026-11-03'))).toEqual({ name: 'calendar', view: 'day', dateKey: '2026-11-03' });
+        expect(parseRoute(at('/week/2026-11-03/'))).toEqual({ name: 'calendar', view: 'week', dateKey: '2026-11-03' });
+    });
+
+    test('selects the first of the month for a month path', () => {
+        expect(parseRoute(at('/month/2026-11'))).toEqual({ name: 'calendar', view: 'month', dateKey: '2026-11-01' });
+    });
+
+    test('falls back to the month view of today for other paths', () => {
+        const today = { name: 'calendar', view: 'month', dateKey: toDateKey(new Date()) };
+        expect(parseRoute(at('/'))).toEqual(today);
+        expect(parseRoute(at('/day/2026-02-30'))).toEqual(today);
+        expect(parseRoute(at('/year/2026-11-03'))).toEqual(today);
+    });
+
+    test('recognises settings, group and share pages', () => {
+        expect(parseRoute(at('/settings'))).toEqual({ name: 'settings' });
+        expect(parseRoute(at('/group', '?tokens=a,b,,a'))).toEqual({ name: 'group', tokens: ['a', 'b'] });
+        expect(parseRoute(at('/group'))).toEqual({ name: 'group', tokens: [] });
+        expect(parseRoute(at('/share', '?token=abc&date=2026-11-03&view=agenda')))
+            .toEqual({ name: 'share', token: 'abc', dateKey: '2026-11-03', view: 'agenda' });
+        expect(parseRoute(at('/share', '?token=abc&date=soon'))).toEqual({ name: 'share', token: 'abc', dateKey: null, view: null });
+    });
+});
+
+describe('paths', () => {
+    test('round-trip through parseRoute', () => {
+        expect(parseRoute(at(getCalendarPath('week', '2026-11-03')))).toEqual({ name: 'calendar', view: 'week', dateKey: '2026-11-03' });
+
+        const [pathname, search] = getSharePath('a b', '2026-11-03', 'day').split('?');
+        expect(parseRoute(at(pathname, `?${search}`))).toEqual({ name: 'share', token: 'a b', dateKey: '2026-11-03', view: 'day' });
+
+        expect(getGroupPath(['a', 'b'])).toBe('/group?tokens=a,b');
+        expect(getGroupPath([])).toBe('/group');
+        const [groupPathname, groupSearch] = getGroupPath(['a&b', 'c']).split('?');
+        expect(parseRoute(at(groupPathname, `?${groupSearch}`))).toEqual({ name: 'group', tokens: ['a&b', 'c'] });
+    });
+});
+
+describe('index.html', () => {
+    // Reloading a deep link serves index.html at that path, so local scripts and assets must not be relative to it
+    test('loads the same files when reloaded on a deep link', () => {
+        const html = fs.readFileSync(path.join(__dirname, '../public/index.html'), 'utf8');
+        const references = [
+            ...[...html.matchAll(/\bfrom\s+['"]([^'"]+)['"]/g)].map(match => match[1]),
+            ...[...html.matchAll(/\b(?:src|href)=['"]([^'"]+)['"]/g)].map(match => match[1]),
+        ].filter(reference => !/^[a-z]+:/i.test(reference) && !/^[\w@][^/:]*(\/|$)/.test(reference)); // Skip URLs and bare package names
+        expect(references).toContain('/src/App.js');
+        references.forEach(reference => {
+            expect(new URL(reference, `https://example.com${getCalendarPath('day', '2026-11-03')}`).pathname)
+                .toBe(new URL(reference, 'https://example.com/').pathname);
+        });
+    });
+});
@@ -0,0 +1,186 @@
+// Schedule entry form helpers shared by adding and editing entries.
+// The form is a plain object with the same shape as the schedule form state in App.
+
+import { toDateKey, getOccurrenceRange, occursOn } from './recurrence';
+import { toZonedDateKey, toZonedTime } from './timeZone';
+import { removeField } from './repository';
+
+// Version 2 documents store wall-clock times plus an IANA zone instead of fixed UTC instants.
+// Version 3 adds rangeStart/rangeEnd, the first and last date the entry can occur on, for date-window queries.
+export const SCHEDULE_SCHEMA_VERSION = 3;
+
+// Default values for an empty schedule form
+export const getDefaultScheduleForm = () => ({
+    date: toDateKey(new Date()),
+    startTime: '09:00',
+    endTime: '10:00',
+    activityId: '',
+    recurrenceType: 'none',
+    recurrenceInterval: 1,
+    recurrenceDays: [],
+    recurrenceMonthlyMode: 'dayOfMonth',
+    recurrenceWeekOfMonth: 1,
+    recurrenceWeekday: 0,
+    recurrenceStartDate: toDateKey(new Date()),
+    recurrenceEndMode: 'never',
+    recurrenceEndDate: '',
+    recurrenceCount: 10,
+});
+
+const isPositiveInteger = (value) => Number.isInteger(Number(value)) && Number(value) >= 1;
+
+// Validate a schedule form; returns an error message, or null when the form is valid
+export const validateScheduleForm = (form, activityItems) => {
+    if (!form.date || !form.activityId || !form.startTime || !form.endTime) {
+        return "Please select a date, activity, start time, and end time.";
+    }
+
+    // Both times are 'HH:MM' on the same day, so they compare correctly as strings
+    if (form.startTime >= form.endTime) {
+        return "End time must be after start time.";
+    }
+
+    if (form.recurrenceType !== 'none') {
+        if (!form.recurrenceStartDate) {
+            return "Please provide a start date for the repeating schedule.";
+        }
+        if (!isPositiveInteger(form.recurrenceInterval)) {
+            return "Repeat interval must be a whole number of at least 1.";
+        }
+        if (form.recurrenceEndMode === 'onDate' && !form.recurrenceEndDate) {
+            return "Please provide an end date for the repeating schedule.";
+        }
+        if (form.recurrenceEndMode === 'onDate' && form.recurrenceStartDate > form.recurrenceEndDate) {
+            return "Recurrence end date cannot be before start date.";
+        }
+        if (form.recurrenceEndMode === 'afterCount' && !isPositiveInteger(form.recurrenceCount)) {
+            return "Number of occurrences must be a whole number of at least 1.";
+        }
+        if (form.recurrenceType === 'weekly' && form.recurrenceDays.length === 0) {
+            return "Please select at least one day for weekly recurrence.";
+        }
+    }
+
+    if (!activityItems.find(item => item.id === form.activityId)) {
+        return "Selected activity not found.";
+    }
+    return null;
+};
+
+// Build the schedule document fields for a validated form; times are wall-clock times in timeZone
+export const buildScheduleFields = (form, activity, timeZone) => {
+    const isRecurring = form.recurrenceType !== 'none';
+    const isMonthly = form.recurrenceType === 'monthly';
+
+    const fields = {
+        date: form.date, // Store YYYY-MM-DD for one-time events
+        startTime: form.startTime, // Wall-clock 'HH:MM' in timeZone
+        endTime: form.endTime,
+        timeZone: timeZone, // IANA zone the times are expressed in
+        schemaVersion: SCHEDULE_SCHEMA_VERSION,
+        activityId: activity.id,
+        activityName: activity.name,
+        activityColor: activity.color,
+        recurrenceType: form.recurrenceType,
+        recurrenceInterval: isRecurring ? Number(form.recurrenceInterval) : 1,
+        recurrenceDays: form.recurrenceType === 'weekly' ? form.recurrenceDays : [], // Store only for weekly
+        recurrenceMonthlyMode: isMonthly ? form.recurrenceMonthlyMode : null,
+        recurrenceMonthDay: isMonthly && form.recurrenceMonthlyMode === 'dayOfMonth' ? Number(form.recurrenceStartDate.split('-')[2]) : null,
+        recurrenceWeekOfMonth: isMonthly && form.recurrenceMonthlyMode === 'nthWeekday' ? Number(form.recurrenceWeekOfMonth) : null,
+        recurrenceWeekday: isMonthly && form.recurrenceMonthlyMode === 'nthWeekday' ? Number(form.recurrenceWeekday) : null,
+        recurrenceStartDate: isRecurring ? form.recurrenceStartDate : null,
+        recurrenceEndDate: isRecurring && form.recurrenceEndMode === 'onDate' ? form.recurrenceEndDate : null,
+        recurrenceCount: isRecurring && form.recurrenceEndMode === 'afterCount' ? Number(form.recurrenceCount) : null,
+    };
+    return { ...fields, ...getOccurrenceRange(fields) };
+};
+
+// Validate the form of a new entry and build its document; returns { error } when the form is invalid, otherwise { fields }
+export const buildNewScheduleEntry = (form, activityItems, timeZone, userId) => {
+    const error = validateScheduleForm(form, activityItems);
+    if (error) return { error };
+    const activity = activityItems.find(item => item.id === form.activityId);
+    return {
+        fields: {
+            ...buildScheduleFields(form, activity, timeZone),
+            userId: userId,
+            createdAt: new Date().toISOString()
+        }
+    };
+};
+
+// Skipped dates and per-occurrence changes of an entry that still fall on one of its occurrences once the edited fields
+// are applied. The others would stay attached to dates the entry no longer occurs on, so they are dropped.
+// Returns { exceptionDates, occurrenceOverrides } to store along with the fields.
+export const getKeptOccurrenceChanges = (entry, fields) => {
+    // Skipped dates still count towards an occurrence count, so they are checked against the pattern without them
+    const pattern = { ...entry, ...fields, exceptionDates: [] };
+    return {
+        exceptionDates: (entry.exceptionDates || []).filter(dateKey => occursOn(pattern, dateKey)),
+        occurrenceOverrides: Object.fromEntries(
+            Object.entries(entry.occurrenceOverrides || {}).filter(([dateKey]) => occursOn(pattern, dateKey))
+        ),
+    };
+};
+
+// Load a stored schedule entry back into form values for editing
+export const getScheduleFormFromEntry = (entry) => {
+    const defaults = getDefaultScheduleForm();
+
+    return {
+        ...defaults,
+        date: entry.date,
+        startTime: entry.startTime,
+        endTime: entry.endTime,
+        activityId: entry.activityId,
+        recurrenceType: entry.recurrenceType || 'none',
+        recurrenceInterval: entry.recurrenceInterval || 1,
+        recurrenceDays: entry.recurrenceDays || [],
+        recurrenceMonthlyMode: entry.recurrenceMonthlyMode || defaults.recurrenceMonthlyMode,
+        recurrenceWeekOfMonth: entry.recurrenceWeekOfMonth || defaults.recurrenceWeekOfMonth,
+        recurrenceWeekday: entry.recurrenceWeekday ?? defaults.recurrenceWeekday,
+        recurrenceStartDate: entry.recurrenceStartDate || entry.date,
+        recurrenceEndMode: entry.recurrenceCount ? 'afterCount' : entry.recurrenceEndDate ? 'onDate' : 'never',
+        recurrenceEndDate: entry.recurrenceEndDate || '',
+        recurrenceCount: entry.recurrenceCount || defaults.recurrenceCount,
+    };
+};
+
+// Entries written before version 2 only have UTC instants, built in the browser's zone at the time
+export const isLegacyScheduleEntry = (entry) => !entry.startTime;
+
+// Changes that bring an older entry up to the current version. Legacy entries are converted to wall-clock times
+// in the given zone (normally the owner's profile zone).
+export const getScheduleMigration = (entry, timeZone) => {
+    const wallClock = isLegacyScheduleEntry(entry) ? {
+        date: toZonedDateKey(entry.startDateTimeUTC, timeZone),
+        startTime: toZonedTime(entry.startDateTimeUTC, timeZone),
+        endTime: toZonedTime(entry.endDateTimeUTC, timeZone),
+        timeZone: timeZone,
+        startDateTimeUTC: removeField(),
+        endDateTimeUTC: removeField(),
+    } : {};
+    return {
+        ...wallClock,
+        ...getOccurrenceRange({ ...entry, ...wallClock }),
+        schemaVersion: SCHEDULE_SCHEMA_VERSION,
+    };
+};
+
+// Migrate every entry of a user written before the current version, recording the version on the profile in the same
+// batch so this only runs once. Entries without range bounds are invisible to date-window queries until they are
+// migrated; the writes reach the local cache at once, so they show straight away even while offline.
+// Resolves to { count, written } once the entries are read; written settles when the server has the writes, and
+// rejects if some of them failed.
+export const migrateScheduleEntries = async (repository, userId, timeZone) => {
+    const entries = await repository.schedules.list(userId);
+    const outdated = entries.filter(entry => (entry.schemaVersion || 1) < SCHEDULE_SCHEMA_VERSION);
+    const written = repository.schedules.updateEach(
+        userId,
+        outdated.map(entry => ({ id: entry.id, changes: getScheduleMigration(entry, timeZone) })),
+        { scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION }
+    ).then(({ failed }) => {
+        if (failed > 0) throw new Error(`${failed} schedule entries could not be migrated`);
+    });
+    return { count: outdated.length, written };
+};
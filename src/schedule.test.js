@@ -0,0 +1,172 @@
+import { getDefaultScheduleForm, buildNewScheduleEntry, buildScheduleFields, getKeptOccurrenceChanges, migrateScheduleEntries, SCHEDULE_SCHEMA_VERSION } from './schedule';
+import { createMemoryRepository } from './memoryRepository';
+
+const activityItems = [{ id: 'a1', name: 'Gym', color: '#10b981' }];
+
+const form = (changes = {}) => ({ ...getDefaultScheduleForm(), date: '2025-03-12', activityId: 'a1', ...changes });
+
+// The validation handleAddScheduleEntry runs before writing a new entry
+describe('buildNewScheduleEntry', () => {
+    test.each([
+        [{ activityId: '' }, "Please select a date, activity, start time, and end time."],
+        [{ startTime: '' }, "Please select a date, activity, start time, and end time."],
+        [{ startTime: '10:00', endTime: '10:00' }, "End time must be after start time."],
+        [{ startTime: '11:00', endTime: '10:00' }, "End time must be after start time."],
+        [{ activityId: 'missing' }, "Selected activity not found."],
+        [{ recurrenceType: 'daily', recurrenceInterval: 0 }, "Repeat interval must be a whole number of at least 1."],
+        [{ recurrenceType: 'daily', recurrenceStartDate: '' }, "Please provide a start date for the repeating schedule."],
+        [{ recurrenceType: 'daily', recurrenceEndMode: 'onDate', recurrenceEndDate: '' }, "Please provide an end date for the repeating schedule."],
+        [{ recurrenceType: 'daily', recurrenceStartDate: '2025-03-12', recurrenceEndMode: 'onDate', recurrenceEndDate: '2025-03-01' }, "Recurrence end date cannot be before start date."],
+        [{ recurrenceType: 'daily', recurrenceEndMode: 'afterCount', recurrenceCount: 'x' }, "Number of occurrences must be a whole number of at least 1."],
+        [{ recurrenceType: 'weekly', recurrenceDays: [] }, "Please select at least one day for weekly recurrence."],
+    ])('rejects %o', (changes, message) => {
+        expect(buildNewScheduleEntry(form(changes), activityItems, 'UTC', 'u1')).toEqual({ error: message });
+    });
+
+    test('builds the document for a valid one-time entry', () => {
+        const { error, fields } = buildNewScheduleEntry(form({ startTime: '09:30', endTime: '11:00' }), activityItems, 'Europe/Paris', 'u1');
+        expect(error).toBeUndefined();
+        expect(fields).toMatchObject({
+            date: '2025-03-12',
+            startTime: '09:30',
+            endTime: '11:00',
+            timeZone: 'Europe/Paris',
+            schemaVersion: SCHEDULE_SCHEMA_VERSION,
+            activityId: 'a1',
+            activityName: 'Gym',
+            activityColor: '#10b981',
+            recurrenceType: 'none',
+            recurrenceStartDate: null,
+            rangeStart: '2025-03-12',
+            rangeEnd: '2025-03-12',
+            userId: 'u1',
+        });
+        expect(typeof fields.createdAt).toBe('string');
+    });
+
+    test('keeps only the recurrence fields of the chosen pattern', () => {
+        const { fields } = buildNewScheduleEntry(
+            form({ recurrenceType: 'weekly', recurrenceDays: [1, 3], recurrenceStartDate: '2025-03-03', recurrenceEndMode: 'afterCount', recurrenceCount: '4' }),
+            activityItems,
+            'UTC',
+            'u1'
+        );
+        expect(fields).toMatchObject({ recurrenceDays: [1, 3], recurrenceCount: 4, recurrenceEndDate: null, recurrenceMonthlyMode: null });
+    });
+
+    test('produces an entry that can be stored and read back', async () => {
+        const repository = createMemoryRepository({ 'users/u1/activityItems': { a1: activityItems[0] } });
+        const onChange = jest.fn();
+        repository.schedules.subscribe('u1', onChange);
+
+        const { fields } = buildNewScheduleEntry(form(), activityItems, 'UTC', 'u1');
+        const id = await repository.schedules.add('u1', fields);
+
+        expect(onChange).toHaveBeenLastCalledWith([{ id, ...fields }], []);
+    });
+});
+
+// What handleUpdateScheduleEntry keeps of a series' skipped and moved occurrences
+describe('getKeptOccurrenceChanges', () => {
+    const weeklyForm = form({ recurrenceType: 'weekly', recurrenceDays: [1, 3], recurrenceStartDate: '2025-03-03' }); // Monday and Wednesday
+    const series = {
+        ...buildScheduleFields(weeklyForm, activityItems[0], 'UTC'),
+        exceptionDates: ['2025-03-03', '2025-03-05'],
+        occurrenceOverrides: { '2025-03-10': { startTime: '07:00', endTime: '08:00' }, '2025-03-12': { startTime: '07:00', endTime: '08:00' } },
+    };
+
+    test('keeps them while the pattern still has those dates', () => {
+        const fields = buildScheduleFields({ ...weeklyForm, startTime: '10:00', endTime: '11:00' }, activityItems[0], 'UTC');
+        expect(getKeptOccurrenceChanges(series, fields)).toEqual({
+            exceptionDates: series.exceptionDates,
+            occurrenceOverrides: series.occurrenceOverrides,
+        });
+    });
+
+    test('drops the dates the edited pattern no longer occurs on', () => {
+        const fields = buildScheduleFields({ ...weeklyForm, recurrenceDays: [1] }, activityItems[0], 'UTC'); // Mondays only
+        expect(getKeptOccurrenceChanges(series, fields)).toEqual({
+            exceptionDates: ['2025-03-03'],
+            occurrenceOverrides: { '2025-03-10': series.occurrenceOverrides['2025-03-10'] },
+        });
+    });
+
+    test('drops everything when the series becomes a one-time entry on another date', () => {
+        const fields = buildScheduleFields(form({ date: '2025-03-20' }), activityItems[0], 'UTC');
+        expect(getKeptOccurrenceChanges(series, fields)).toEqual({ exceptionDates: [], occurrenceOverrides: {} });
+    });
+});
+
+describe('migrateScheduleEntries', () => {
+    const legacyEntry = {
+        startDateTimeUTC: '2025-03-12T08:00:00.000Z',
+        endDateTimeUTC: '2025-03-12T09:30:00.000Z',
+        activityId: 'a1',
+        recurrenceType: 'none',
+    };
+    const versionTwoEntry = {
+        date: '2025-03-03',
+        startTime: '18:00',
+        endTime: '19:00',
+        timeZone: 'UTC',
+        schemaVersion: 2,
+        recurrenceType: 'daily',
+        recurrenceInterval: 1,
+        recurrenceStartDate: '2025-03-03',
+        recurrenceCount: 3,
+    };
+
+    test('adds range bounds, converts legacy entries and records the version on the profile', async () => {
+        const repository = createMemoryRepository({
+            'users/u1/profile': { userProfile: { displayName: 'Sam', timeZone: 'Europe/Berlin' } },
+            'users/u1/schedules': { legacy: legacyEntry, v2: versionTwoEntry },
+        });
+        const onChange = jest.fn();
+        repository.schedules.subscribeInRange('u1', '2025-03-01', '2025-03-31', onChange);
+        expect(onChange).toHaveBeenLastCalledWith([], []);
+
+        const { count, written } = await migrateScheduleEntries(repository, 'u1', 'Europe/Berlin');
+        expect(count).toBe(2);
+        await written;
+
+        const [legacy, v2] = onChange.mock.calls[onChange.mock.calls.length - 1][0];
+        expect(legacy).toEqual({
+            id: 'legacy',
+            activityId: 'a1',
+            recurrenceType: 'none',
+            date: '2025-03-12',
+            startTime: '09:00',
+            endTime: '10:30',
+            timeZone: 'Europe/Berlin',
+            rangeStart: '2025-03-12',
+            rangeEnd: '2025-03-12',
+            schemaVersion: SCHEDULE_SCHEMA_VERSION,
+        });
+        expect(v2).toMatchObject({ id: 'v2', startTime: '18:00', rangeStart: '2025-03-03', rangeEnd: '2025-03-05', schemaVersion: SCHEDULE_SCHEMA_VERSION });
+        expect(await repository.profiles.get('u1')).toMatchObject({ scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION });
+    });
+
+    test('leaves current entries alone', async () => {
+        const { fields } = buildNewScheduleEntry(form(), activityItems, 'UTC', 'u1');
+        const repository = createMemoryRepository({
+            'users/u1/profile': { userProfile: {} },
+            'users/u1/schedules': { current: fields },
+        });
+        const updateEach = jest.spyOn(repository.schedules, 'updateEach');
+        const { count, written } = await migrateScheduleEntries(repository, 'u1', 'UTC');
+        await written;
+        expect(count).toBe(0);
+        expect(updateEach).toHaveBeenCalledWith('u1', [], { scheduleSchemaVersion: SCHEDULE_SCHEMA_VERSION });
+        expect(await repository.schedules.list('u1')).toEqual([{ id: 'current', ...fields }]);
+    });
+
+    test('reports entries that could not be migrated', async () => {
+        const repository = createMemoryRepository({
+            'users/u1/profile': { userProfile: {} },
+            'users/u1/schedules': { legacy: legacyEntry },
+        });
+        jest.spyOn(repository.schedules, 'updateEach').mockResolvedValue({ succeeded: 1, failed: 1 });
+        const { written } = await migrateScheduleEntries(repository, 'u1', 'UTC');
+        await expect(written).rejects.toThrow('1 schedule entries could not be migrated');
+    });
+});
@@ -0,0 +1,57 @@
+// Date windows of schedule entries the owner's app listens to. Instead of the whole collection, App reads the entries
+// that can overlap the month on screen, and those within the ranges its share links publish. Occurrence dates are in
+// each entry's own zone, so windows reach at least one day past the dates they serve.
+
+import { useState, useEffect } from 'react';
+import { toDateKey, addDaysToKey } from './recurrence';
+import { isPublishable } from './sharePublishing';
+
+// The week view can show up to six days of a neighbouring month, and the free-slot list looks up to 30 days past
+// the selected date
+const MONTH_WINDOW_DAYS_BEFORE = 7;
+const MONTH_WINDOW_DAYS_AFTER = 31;
+
+// Window for the month shown in the calendar; it only changes when the month does, not when another date is selected
+export const getMonthWindow = (month) => ({
+    fromKey: addDaysToKey(toDateKey(new Date(month.getFullYear(), month.getMonth(), 1)), -MONTH_WINDOW_DAYS_BEFORE),
+    toKey: addDaysToKey(toDateKey(new Date(month.getFullYear(), month.getMonth() + 1, 0)), MONTH_WINDOW_DAYS_AFTER),
+});
+
+// Window covering the ranges of all publishable share links, or null when there are none
+export const getShareLinksWindow = (links) => {
+    const publishable = links.filter(isPublishable);
+    if (publishable.length === 0) return null;
+    return {
+        fromKey: addDaysToKey(publishable.map(link => link.rangeStart).sort()[0], -1),
+        toKey: addDaysToKey(publishable.map(link => link.rangeEnd).sort().pop(), 1),
+    };
+};
+
+// Keep the schedule entries overlapping a window live. A new listener is only set up when the window's dates change;
+// until its first snapshot arrives the previous window's entries are kept and loaded is false. onPendingWrites, when
+// given, receives the paths of the window's entries with changes not yet confirmed by the server.
+export const useScheduleEntriesInWindow = (repository, userId, dateWindow, onError, onPendingWrites = () => {}) => {
+    const [snapshot, setSnapshot] = useState({ windowKey: null, entries: [] });
+    const windowKey = dateWindow ? `${dateWindow.fromKey}..${dateWindow.toKey}` : null;
+
+    useEffect(() => {
+        if (!repository || !userId || !windowKey) return;
+        const [fromKey, toKey] = windowKey.split('..');
+        const unsubscribe = repository.schedules.subscribeInRange(
+            userId,
+            fromKey,
+            toKey,
+            (entries, pendingWrites) => {
+                setSnapshot({ windowKey, entries });
+                onPendingWrites(pendingWrites);
+            },
+            onError
+        );
+        return () => {
+            unsubscribe();
+            onPendingWrites([]);
+        };
+    }, [repository, userId, windowKey]);
+
+    return { entries: snapshot.entries, loaded: !windowKey || snapshot.windowKey === windowKey };
+};
@@ -0,0 +1,176 @@
+// Share links are documents at artifacts/{appId}/shareLinks/{token}. The token is random and says nothing about the owner;
+// a link only shows its allowed date range and stops working once it expires or is revoked.
+
+import { toDateKey, parseDateKey, addDaysToKey, getWeekDateKeys } from './recurrence';
+import { zonedTimeToUtc } from './timeZone';
+
+const TOKEN_BYTES = 18; // 144 random bits, 24 characters once encoded
+
+// Random URL-safe token used as the share link's document ID
+export const generateShareToken = () => {
+    const bytes = new Uint8Array(TOKEN_BYTES);
+    window.crypto.getRandomValues(bytes);
+    return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_');
+};
+
+// Public URL of a share link
+export const getShareUrl = (token) => `${window.location.origin}/share?token=${encodeURIComponent(token)}`;
+
+// Ranges offered by the share form; all but 'custom' are relative to the date selected in the calendar
+export const shareRangePresets = [
+    { value: 'day', label: 'Selected day' },
+    { value: 'week', label: 'Week of selected day' },
+    { value: 'twoWeeks', label: 'Two weeks from selected day' },
+    { value: 'month', label: 'Month of selected day' },
+    { value: 'custom', label: 'Custom range' },
+];
+
+// Start and end date keys of a range preset
+export const getShareRangeForPreset = (preset, dateKey) => {
+    switch (preset) {
+        case 'day':
+            return { rangeStart: dateKey, rangeEnd: dateKey };
+        case 'week': {
+            const weekDateKeys = getWeekDateKeys(dateKey);
+            return { rangeStart: weekDateKeys[0], rangeEnd: weekDateKeys[6] };
+        }
+        case 'month': {
+            const date = parseDateKey(dateKey);
+            return {
+                rangeStart: toDateKey(new Date(date.getFullYear(), date.getMonth(), 1)),
+                rangeEnd: toDateKey(new Date(date.getFullYear(), date.getMonth() + 1, 0)),
+            };
+        }
+        default:
+            return { rangeStart: dateKey, rangeEnd: addDaysToKey(dateKey, 13) };
+    }
+};
+
+// Default values for the "new share link" form: the two weeks from the selected date
+export const getDefaultShareLinkForm = (dateKey = toDateKey(new Date())) => ({
+    label: '',
+    rangePreset: 'twoWeeks',
+    ...getShareRangeForPreset('twoWeeks', dateKey),
+    expiresOn: '', // Empty for links that never expire
+    visibility: 'full', // 'full' or 'busy'; activities can be more private than the link
+});
+
+// Validate a share link form; returns an error message, or null when the form is valid
+export const validateShareLinkForm = (form) => {
+    if (!form.label.trim()) {
+        return "Please give the link a label, e.g. who it is for.";
+    }
+    if (!form.rangeStart || !form.rangeEnd) {
+        return "Please choose the dates the link shows.";
+    }
+    if (form.rangeStart > form.rangeEnd) {
+        return "The shared range cannot end before it starts.";
+    }
+    if (form.expiresOn && form.expiresOn < toDateKey(new Date())) {
+        return "The expiry date cannot be in the past.";
+    }
+    return null;
+};
+
+// Build the share link document for a validated form; the link expires at the end of its expiry date in the owner's zone
+export const buildShareLinkFields = (form, ownerId, timeZone) => ({
+    ownerId: ownerId,
+    label: form.label.trim(),
+    rangeStart: form.rangeStart,
+    rangeEnd: form.rangeEnd,
+    // Ranges open in the compact multi-day agenda, single days in the day timeline
+    defaultView: form.rangeStart === form.rangeEnd ? 'day' : 'agenda',
+    visibility: form.visibility,
+    expiresAt: form.expiresOn ? zonedTimeToUtc(addDaysToKey(form.expiresOn, 1), '00:00', timeZone).toISOString() : null,
+    revoked: false,
+    lastOpenedAt: null,
+    createdAt: new Date().toISOString(),
+});
+
+// 'active', 'expired' or 'revoked'
+export const getShareLinkStatus = (link, now = new Date()) => {
+    if (link.revoked) return 'revoked';
+    if (link.expiresAt && new Date(link.expiresAt) <= now) return 'expired';
+    return 'active';
+};
+
+// Check whether a date key lies within a link's allowed range
+export const isInShareRange = (link, dateKey) => dateKey >= link.rangeStart && dateKey <= link.rangeEnd;
+
+// All date keys of a link's allowed range
+export const getShareRangeDateKeys = (link) => {
+    const dateKeys = [];
+    for (let dateKey = link.rangeStart; dateKey <= link.rangeEnd; dateKey = addDaysToKey(dateKey, 1)) {
+        dateKeys.push(dateKey);
+    }
+    return dateKeys;
+};
+
+// Move a date key into a link's allowed range
+export const clampToShareRange = (link, dateKey) => {
+    if (dateKey < link.rangeStart) return link.rangeStart;
+    if (dateKey > link.rangeEnd) return link.rangeEnd;
+    return dateKey;
+};
+
+// Token of a pasted share link, or the input itself when it is already a bare token
+export const parseShareToken = (input) => {
+    const trimmed = input.trim();
+    if (!trimmed) return null;
+    try {
+        const url = new URL(trimmed);
+        return url.searchParams.get('token');
+    } catch (e) {
+        return /^[A-Za-z0-9_=-]+$/.test(trimmed) ? trimmed : null;
+    }
+};
+
+// Look up the link a token stands for; returns { link } for an active link, otherwise { error } with a message for the viewer.
+// Opening an active link is recorded for the owner's "Manage shared links" panel.
+export const resolveShareLink = async (repository, token) => {
+    if (!token) {
+        return { error: "Invalid share link. Please ask the owner for a new link." };
+    }
+    const link = await repository.shareLinks.get(token);
+    const status = link ? getShareLinkStatus(link) : 'missing';
+    if (status !== 'active') {
+        return { error: status === 'expired' ? "This share link has expired." : "This share link is no longer available." };
+    }
+    repository.shareLinks.update(token, { lastOpenedAt: new Date().toISOString() })
+        .catch(err => console.error("Error recording share link visit:", err));
+    return { link };
+};
+
+// Follow what the owner's app published for a share link. onChange({ link, published }) gets the active link with every
+// version of its published schedule; onError(message) gets a message for the viewer when the link cannot be opened,
+// nothing is published for it yet or loading fails. Returns a function that stops listening, also while the link is
+// still being looked up.
+export const subscribeToSharedSchedule = (repository, token, onChange, onError) => {
+    let stopped = false;
+    let unsubscribe = null;
+    resolveShareLink(repository, token).then(({ link, error }) => {
+        if (stopped) return;
+        if (error) {
+            onError(error);
+            return;
+        }
+        // The share page only ever reads what was published for the link, never the owner's own documents
+        unsubscribe = repository.publishedSchedules.subscribe(token, (published) => {
+            if (published) {
+                onChange({ link, published });
+            } else {
+                onError("This shared schedule is not available yet. Please try again later.");
+            }
+        }, (err) => {
+            console.error("Error fetching shared schedule:", err);
+            onError("Failed to load shared schedule.");
+        });
+    }, (e) => {
+        console.error("Error resolving share link:", e);
+        if (!stopped) onError("Failed to load shared schedule.");
+    });
+    return () => {
+        stopped = true;
+        if (unsubscribe) unsubscribe();
+    };
+};
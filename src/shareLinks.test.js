@@ -0,0 +1,151 @@
+import { resolveShareLink, getShareLinkStatus, subscribeToSharedSchedule } from './shareLinks';
+import { createMemoryRepository } from './memoryRepository';
+
+const activeLink = { ownerId: 'u1', rangeStart: '2025-03-01', rangeEnd: '2025-03-31', expiresAt: null, revoked: false, lastOpenedAt: null };
+
+const published = {
+    ownerDisplayName: 'Sam',
+    timeZone: 'Europe/Berlin',
+    rangeStart: '2025-03-01',
+    rangeEnd: '2025-03-31',
+    occurrences: [{ id: 's1', startDateTimeUTC: '2025-03-12T08:00:00.000Z', endDateTimeUTC: '2025-03-12T09:00:00.000Z', isBusy: true }],
+};
+
+const createRepository = () => createMemoryRepository({
+    shareLinks: {
+        active: activeLink,
+        expired: { ...activeLink, expiresAt: '2020-01-01T00:00:00.000Z' },
+        revoked: { ...activeLink, revoked: true },
+    },
+    'shareLinks/active/published': { schedule: published },
+});
+
+describe('getShareLinkStatus', () => {
+    test('reports revoked before expired', () => {
+        expect(getShareLinkStatus({ revoked: true, expiresAt: '2020-01-01T00:00:00.000Z' })).toBe('revoked');
+        expect(getShareLinkStatus({ expiresAt: '2025-03-01T00:00:00.000Z' }, new Date('2025-03-02'))).toBe('expired');
+        expect(getShareLinkStatus({ expiresAt: '2025-03-01T00:00:00.000Z' }, new Date('2025-02-28'))).toBe('active');
+    });
+});
+
+describe('resolveShareLink', () => {
+    test('returns an active link and records the visit', async () => {
+        const repository = createRepository();
+        const { link, error } = await resolveShareLink(repository, 'active');
+        expect(error).toBeUndefined();
+        expect(link).toMatchObject({ ownerId: 'u1', rangeStart: '2025-03-01' });
+        expect((await repository.shareLinks.get('active')).lastOpenedAt).toEqual(expect.any(String));
+    });
+
+    test.each([
+        [null, "Invalid share link. Please ask the owner for a new link."],
+        ['missing', "This share link is no longer available."],
+        ['revoked', "This share link is no longer available."],
+        ['expired', "This share link has expired."],
+    ])('explains why %s cannot be opened', async (token, message) => {
+        const repository = createRepository();
+        expect(await resolveShareLink(repository, token)).toEqual({ error: message });
+        if (token === 'expired') {
+            expect((await repository.shareLinks.get('expired')).lastOpenedAt).toBeNull();
+        }
+    });
+});
+
+describe('loading a shared schedule', () => {
+    test('reads what the owner published for the link', async () => {
+        const repository = createRepository();
+        expect(await repository.publishedSchedules.get('active')).toEqual(published);
+        expect(await repository.publishedSchedules.get('revoked')).toBeNull();
+    });
+
+    test('passes republished schedules to subscribers until they unsubscribe', async () => {
+        const repository = createRepository();
+        const onChange = jest.fn();
+        const unsubscribe = repository.publishedSchedules.subscribe('active', onChange);
+        expect(onChange).toHaveBeenLastCalledWith(published);
+
+        await repository.publishedSchedules.set('active', { ...published, occurrences: [] });
+        expect(onChange).toHaveBeenLastCalledWith({ ...published, occurrences: [] });
+
+        await repository.publishedSchedules.remove('active');
+        expect(onChange).toHaveBeenLastCalledWith(null);
+
+        unsubscribe();
+        await repository.publishedSchedules.set('active', published);
+        expect(onChange).toHaveBeenCalledTimes(3);
+    });
+});
+
+describe('subscribeToSharedSchedule', () => {
+    // Let the link lookup settle
+    const settle = () => new Promise(resolve => setTimeout(resolve, 0));
+
+    test('passes the link with every version of its published schedule until stopped', async () => {
+        const repository = createRepository();
+        const onChange = jest.fn();
+        const onError = jest.fn();
+        const stop = subscribeToSharedSchedule(repository, 'active', onChange, onError);
+        await settle();
+        expect(onChange).toHaveBeenLastCalledWith({ link: expect.objectContaining({ ownerId: 'u1', rangeEnd: '2025-03-31' }), published });
+
+        await repository.publishedSchedules.set('active', { ...published, occurrences: [] });
+        expect(onChange).toHaveBeenLastCalledWith({ link: expect.any(Object), published: { ...published, occurrences: [] } });
+
+        stop();
+        await repository.publishedSchedules.set('active', published);
+        expect(onChange).toHaveBeenCalledTimes(2);
+        expect(onError).not.toHaveBeenCalled();
+    });
+
+    test.each([
+        [null, "Invalid share link. Please ask the owner for a new link."],
+        ['missing', "This share link is no longer available."],
+        ['revoked', "This share link is no longer available."],
+        ['expired', "This share link has expired."],
+    ])('does not load the schedule of %s', async (token, message) => {
+        const repository = createRepository();
+        // Published documents of links that stopped working can still be around until the owner's app removes them
+        if (token) await repository.publishedSchedules.set(token, published);
+        const onChange = jest.fn();
+        const onError = jest.fn();
+        subscribeToSharedSchedule(repository, token, onChange, onError);
+        await settle();
+        expect(onError).toHaveBeenCalledWith(message);
+        expect(onChange).not.toHaveBeenCalled();
+    });
+
+    test('waits for a schedule that is not published yet', async () => {
+        const repository = createMemoryRepository({ shareLinks: { active: activeLink } });
+        const onChange = jest.fn();
+        const onError = jest.fn();
+        subscribeToSharedSchedule(repository, 'active', onChange, onError);
+        await settle();
+        expect(onError).toHaveBeenCalledWith("This shared schedule is not available yet. Please try again later.");
+
+        await repository.publishedSchedules.set('active', published);
+        expect(onChange).toHaveBeenCalledWith({ link: expect.any(Object), published });
+    });
+
+    test('does nothing when stopped before the link is found', async () => {
+        const repository = createRepository();
+        const onChange = jest.fn();
+        const onError = jest.fn();
+        subscribeToSharedSchedule(repository, 'active', onChange, onError)();
+        await settle();
+        await repository.publishedSchedules.set('active', { ...published, occurrences: [] });
+        expect(onChange).not.toHaveBeenCalled();
+        expect(onError).not.toHaveBeenCalled();
+    });
+
+    test('reports a failed lookup', async () => {
+        const repository = createRepository();
+        repository.shareLinks.get = () => Promise.reject(new Error('offline'));
+        const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+        const onError = jest.fn();
+        subscribeToSharedSchedule(repository, 'active', jest.fn(), onError);
+        await settle();
+        expect(onError).toHaveBeenCalledWith("Failed to load shared schedule.");
+        expect(consoleError).toHaveBeenCalled();
+        consoleError.mockRestore();
+    });
+});
@@ -0,0 +1,132 @@
+// Shared schedules are published by the owner's app into artifacts/{appId}/shareLinks/{token}/published/schedule.
+// The share page only reads that document, so anything the link's visibility settings hide is never sent to it.
+
+import { groupOccurrencesByDate, describeRecurrence } from './recurrence';
+import { toZonedDateKey, toZonedTime } from './timeZone';
+import { getShareLinkStatus, isInShareRange } from './shareLinks';
+import { getTentativeOccurrences } from './bookingRequests';
+
+export const PUBLISHED_SCHEDULE_DOC = 'schedule';
+export const BUSY_LABEL = 'Busy';
+export const BUSY_COLOR = '#9ca3af';
+
+// Visibility levels, from most to least revealing; links only offer the first two
+export const shareVisibilityOptions = [
+    { value: 'full', label: 'Full details' },
+    { value: 'busy', label: 'Busy only' },
+    { value: 'hidden', label: 'Hidden' },
+];
+
+const visibilityRank = { full: 0, busy: 1, hidden: 2 };
+
+// The more restrictive of a link's and an activity's visibility; missing settings mean full details
+export const getEffectiveVisibility = (link, activity) => {
+    const linkVisibility = link.visibility || 'full';
+    const activityVisibility = (activity && activity.shareVisibility) || 'full';
+    return visibilityRank[activityVisibility] > visibilityRank[linkVisibility] ? activityVisibility : linkVisibility;
+};
+
+// Stable key for the entry an occurrence came from that does not reveal its document ID: a 53-bit hash of the ID and
+// the link's, so calendars can recognise re-downloaded occurrences but the same entry is unrelated across links
+export const getSourceKey = (linkId, sourceId) => {
+    const text = `${linkId}:${sourceId}`;
+    let h1 = 0xdeadbeef;
+    let h2 = 0x41c6ce57;
+    for (let i = 0; i < text.length; i++) {
+        const code = text.charCodeAt(i);
+        h1 = Math.imul(h1 ^ code, 2654435761);
+        h2 = Math.imul(h2 ^ code, 1597334677);
+    }
+    h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+    h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+    return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(36);
+};
+
+// Only the fields the share page renders; the schedule document ID is replaced by a neutral key
+const toPublishedOccurrence = (link, occurrence, index, visibility, timeZone) => {
+    const published = {
+        id: `o${index}`,
+        sourceKey: getSourceKey(link.id, occurrence.id),
+        occurrenceDate: toZonedDateKey(occurrence.startDateTimeUTC, timeZone), // The owner's calendar day
+        startDateTimeUTC: occurrence.startDateTimeUTC,
+        endDateTimeUTC: occurrence.endDateTimeUTC,
+        startTime: toZonedTime(occurrence.startDateTimeUTC, timeZone),
+        endTime: toZonedTime(occurrence.endDateTimeUTC, timeZone),
+        timeZone: timeZone,
+        isBusy: visibility === 'busy',
+    };
+    if (visibility === 'busy') {
+        return { ...published, activityName: BUSY_LABEL, activityColor: BUSY_COLOR };
+    }
+    return {
+        ...published,
+        activityName: occurrence.activityName,
+        activityColor: occurrence.activityColor,
+        recurrenceSummary: describeRecurrence(occurrence),
+        isOverridden: !!occurrence.isOverridden,
+    };
+};
+
+// Merge busy blocks on the same day that overlap or touch, so back-to-back private entries read as one block.
+// Occurrences must be sorted by start time.
+export const mergeBusyBlocks = (occurrences) => {
+    const merged = [];
+    const lastBusyBlockByDate = new Map();
+    occurrences.forEach(occurrence => {
+        const previous = lastBusyBlockByDate.get(occurrence.occurrenceDate);
+        if (occurrence.isBusy && previous && new Date(occurrence.startDateTimeUTC) <= new Date(previous.endDateTimeUTC)) {
+            if (new Date(occurrence.endDateTimeUTC) > new Date(previous.endDateTimeUTC)) {
+                previous.endDateTimeUTC = occurrence.endDateTimeUTC;
+                previous.endTime = occurrence.endTime;
+            }
+            return;
+        }
+        const block = { ...occurrence };
+        merged.push(block);
+        if (block.isBusy) lastBusyBlockByDate.set(block.occurrenceDate, block);
+    });
+    return merged;
+};
+
+// Pending booking requests in the link's range as tentative holds; who asked is never published
+const toPublishedHolds = (link, bookingRequests, timeZone) => getTentativeOccurrences(bookingRequests)
+    .filter(hold => isInShareRange(link, toZonedDateKey(hold.startDateTimeUTC, timeZone)))
+    .map((hold, index) => ({
+        id: `h${index}`,
+        sourceKey: getSourceKey(link.id, hold.id),
+        occurrenceDate: toZonedDateKey(hold.startDateTimeUTC, timeZone),
+        startDateTimeUTC: hold.startDateTimeUTC,
+        endDateTimeUTC: hold.endDateTimeUTC,
+        startTime: toZonedTime(hold.startDateTimeUTC, timeZone),
+        endTime: toZonedTime(hold.endDateTimeUTC, timeZone),
+        timeZone: timeZone,
+        isBusy: false,
+        isTentative: true,
+        activityName: hold.activityName,
+        activityColor: hold.activityColor,
+    }));
+
+// Build the published document for an active link from the owner's entries, pending booking requests and profile
+// ({ displayName, timeZone, workingHours }); occurrence dates are the owner's calendar days
+export const buildPublishedSchedule = (link, entries, activityItems, bookingRequests, { displayName, timeZone, workingHours }) => {
+    const activitiesById = new Map(activityItems.map(activity => [activity.id, activity]));
+    const occurrences = [...groupOccurrencesByDate(entries, link.rangeStart, link.rangeEnd, timeZone).values()]
+        .flat()
+        .map(occurrence => ({ occurrence, visibility: getEffectiveVisibility(link, activitiesById.get(occurrence.activityId)) }))
+        .filter(({ visibility }) => visibility !== 'hidden')
+        .map(({ occurrence, visibility }, index) => toPublishedOccurrence(link, occurrence, index, visibility, timeZone));
+
+    return {
+        ownerDisplayName: displayName,
+        timeZone: timeZone,
+        rangeStart: link.rangeStart,
+        rangeEnd: link.rangeEnd,
+        occurrences: [...mergeBusyBlocks(occurrences), ...toPublishedHolds(link, bookingRequests, timeZone)]
+            .sort((a, b) => new Date(a.startDateTimeUTC) - new Date(b.startDateTimeUTC)),
+        // Free slots on the share page are computed from these and the published occurrences, so hidden entries read as free
+        workingHours: workingHours,
+    };
+};
+
+// Links whose published schedule should exist; the data of revoked and expired links is removed
+export const isPublishable = (link) => getShareLinkStatus(link) === 'active';
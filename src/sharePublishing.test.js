@@ -0,0 +1,80 @@
+import { buildPublishedSchedule, getSourceKey } from './sharePublishing';
+
+const link = { id: 'token1', ownerId: 'u1', rangeStart: '2025-03-10', rangeEnd: '2025-03-16', visibility: 'full', expiresAt: null, revoked: false };
+const profile = { displayName: 'Sam', timeZone: 'UTC', workingHours: null };
+
+const entry = (id, activityId, fields) => ({
+    id,
+    date: '2025-03-12',
+    startTime: '09:00',
+    endTime: '10:00',
+    timeZone: 'UTC',
+    activityId,
+    activityName: `${activityId} name`,
+    activityColor: '#10b981',
+    notes: `${id} notes`,
+    recurrenceType: 'none',
+    ...fields,
+});
+
+const activityItems = [
+    { id: 'open', name: 'open name', shareVisibility: 'full' },
+    { id: 'private', name: 'private name', shareVisibility: 'busy' },
+    { id: 'secret', name: 'secret name', shareVisibility: 'hidden' },
+];
+
+const entries = [
+    entry('entry-open', 'open'),
+    entry('entry-private', 'private', { startTime: '11:00', endTime: '12:00' }),
+    entry('entry-private-after', 'private', { startTime: '12:00', endTime: '13:00' }),
+    entry('entry-secret', 'secret', { startTime: '14:00', endTime: '15:00' }),
+];
+
+const bookingRequest = {
+    id: 'request1', shareToken: 'token1', name: 'Alex', email: 'alex@example.com', note: 'About the trip',
+    startDateTimeUTC: '2025-03-13T09:00:00.000Z', endDateTimeUTC: '2025-03-13T10:00:00.000Z', status: 'pending',
+};
+
+const publish = (linkFields = {}) => buildPublishedSchedule({ ...link, ...linkFields }, entries, activityItems, [bookingRequest], profile);
+
+// Everything the share page could read, as text
+const serialize = (published) => JSON.stringify(published);
+
+describe('buildPublishedSchedule', () => {
+    test('publishes full details of activities that allow it', () => {
+        const open = publish().occurrences.find(occurrence => occurrence.startTime === '09:00');
+        expect(open).toMatchObject({ activityName: 'open name', isBusy: false, occurrenceDate: '2025-03-12', endTime: '10:00' });
+    });
+
+    test('publishes busy activities as merged blocks without their names', () => {
+        const busy = publish().occurrences.filter(occurrence => occurrence.isBusy);
+        expect(busy).toEqual([expect.objectContaining({ activityName: 'Busy', startTime: '11:00', endTime: '13:00' })]);
+        expect(busy[0]).not.toHaveProperty('recurrenceSummary');
+        expect(serialize(publish())).not.toContain('private name');
+    });
+
+    test('leaves hidden activities out', () => {
+        const published = publish();
+        expect(published.occurrences.some(occurrence => occurrence.startTime === '14:00')).toBe(false);
+        expect(serialize(published)).not.toContain('secret');
+    });
+
+    test('hides every name on a busy-only link', () => {
+        const published = publish({ visibility: 'busy' });
+        expect(published.occurrences.filter(occurrence => !occurrence.isTentative).every(occurrence => occurrence.activityName === 'Busy')).toBe(true);
+        expect(serialize(published)).not.toMatch(/open name|private name|secret name/);
+    });
+
+    test.each(['full', 'busy'])('never publishes entry IDs, activity IDs, notes or who asked for a booking (%s link)', (visibility) => {
+        const text = serialize(publish({ visibility }));
+        ['entry-', 'notes', 'request1', 'Alex', 'alex@example.com', 'About the trip', '"open"', '"private"', 'activityId'].forEach(value => {
+            expect(text).not.toContain(value);
+        });
+    });
+
+    test('keys occurrences by a hash of their entry that differs between links', () => {
+        const open = publish().occurrences.find(occurrence => occurrence.startTime === '09:00');
+        expect(open.sourceKey).toBe(getSourceKey('token1', 'entry-open'));
+        expect(getSourceKey('token2', 'entry-open')).not.toBe(open.sourceKey);
+    });
+});
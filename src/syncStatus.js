@@ -0,0 +1,51 @@
+// Connection and sync state for the header indicator.
+// Firestore applies writes to its local cache straight away and queues them while offline; the promise of a write only
+// settles once the server has it, so writes still in flight are the changes waiting to sync. The queue is kept in the
+// persistent cache across reloads, where those promises are gone; listeners report the documents it still holds.
+
+import { useState, useEffect, useCallback } from 'react';
+
+// Whether the browser currently has a network connection
+export const useOnlineStatus = () => {
+    const [isOnline, setIsOnline] = useState(navigator.onLine);
+
+    useEffect(() => {
+        const handleOnline = () => setIsOnline(true);
+        const handleOffline = () => setIsOnline(false);
+        window.addEventListener('online', handleOnline);
+        window.addEventListener('offline', handleOffline);
+        return () => {
+            window.removeEventListener('online', handleOnline);
+            window.removeEventListener('offline', handleOffline);
+        };
+    }, []);
+
+    return isOnline;
+};
+
+// Number of changes the server has not confirmed yet. trackWrite(writePromise, onError) returns at once; handlers use it
+// instead of awaiting the write, which would wait for the connection to come back. reportPendingWrites(source, paths)
+// takes the pending document paths a listener (source) was given. The count is the larger of the writes tracked in
+// this session and the distinct reported documents, which include writes queued before the page was reloaded.
+export const usePendingWrites = () => {
+    const [trackedCount, setTrackedCount] = useState(0);
+    const [reportedPaths, setReportedPaths] = useState({}); // Source -> pending document paths
+
+    const trackWrite = useCallback((writePromise, onError) => {
+        setTrackedCount(count => count + 1);
+        writePromise
+            .catch(onError)
+            .finally(() => setTrackedCount(count => count - 1));
+    }, []);
+
+    const reportPendingWrites = useCallback((source, paths = []) => {
+        setReportedPaths(reported => {
+            const previous = reported[source] || [];
+            if (previous.length === paths.length && previous.every((path, index) => path === paths[index])) return reported;
+            return { ...reported, [source]: paths };
+        });
+    }, []);
+
+    const reportedCount = new Set(Object.values(reportedPaths).flat()).size;
+    return { pendingCount: Math.max(trackedCount, reportedCount), trackWrite, reportPendingWrites };
+};
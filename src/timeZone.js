@@ -0,0 +1,92 @@
+// Time zone helpers built on Intl, so any IANA zone works without a time zone database of our own.
+// Wall-clock times are 'HH:MM' strings and dates are 'YYYY-MM-DD' keys, as in the recurrence engine.
+
+// Formatters are expensive to create, so keep one per zone
+const formatters = new Map();
+
+const getFormatter = (timeZone) => {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            second: '2-digit',
+        }));
+    }
+    return formatters.get(timeZone);
+};
+
+// The calendar date and wall-clock time of an instant in a time zone
+export const getZonedParts = (date, timeZone) => {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(new Date(date)).forEach(({ type, value }) => {
+        if (type !== 'literal') parts[type] = Number(value);
+    });
+    // Some engines report midnight as hour 24
+    if (parts.hour === 24) parts.hour = 0;
+    return parts;
+};
+
+// Offset of a time zone from UTC at a given instant, in minutes (e.g. 120 for Europe/Berlin in summer)
+export const getTimeZoneOffsetMinutes = (timeZone, date = new Date()) => {
+    const instant = new Date(date);
+    const { year, month, day, hour, minute, second } = getZonedParts(instant, timeZone);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute, second);
+    return Math.round((asUtc - (instant.getTime() - instant.getMilliseconds())) / 60000);
+};
+
+// Convert a wall-clock date and time in a time zone to the matching instant.
+// Times skipped by a DST jump are moved forward by the length of the jump; repeated times resolve to the first one.
+export const zonedTimeToUtc = (dateKey, time, timeZone) => {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    const asUtc = Date.UTC(year, month - 1, day, hour, minute);
+
+    // The offset at the guessed instant can differ from the one at the result near a transition,
+    // so correct once with the offset found at the first estimate
+    const firstOffset = getTimeZoneOffsetMinutes(timeZone, asUtc);
+    let result = asUtc - firstOffset * 60000;
+    const secondOffset = getTimeZoneOffsetMinutes(timeZone, result);
+    if (secondOffset !== firstOffset) {
+        result = asUtc - secondOffset * 60000;
+        // No instant shows a time inside the gap, so neither offset round-trips; the offset from before the jump moves
+        // the time forward by the length of the gap (02:30 becomes 03:30 when clocks go from 02:00 to 03:00)
+        if (getTimeZoneOffsetMinutes(timeZone, result) !== secondOffset) {
+            result = asUtc - Math.min(firstOffset, secondOffset) * 60000;
+        }
+    }
+    return new Date(result);
+};
+
+// The 'YYYY-MM-DD' date of an instant in a time zone
+export const toZonedDateKey = (date, timeZone) => {
+    const { year, month, day } = getZonedParts(date, timeZone);
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// The 'HH:MM' wall-clock time of an instant in a time zone
+export const toZonedTime = (date, timeZone) => {
+    const { hour, minute } = getZonedParts(date, timeZone);
+    return `${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// Format an offset in minutes as 'UTC+05:30'
+export const formatUtcOffset = (offsetMinutes) => {
+    const sign = offsetMinutes < 0 ? '-' : '+';
+    const absolute = Math.abs(offsetMinutes);
+    return `UTC${sign}${String(Math.floor(absolute / 60)).padStart(2, '0')}:${String(absolute % 60).padStart(2, '0')}`;
+};
+
+// Check whether a string is a time zone the browser understands
+export const isValidTimeZone = (timeZone) => {
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+};
@@ -0,0 +1,23 @@
+import { zonedTimeToUtc, toZonedTime } from './timeZone';
+
+describe('zonedTimeToUtc', () => {
+    test('converts a wall-clock time with the offset in effect on that date', () => {
+        expect(zonedTimeToUtc('2026-01-15', '09:00', 'America/New_York').toISOString()).toBe('2026-01-15T14:00:00.000Z');
+        expect(zonedTimeToUtc('2026-07-15', '09:00', 'America/New_York').toISOString()).toBe('2026-07-15T13:00:00.000Z');
+    });
+
+    test('moves a time inside a DST gap forward by the length of the gap', () => {
+        const instant = zonedTimeToUtc('2026-03-08', '02:30', 'America/New_York');
+        expect(instant.toISOString()).toBe('2026-03-08T07:30:00.000Z');
+        expect(toZonedTime(instant, 'America/New_York')).toBe('03:30');
+        expect(toZonedTime(zonedTimeToUtc('2026-03-29', '02:30', 'Europe/Berlin'), 'Europe/Berlin')).toBe('03:30');
+    });
+
+    test('keeps times just after the gap', () => {
+        expect(zonedTimeToUtc('2026-03-08', '03:30', 'America/New_York').toISOString()).toBe('2026-03-08T07:30:00.000Z');
+    });
+
+    test('resolves a repeated time to its first occurrence', () => {
+        expect(zonedTimeToUtc('2026-11-01', '01:30', 'America/New_York').toISOString()).toBe('2026-11-01T05:30:00.000Z');
+    });
+});